@@ -0,0 +1,30 @@
+import db from './models/index.js';
+
+const USAGE = 'Usage: npm run admin -- <grant|revoke> <email>';
+
+// Admins maintain the shared exchange rates. There is no endpoint to make someone an admin, so the first one
+// (and any after) is granted from the server: npm run admin -- grant alice@example.com
+async function setAdmin() {
+    const [action, email] = process.argv.slice(2);
+    if (!['grant', 'revoke'].includes(action) || !email) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        const user = await db.User.findOne({ where: { email } });
+        if (!user) {
+            console.error(`❌ No user with the email ${email}`);
+            process.exit(1);
+        }
+
+        await user.update({ isAdmin: action === 'grant' });
+        console.log(`✅ ${email} is ${user.isAdmin ? 'now an admin' : 'no longer an admin'}`);
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Error updating admin access:', err);
+        process.exit(1);
+    }
+}
+
+setAdmin();
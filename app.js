@@ -2,11 +2,22 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import db from './models/index.js';
+import { ensureLegacySharedRate } from './services/ExchangeRate.service.js';
 import {serveSwagger, setupSwagger} from "./config/swagger.js";
 import categoryRoutes from './routes/Category.route.js';
 import userRoutes from './routes/User.route.js';
 import recordRoutes from './routes/Record.route.js';
 import summaryRoutes from './routes/Summary.route.js';
+import recurringScheduleRoutes from './routes/RecurringSchedule.route.js';
+import tagRoutes from './routes/Tag.route.js';
+import trashRoutes from './routes/Trash.route.js';
+import currencyRoutes from './routes/Currency.route.js';
+import exchangeRateRoutes from './routes/ExchangeRate.route.js';
+import accountRoutes from './routes/Account.route.js';
+import payeeRoutes from './routes/Payee.route.js';
+import ruleRoutes from './routes/Rule.route.js';
+import savedViewRoutes from './routes/SavedView.route.js';
+import syncRoutes from './routes/Sync.route.js';
 
 
 dotenv.config();
@@ -26,6 +37,16 @@ app.use('/categories', categoryRoutes);
 app.use('/records', recordRoutes);
 app.use('/users', userRoutes);
 app.use('/summary', summaryRoutes);
+app.use('/recurring', recurringScheduleRoutes);
+app.use('/tags', tagRoutes);
+app.use('/trash', trashRoutes);
+app.use('/currencies', currencyRoutes);
+app.use('/exchange-rates', exchangeRateRoutes);
+app.use('/accounts', accountRoutes);
+app.use('/payees', payeeRoutes);
+app.use('/rules', ruleRoutes);
+app.use('/views', savedViewRoutes);
+app.use('/sync', syncRoutes);
 
 app.get('/', (req, res) => {
     res.send('Expense Tracker API');
@@ -34,6 +55,7 @@ app.get('/', (req, res) => {
 // Sync DB
     try {
         await db.sequelize.sync(); // Removed force: true to preserve data
+        await ensureLegacySharedRate();
         console.log('Database synced');
     } catch (err) {
         console.error('DB sync failed:', err);
@@ -17,6 +17,35 @@ const options = {
                     bearerFormat: 'JWT',
                 },
             },
+            parameters: {
+                IdempotencyKey: {
+                    in: 'header',
+                    name: 'Idempotency-Key',
+                    required: false,
+                    schema: { type: 'string', maxLength: 255 },
+                    description: 'Unique key (a UUID, say) that makes the request safe to retry. The first response for the key is '
+                        + 'stored and replayed to retries, with an Idempotent-Replayed: true header, for 24 hours '
+                        + '(IDEMPOTENCY_KEY_RETENTION_HOURS). Reusing the key for a different request, or while the first one '
+                        + 'is still running, returns 409. Server errors are not stored. A request left unanswered for 5 minutes '
+                        + '(say, the server restarted) no longer holds the key, and the next retry runs for real.'
+                },
+                IfMatch: {
+                    in: 'header',
+                    name: 'If-Match',
+                    required: false,
+                    schema: { type: 'string', example: '"3"' },
+                    description: 'ETag (version) of the item as you last loaded it. If the item has changed since, nothing is '
+                        + 'written and the response is 412 with the current version. Without it the last write wins.'
+                },
+                SummaryView: {
+                    in: 'query',
+                    name: 'view',
+                    required: false,
+                    schema: { type: 'integer' },
+                    description: 'Id of a saved view: only its records count. Its filters narrow the period of the summary; '
+                        + 'a date window in the view doesn\'t widen it. The response then names the view.'
+                },
+            },
             schemas: {
                 Category: {
                     type: 'object',
@@ -24,16 +53,44 @@ const options = {
                         id: { type: 'integer' },
                         name: { type: 'string', example: 'Food' },
                         color: { type: 'string', example: '#ff0000' },
+                        parentId: { type: 'integer', nullable: true, description: 'Category this one sits under; null at the top level' },
+                        version: { type: 'integer', example: 3, description: 'Bumped by every change; the ETag is this number in quotes' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' },
+                        deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the category is in the trash' },
+                    }
+                },
+                CategoryTreeNode: {
+                    description: 'A category; with tree=true also its subcategories, nested to any depth',
+                    allOf: [
+                        { $ref: '#/components/schemas/Category' },
+                        {
+                            type: 'object',
+                            properties: {
+                                subcategories: { type: 'array', items: { $ref: '#/components/schemas/CategoryTreeNode' } }
+                            }
+                        }
+                    ]
+                },
+                CategoryTreeTotals: {
+                    type: 'object',
+                    properties: {
+                        categoryId: { type: 'integer', nullable: true, description: 'Null for uncategorized expenses' },
+                        categoryName: { type: 'string', example: 'Food' },
+                        categoryColor: { type: 'string', example: '#ff0000' },
+                        totals: { $ref: '#/components/schemas/CurrencyTotals' },
+                        recordCount: { type: 'integer' },
+                        percentage: { type: 'number', description: 'Share of all expenses, in USD, including subcategories' },
+                        subcategories: { type: 'array', items: { $ref: '#/components/schemas/CategoryTreeTotals' } }
                     }
                 },
                 CategoryInput: {
                     type: 'object',
                     required: ['name', 'color'],
                     properties: {
-                        name: { type: 'string', example: 'Services' },
+                        name: { type: 'string', example: 'Coffee', description: 'Unique among the categories directly under the same parent' },
                         color: { type: 'string', example: '#00ffcc' },
+                        parentId: { type: 'integer', nullable: true, description: 'Category to put this one under; null or left out for the top level' },
                     }
                 },
                 Record: {
@@ -41,12 +98,27 @@ const options = {
                     properties: {
                         id: { type: 'integer' },
                         title: { type: 'string', example: 'Grocery Shopping' },
+                        type: { type: 'string', enum: ['expense', 'income', 'transfer'], example: 'expense' },
                         date: { type: 'string', format: 'date', example: '2025-07-21' },
-                        currency: { type: 'string', enum: ['USD', 'KHR'], example: 'USD' },
-                        amount: { type: 'number', format: 'float', example: 25.50 },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD', description: 'ISO 4217 currency code' },
+                        amount: { type: 'number', example: 25.50, description: 'Exact decimal amount' },
                         note: { type: 'string', example: 'Weekly grocery expenses' },
+                        categoryId: { type: 'integer', nullable: true },
+                        accountId: { type: 'integer', nullable: true, description: 'Account the money is paid from (or into, for income)' },
+                        toAccountId: { type: 'integer', nullable: true, description: 'Transfers only - account the money moves into' },
+                        toAmount: { type: 'number', nullable: true, description: "Amount received by toAccountId when its currency differs; null means the same amount" },
+                        payeeId: { type: 'integer', nullable: true },
+                        Payee: { allOf: [{ $ref: '#/components/schemas/Payee' }], nullable: true },
+                        RecordSplits: {
+                            type: 'array',
+                            description: 'Split lines; empty when the record is not split',
+                            items: { $ref: '#/components/schemas/RecordSplit' }
+                        },
+                        Tags: { type: 'array', items: { $ref: '#/components/schemas/Tag' } },
+                        version: { type: 'integer', example: 3, description: 'Bumped by every change; the ETag is this number in quotes' },
                         createdAt: { type: 'string', format: 'date-time' },
                         updatedAt: { type: 'string', format: 'date-time' },
+                        deletedAt: { type: 'string', format: 'date-time', nullable: true, description: 'Set while the record is in the trash' },
                     }
                 },
                 RecordInput: {
@@ -54,10 +126,409 @@ const options = {
                     required: ['title', 'date', 'currency', 'amount'],
                     properties: {
                         title: { type: 'string', example: 'Grocery Shopping' },
+                        type: { type: 'string', enum: ['expense', 'income', 'transfer'], example: 'expense' },
                         date: { type: 'string', format: 'date', example: '2025-07-21' },
-                        currency: { type: 'string', enum: ['USD', 'KHR'], example: 'USD' },
-                        amount: { type: 'number', format: 'float', example: 25.50 },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD', description: 'ISO 4217 currency code' },
+                        amount: { type: 'number', example: 25.50, description: "Number or decimal string, rounded to the currency's decimal places" },
                         note: { type: 'string', example: 'Weekly grocery expenses' },
+                        payee: { type: 'string', nullable: true, example: 'Brown Coffee', description: 'Payee name, matched in any case; unknown payees are created' },
+                        tags: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            example: ['trip-japan', 'reimbursable'],
+                            description: 'Tag names; unknown tags are created. On update the list replaces all tags'
+                        },
+                    }
+                },
+                Account: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'ABA Bank' },
+                        type: { type: 'string', enum: ['cash', 'bank', 'credit_card', 'savings', 'e_wallet', 'other'], example: 'bank' },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD', description: 'ISO 4217 currency code; every record of the account is in it' },
+                        openingBalance: { type: 'number', example: 1250, description: 'Balance before any of the account\'s records' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                AccountInput: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', example: 'ABA Bank', description: 'Unique per user; required on create' },
+                        type: { type: 'string', enum: ['cash', 'bank', 'credit_card', 'savings', 'e_wallet', 'other'], default: 'cash' },
+                        currency: { type: 'string', example: 'USD', description: 'ISO 4217 currency code; required on create' },
+                        openingBalance: { type: 'number', example: 1250, default: 0, description: "Rounded to the currency's decimal places" },
+                    }
+                },
+                AccountBalance: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Account' },
+                        {
+                            type: 'object',
+                            properties: {
+                                balance: { type: 'number', example: 1180.5, description: 'Opening balance plus income and transfers in, minus expenses and transfers out' }
+                            }
+                        }
+                    ]
+                },
+                RecordSplit: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        amount: { type: 'number', example: 12.5, description: 'Exact decimal amount' },
+                        note: { type: 'string', nullable: true, example: 'Detergent' },
+                        categoryId: { type: 'integer', nullable: true },
+                        Category: { $ref: '#/components/schemas/Category' },
+                    }
+                },
+                RecordSplitInput: {
+                    type: 'object',
+                    required: ['amount'],
+                    properties: {
+                        amount: { type: 'number', example: 12.5, description: "Number or decimal string, rounded to the currency's decimal places" },
+                        category: { type: 'string', example: 'Food', description: 'Category name, or path such as "Food > Coffee" when names repeat; omit for uncategorized' },
+                        note: { type: 'string', example: 'Detergent' },
+                    }
+                },
+                DuplicateSummary: {
+                    type: 'object',
+                    description: 'Saved record a new record may duplicate',
+                    properties: {
+                        id: { type: 'integer' },
+                        title: { type: 'string', example: 'Brown Coffee' },
+                        type: { type: 'string', enum: ['expense', 'income', 'transfer'] },
+                        date: { type: 'string', format: 'date' },
+                        amount: { type: 'number', example: 3.5 },
+                        currency: { type: 'string', example: 'USD' },
+                    }
+                },
+                ImportDuplicates: {
+                    type: 'array',
+                    description: 'Rows that look like saved records, whatever onDuplicate did with them',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            row: { type: 'integer', description: 'Line number in the file' },
+                            recordIds: { type: 'array', items: { type: 'integer' } },
+                        }
+                    }
+                },
+                Attachment: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        recordId: { type: 'integer' },
+                        fileName: { type: 'string', example: 'receipt.jpg' },
+                        mimeType: { type: 'string', example: 'image/jpeg' },
+                        size: { type: 'integer', description: 'Size in bytes', example: 182044 },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                AuditLogEntry: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        entityType: { type: 'string', example: 'Record' },
+                        entityId: { type: 'integer' },
+                        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+                        before: { type: 'object', nullable: true, description: 'Field values before the change' },
+                        after: { type: 'object', nullable: true, description: 'Field values after the change' },
+                        changes: {
+                            type: 'object',
+                            description: 'Changed fields',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: { from: {}, to: {} }
+                            },
+                            example: { amount: { from: 12.5, to: 15 } }
+                        },
+                        actorId: { type: 'string', format: 'uuid', nullable: true },
+                        actor: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                id: { type: 'string', format: 'uuid' },
+                                username: { type: 'string' },
+                            }
+                        },
+                        revertedToId: { type: 'integer', nullable: true, description: 'Entry restored by a revert' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                Tag: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'trip-japan' },
+                        color: { type: 'string', nullable: true, example: '#9c27b0' },
+                    }
+                },
+                TagInput: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', example: 'reimbursable', description: 'Stored lower-cased; no commas' },
+                        color: { type: 'string', nullable: true, example: '#9c27b0' },
+                    }
+                },
+                Payee: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'Brown Coffee' },
+                    }
+                },
+                PayeeInput: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', example: 'Brown Coffee', description: 'Unique per user regardless of case' },
+                    }
+                },
+                PayeeUsage: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Payee' },
+                        {
+                            type: 'object',
+                            properties: {
+                                recordCount: { type: 'integer', description: 'Records outside the trash' },
+                                lastUsed: { type: 'string', format: 'date', nullable: true, description: 'Date of the latest record' }
+                            }
+                        }
+                    ]
+                },
+                Rule: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'Coffee shops' },
+                        priority: { type: 'integer', example: 10, description: 'Lower numbers run first' },
+                        enabled: { type: 'boolean' },
+                        matchField: { type: 'string', enum: ['title', 'note', 'title_or_note'] },
+                        matchType: { type: 'string', enum: ['contains', 'regex'] },
+                        pattern: { type: 'string', nullable: true, example: 'coffee|café', description: 'Matched case-insensitively; null means no text condition' },
+                        currency: { type: 'string', nullable: true, example: 'USD' },
+                        minAmount: { type: 'number', nullable: true },
+                        maxAmount: { type: 'number', nullable: true, example: 10 },
+                        categoryId: { type: 'integer', nullable: true },
+                        payeeId: { type: 'integer', nullable: true },
+                        tags: { type: 'array', items: { type: 'string' }, example: ['coffee'] },
+                        Category: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+                        Payee: { allOf: [{ $ref: '#/components/schemas/Payee' }], nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                RuleInput: {
+                    type: 'object',
+                    description: 'At least one condition (pattern, currency or an amount bound) and one action (category, tags or payee)',
+                    properties: {
+                        name: { type: 'string', example: 'Coffee shops' },
+                        priority: { type: 'integer', default: 0 },
+                        enabled: { type: 'boolean', default: true },
+                        matchField: { type: 'string', enum: ['title', 'note', 'title_or_note'], default: 'title' },
+                        matchType: { type: 'string', enum: ['contains', 'regex'], default: 'contains' },
+                        pattern: { type: 'string', nullable: true, maxLength: 200, example: 'coffee', description: 'A regex can be at most 100 characters with up to 2 quantifiers (*, +, ?, {n,m}); it can\'t repeat a group holding quantifiers or alternatives, such as (a+)+, nor use backreferences. It is matched against the first 255 characters of the text' },
+                        currency: { type: 'string', nullable: true, example: 'USD', description: 'Records must be in this currency; required with an amount bound' },
+                        minAmount: { type: 'number', nullable: true },
+                        maxAmount: { type: 'number', nullable: true, example: 10 },
+                        category: { type: 'string', nullable: true, example: 'Food', description: 'Name of an existing category' },
+                        payee: { type: 'string', nullable: true, example: 'Brown Coffee', description: 'Payee name; unknown payees are created' },
+                        tags: { type: 'array', items: { type: 'string' }, example: ['coffee'], description: 'Tag names, created when first applied' },
+                    }
+                },
+                RecordFilters: {
+                    type: 'object',
+                    description: 'GET /api/records filter parameters, with the same names and meaning',
+                    properties: {
+                        q: { type: 'string', example: 'lunch' },
+                        categoryId: { type: 'integer', example: 3 },
+                        includeSubcategories: { type: 'boolean', description: 'With categoryId, also match the categories below it' },
+                        accountId: { type: 'integer' },
+                        payeeId: { type: 'integer' },
+                        tags: { type: 'string', example: 'trip-japan' },
+                        allTags: { type: 'string' },
+                        anyTags: { type: 'string' },
+                        type: { type: 'string', example: 'expense' },
+                        minAmount: { type: 'number', example: 40000 },
+                        maxAmount: { type: 'number' },
+                        amountCurrency: { type: 'string', example: 'KHR' },
+                        startDate: { type: 'string', format: 'date' },
+                        endDate: { type: 'string', format: 'date' },
+                        dateRange: {
+                            type: 'string',
+                            enum: ['today', 'last_7_days', 'last_30_days', 'last_90_days', 'last_365_days', 'this_month', 'last_month', 'this_quarter', 'last_quarter', 'this_year', 'last_year'],
+                            example: 'last_30_days',
+                            description: 'Relative to the day the view runs; not together with startDate or endDate'
+                        }
+                    }
+                },
+                SavedView: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'Groceries, last 30 days' },
+                        filters: { $ref: '#/components/schemas/RecordFilters' },
+                        sortBy: { type: 'string', enum: ['id', 'amount', 'date', 'title', 'relevance'], nullable: true },
+                        sort: { type: 'string', enum: ['asc', 'desc'], nullable: true },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                SummaryViewRef: {
+                    type: 'object',
+                    description: 'The saved view the summary was limited to; only present with ?view=',
+                    properties: {
+                        id: { type: 'integer' },
+                        name: { type: 'string', example: 'Groceries, last 30 days' },
+                    }
+                },
+                SavedViewInput: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', example: 'Groceries, last 30 days', description: 'Unique per user' },
+                        filters: { $ref: '#/components/schemas/RecordFilters' },
+                        sortBy: { type: 'string', enum: ['id', 'amount', 'date', 'title', 'relevance'], nullable: true, description: 'Null uses the list default' },
+                        sort: { type: 'string', enum: ['asc', 'desc'], nullable: true },
+                    }
+                },
+                SyncChangeInput: {
+                    type: 'object',
+                    required: ['op'],
+                    properties: {
+                        op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                        id: { type: 'integer', description: 'Record or category ID (update and delete)' },
+                        version: { type: 'integer', description: 'Version the client last saw (update and delete)' },
+                        data: { type: 'object', description: 'Fields as for POST /records or /categories (create), or the fields that changed (update)' },
+                        ref: { type: 'string', description: 'Client reference echoed in the result' }
+                    }
+                },
+                SyncChangeResult: {
+                    type: 'object',
+                    properties: {
+                        index: { type: 'integer' },
+                        op: { type: 'string' },
+                        ref: { type: 'string' },
+                        status: { type: 'integer', example: 200, description: 'HTTP status the individual endpoint would have returned; 409 for a conflict' },
+                        id: { type: 'integer' },
+                        record: { $ref: '#/components/schemas/Record' },
+                        category: { $ref: '#/components/schemas/Category' },
+                        error: { type: 'string' },
+                        current: { type: 'object', nullable: true, description: 'Conflicts only: the record or category as it is on the server, or null when it was deleted there' }
+                    }
+                },
+                ExchangeRate: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        fromCurrency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD' },
+                        toCurrency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'KHR' },
+                        rate: { type: 'number', example: 4100, description: 'Units of toCurrency one unit of fromCurrency buys' },
+                        date: { type: 'string', format: 'date', example: '2026-10-01', description: 'First day the rate applies; it lasts until the next rate for the pair' },
+                        userId: { type: 'string', format: 'uuid', nullable: true, description: 'Owner; null for shared rates' },
+                        shared: { type: 'boolean', description: 'Loaded by an admin for everyone. Your own rate wins over a shared one on the same date' }
+                    }
+                },
+                ExchangeRateInput: {
+                    type: 'object',
+                    required: ['from', 'to', 'rate', 'date'],
+                    properties: {
+                        from: { type: 'string', example: 'USD', description: 'ISO 4217 currency code' },
+                        to: { type: 'string', example: 'KHR', description: 'ISO 4217 currency code' },
+                        rate: { type: 'number', example: 4100, description: 'Positive; up to 12 decimal places' },
+                        date: { type: 'string', format: 'date', example: '2026-10-01' }
+                    }
+                },
+                ExchangeRateImportResult: {
+                    type: 'object',
+                    properties: {
+                        created: { type: 'integer', example: 250 },
+                        updated: { type: 'integer', example: 3, description: 'Rates replaced because the pair already had one on that date' }
+                    }
+                },
+                RecurringSchedule: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        title: { type: 'string', example: 'Rent' },
+                        type: { type: 'string', enum: ['expense', 'income', 'transfer'], example: 'expense' },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD', description: 'ISO 4217 currency code' },
+                        amount: { type: 'number', example: 450, description: 'Exact decimal amount' },
+                        note: { type: 'string', example: 'Apartment rent' },
+                        categoryId: { type: 'integer', nullable: true },
+                        frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'yearly'], example: 'monthly' },
+                        interval: { type: 'integer', example: 1, description: 'Repeat every N periods' },
+                        startDate: { type: 'string', format: 'date', example: '2025-08-01' },
+                        endDate: { type: 'string', format: 'date', nullable: true },
+                        maxOccurrences: { type: 'integer', nullable: true, description: 'End after this many occurrences' },
+                        occurrenceCount: { type: 'integer', description: 'Occurrences created or skipped so far' },
+                        processedThrough: { type: 'string', format: 'date', nullable: true },
+                        nextOccurrence: { type: 'string', format: 'date', nullable: true, description: 'Null once the series has ended' },
+                        skippedDates: { type: 'array', items: { type: 'string', format: 'date' } },
+                        isPaused: { type: 'boolean' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' },
+                    }
+                },
+                RecurringScheduleInput: {
+                    type: 'object',
+                    required: ['title', 'currency', 'amount', 'frequency', 'startDate'],
+                    properties: {
+                        title: { type: 'string', example: 'Rent' },
+                        type: { type: 'string', enum: ['expense', 'income', 'transfer'], default: 'expense' },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'USD', description: 'ISO 4217 currency code' },
+                        amount: { type: 'number', example: 450, description: "Number or decimal string, rounded to the currency's decimal places" },
+                        note: { type: 'string', example: 'Apartment rent' },
+                        category: { type: 'string', example: 'Services', description: 'Category name' },
+                        frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'yearly'], example: 'monthly' },
+                        interval: { type: 'integer', default: 1, example: 1 },
+                        startDate: { type: 'string', format: 'date', example: '2025-08-01' },
+                        endDate: { type: 'string', format: 'date', nullable: true },
+                        maxOccurrences: { type: 'integer', nullable: true, example: 12 },
+                    }
+                },
+                Currency: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', example: 'THB', description: 'ISO 4217 currency code' },
+                        name: { type: 'string', example: 'Baht' },
+                        decimals: { type: 'integer', example: 2, description: 'Decimal places amounts are rounded to' },
+                    }
+                },
+                CurrencyTotals: {
+                    type: 'object',
+                    description: 'Amounts keyed by ISO 4217 currency code',
+                    additionalProperties: { type: 'number', nullable: true },
+                    example: { KHR: 40000, THB: 1250.5, USD: 125.25 }
+                },
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string', example: 'Validation failed' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    in: { type: 'string', enum: ['params', 'query', 'body'] },
+                                    field: { type: 'string', nullable: true, example: 'splits[1].amount', description: 'Path of the field; null when the problem is with the whole body or query' },
+                                    message: { type: 'string', example: 'must be a positive number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                ValidationError: {
+                    description: 'The path, query or body failed validation; nothing was changed. Every invalid field is listed',
+                    content: {
+                        'application/json': {
+                            schema: { $ref: '#/components/schemas/ValidationError' }
+                        }
                     }
                 }
             }
@@ -0,0 +1,401 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import {
+    countAccountRecords,
+    findOwnedAccount,
+    getAccountBalanceHistory,
+    getAccountBalances,
+    parseAccountInput
+} from '../services/Account.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Account
+ *    description: |
+ *      Accounts are where money is kept (cash, a bank account, a credit card). Records paid from an
+ *      account change its balance; transfer records move money between two accounts without counting
+ *      as an expense or income.
+ */
+
+/**
+ * @openapi
+ * /api/accounts:
+ *   get:
+ *     tags: [Account]
+ *     summary: Get all accounts of the authenticated user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Accounts ordered by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Account'
+ *       500:
+ *         description: Server error
+ */
+export const getAllAccounts = async (req, res) => {
+    try {
+        const accounts = await db.Account.findAll({
+            where: { userId: req.user.id },
+            order: [['name', 'ASC']]
+        });
+        res.json(accounts);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch accounts' });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts/balances:
+ *   get:
+ *     tags: [Account]
+ *     summary: Get the balance of every account, now or at the end of a past date
+ *     description: Records in the trash don't count.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Balance at the end of this day. Defaults to every record, including future-dated ones
+ *     responses:
+ *       200:
+ *         description: Accounts with their balances
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   nullable: true
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountBalance'
+ *       400:
+ *         description: Invalid date
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getBalances = async (req, res) => {
+    try {
+        const date = req.query.date ?? null;
+        const accounts = await getAccountBalances(req.user.id, date ?? undefined);
+        res.json({ date, accounts });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts:
+ *   post:
+ *     tags: [Account]
+ *     summary: Create a new account
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AccountInput'
+ *               - required: [name, currency]
+ *     responses:
+ *       201:
+ *         description: Account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Invalid name, type, currency or opening balance
+ *       409:
+ *         description: Account already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createAccount = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const data = parseAccountInput(req.body || {}, { required: true });
+
+        const existing = await db.Account.findOne({ where: { name: data.name, userId } });
+        if (existing) return res.status(409).json({ error: 'Account already exists' });
+
+        const account = await db.Account.create({ ...data, userId });
+        res.status(201).json(account);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   get:
+ *     tags: [Account]
+ *     summary: Get an account by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this account
+ *       404:
+ *         description: Account not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getAccountById = async (req, res) => {
+    try {
+        const account = await findOwnedAccount(req.user.id, req.params.id, 'access');
+        res.json(account);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts/{id}/balances:
+ *   get:
+ *     tags: [Account]
+ *     summary: Get the balance history of an account
+ *     description: |
+ *       The balance at the end of each day, week (ending Sunday) or month between startDate and
+ *       endDate. The last point is endDate itself.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the start of the month a year before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *     responses:
+ *       200:
+ *         description: Balance history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 account:
+ *                   $ref: '#/components/schemas/Account'
+ *                 interval:
+ *                   type: string
+ *                 balances:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       balance:
+ *                         type: number
+ *       400:
+ *         description: Invalid dates or interval, or more than 1000 points
+ *       403:
+ *         description: Forbidden - You don't have permission to access this account
+ *       404:
+ *         description: Account not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getAccountBalanceSeries = async (req, res) => {
+    try {
+        res.json(await getAccountBalanceHistory(req.user.id, req.params.id, req.query));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   put:
+ *     tags: [Account]
+ *     summary: Update an account
+ *     description: |
+ *       Fields left out keep their values (PATCH works the same way). The currency can only change
+ *       while no records use the account.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountInput'
+ *     responses:
+ *       200:
+ *         description: Account updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Invalid name, type, currency or opening balance
+ *       403:
+ *         description: Forbidden - You don't have permission to update this account
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Another account has this name, or the currency can't change because records use the account
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [Account]
+ *     summary: Update some fields of an account
+ *     description: Fields left out keep their values. The currency can only change while no records use the account.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AccountInput'
+ *     responses:
+ *       200:
+ *         description: Account updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Invalid name, type, currency or opening balance
+ *       403:
+ *         description: Forbidden - You don't have permission to update this account
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Another account has this name, or the currency can't change because records use the account
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updateAccount = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const account = await findOwnedAccount(userId, req.params.id, 'update');
+        const data = parseAccountInput(req.body || {}, { currency: account.currency });
+
+        if (data.name !== undefined && data.name !== account.name) {
+            const existing = await db.Account.findOne({ where: { name: data.name, userId } });
+            if (existing) return res.status(409).json({ error: 'Account already exists' });
+        }
+        if (data.currency !== undefined && data.currency !== account.currency) {
+            if (await countAccountRecords(account.id) > 0) {
+                return res.status(409).json({ error: "The currency can't change while records use this account" });
+            }
+            // Keep the opening balance within the new currency's decimal places
+            if (data.openingBalance === undefined) {
+                data.openingBalance = parseAccountInput({ openingBalance: account.openingBalance }, { currency: data.currency }).openingBalance;
+            }
+        }
+
+        await account.update(data);
+        res.json(account);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/accounts/{id}:
+ *   delete:
+ *     tags: [Account]
+ *     summary: Delete an account
+ *     description: Only accounts no record uses, including records in the trash, can be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this account
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         description: Records still use the account
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteAccount = async (req, res) => {
+    try {
+        const account = await findOwnedAccount(req.user.id, req.params.id, 'delete');
+
+        if (await countAccountRecords(account.id) > 0) {
+            return res.status(409).json({
+                error: 'Records (including any in the trash) still use this account. Move or delete them first'
+            });
+        }
+
+        await account.destroy();
+        res.json({ message: 'Account deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
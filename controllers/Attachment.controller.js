@@ -0,0 +1,218 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import { findOwnedRecord } from '../services/Record.service.js';
+import { createAttachment, findRecordAttachment, removeAttachmentFiles } from '../services/Attachment.service.js';
+import { getStorage } from '../utils/storage.js';
+
+/**
+ * @openapi
+ * /api/records/{id}/attachments:
+ *   post:
+ *     tags: [Record]
+ *     summary: Attach a receipt photo or PDF to a record
+ *     description: |
+ *       Accepts JPEG, PNG, WebP, HEIC and PDF files up to 10 MB. The file content must match its
+ *       declared type.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachment'
+ *       400:
+ *         description: Missing file, file too large, or unsupported or mismatching file type
+ *       403:
+ *         description: Forbidden - You don't have permission to access this record
+ *       404:
+ *         description: Record not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const uploadAttachment = async (req, res) => {
+    try {
+        const record = await findOwnedRecord(req.user.id, req.params.id, 'access');
+        const attachment = await createAttachment(record, req.file);
+        res.status(201).json(attachment);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/{id}/attachments:
+ *   get:
+ *     tags: [Record]
+ *     summary: List the attachments of a record
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     responses:
+ *       200:
+ *         description: Attachments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Attachment'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this record
+ *       404:
+ *         description: Record not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getRecordAttachments = async (req, res) => {
+    try {
+        const record = await findOwnedRecord(req.user.id, req.params.id, 'access');
+        const attachments = await db.Attachment.findAll({
+            where: { recordId: record.id },
+            order: [['createdAt', 'ASC'], ['id', 'ASC']]
+        });
+        res.json(attachments);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/{id}/attachments/{attachmentId}:
+ *   get:
+ *     tags: [Record]
+ *     summary: Download an attachment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The file, with its original name in Content-Disposition
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Forbidden - You don't have permission to access this record
+ *       404:
+ *         description: Record or attachment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const downloadAttachment = async (req, res) => {
+    try {
+        const record = await findOwnedRecord(req.user.id, req.params.id, 'access');
+        const attachment = await findRecordAttachment(record.id, req.params.attachmentId);
+
+        const stream = getStorage().createReadStream(attachment.storageKey);
+        stream.once('open', () => {
+            res.set({
+                'Content-Type': attachment.mimeType,
+                'Content-Length': attachment.size,
+                // Plain filename for old clients (ASCII only), filename* keeps the original name
+                'Content-Disposition': `attachment; filename="${attachment.fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+                'X-Content-Type-Options': 'nosniff'
+            });
+            stream.pipe(res);
+        });
+        stream.once('error', (err) => {
+            if (res.headersSent) return res.destroy(err);
+            const missing = err.code === 'ENOENT';
+            res.status(missing ? 404 : 500).json({ error: missing ? 'Attachment file is missing' : err.message });
+        });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     tags: [Record]
+ *     summary: Delete an attachment and its file
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachment deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: Forbidden - You don't have permission to update this record
+ *       404:
+ *         description: Record or attachment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteAttachment = async (req, res) => {
+    try {
+        const record = await findOwnedRecord(req.user.id, req.params.id, 'update');
+        const attachment = await findRecordAttachment(record.id, req.params.attachmentId);
+
+        await attachment.destroy();
+        await removeAttachmentFiles([attachment]);
+
+        res.json({ message: 'Attachment deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
@@ -5,6 +5,10 @@
  *    description: Category Management
  */
 import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { etagFor } from '../utils/etag.js';
+import { buildCategoryTree, createUserCategory, updateUserCategory, deleteUserCategory } from '../services/Category.service.js';
+import { markCategoryRecordsChanged } from '../services/Sync.service.js';
 
 const Category = db.Category;
 
@@ -16,6 +20,15 @@ const Category = db.Category;
  *     tags: [Categories]
  *     security:
  *       - mockAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: |
+ *           Return the top-level categories with their subcategories nested in `subcategories`, instead of
+ *           a flat list. Subcategories of a category in the trash show at the top level.
  *     responses:
  *       200:
  *         description: List of all categories
@@ -24,15 +37,18 @@ const Category = db.Category;
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Category'
+ *                 $ref: '#/components/schemas/CategoryTreeNode'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
 export const getAllCategories = async (req, res) => {
     try {
         const userId = req.user.id; // Get authenticated user ID
         const categories = await Category.findAll({
-            where: { userId } // Only get user's categories
+            where: { userId }, // Only get user's categories
+            order: [['name', 'ASC']]
         });
-        res.json(categories);
+        res.json(req.query.tree ? buildCategoryTree(categories) : categories);
     } catch (err) {
         res.status(500).json({ error: 'Failed to fetch categories' });
     }
@@ -46,6 +62,8 @@ export const getAllCategories = async (req, res) => {
  *     tags: [Categories]
  *     security:
  *       - mockAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -60,35 +78,22 @@ export const getAllCategories = async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Category'
  *       400:
- *         description: Invalid input
+ *         description: Parent category not found
  *       409:
- *         description: Category already exists
+ *         description: The parent (or the top level) already has a category with this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
 export const createCategory = async (req, res) => {
     try {
         const userId = req.user.id; // Get authenticated user ID
-        const { name, color } = req.body;
-
-        if (!name || !/^#[0-9A-Fa-f]{6}$/.test(color)) {
-            return res.status(400).json({ error: 'Invalid category data. Expect name and hex color.' });
-        }
-
-        // Check if category exists for this user only
-        const existing = await db.Category.findOne({ 
-            where: { 
-                name,
-                userId // Check within user's categories only
-            } 
-        });
-        if (existing) return res.status(409).json({ error: 'Category already exists' });
+        const { name, color, parentId } = req.body;
 
-        const category = await db.Category.create({ 
-            name, 
-            color,
-            userId // Auto-assign to authenticated user
-        });
-        res.status(201).json(category);
+        // Names are unique among the categories directly under the same parent
+        const category = await createUserCategory(userId, { name, color, parentId });
+        res.status(201).set('ETag', etagFor(category)).json(category);
     } catch (err) {
+        if (err instanceof ApiError) return res.status(err.status).json({ error: err.message });
         res.status(500).json({ error: 'Failed to create category' });
     }
 };
@@ -98,10 +103,13 @@ export const createCategory = async (req, res) => {
  * /api/categories/{id}:
  *   put:
  *     summary: Update a category
+ *     description: Fields left out keep their values (PATCH works the same way). A parentId of null moves the category to the top level.
  *     tags: [Categories]
  *     security:
  *       - mockAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -120,6 +128,8 @@ export const createCategory = async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Parent category not found, or it is the category itself or one of its subcategories
  *       403:
  *         description: Forbidden - You don't have permission to update this category
  *         content:
@@ -138,37 +148,96 @@ export const createCategory = async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       409:
+ *         description: The category's new parent (or the top level) already has a category with its name
+ *       412:
+ *         description: If-Match doesn't match - the category was changed since you loaded it; nothing was changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Category'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     summary: Change the name, color or parent of a category
+ *     description: Fields left out keep their values. A parentId of null moves the category to the top level.
+ *     tags: [Categories]
+ *     security:
+ *       - mockAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *         description: Parent category not found, or it is the category itself or one of its subcategories
+ *       403:
+ *         description: Forbidden - You don't have permission to update this category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       409:
+ *         description: The category's new parent (or the top level) already has a category with its name
+ *       412:
+ *         description: If-Match doesn't match - the category was changed since you loaded it; nothing was changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Category'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
 export const updateCategory = async (req, res) => {
     try {
-        const { id } = req.params;
         const userId = req.user.id; // Get authenticated user ID
-        const { name, color } = req.body;
-
-        // First check if the category exists at all
-        const categoryExists = await db.Category.findByPk(id);
-        
-        if (!categoryExists) {
-            return res.status(404).json({ error: 'Category not found' });
-        }
-        
-        // Then check if the user has permission to access this category
-        if (categoryExists.userId !== userId) {
-            return res.status(403).json({ error: 'You don\'t have permission to update this category' });
-        }
-        
-        const category = categoryExists; // Use the already found category
 
-        if (color && !/^#[0-9A-Fa-f]{6}$/.test(color)) {
-            return res.status(400).json({ error: 'Invalid hex color format' });
-        }
+        // Only writes over the version the client has seen
+        const category = await updateUserCategory(userId, req.params.id, req.body, { ifMatch: req.get('If-Match') });
+        // Records show the category's name and color
+        await markCategoryRecordsChanged(category.id);
 
-        category.name = name ?? category.name;
-        category.color = color ?? category.color;
-        await category.save();
-
-        res.json(category);
+        res.set('ETag', etagFor(category)).json(category);
     } catch (err) {
+        if (err instanceof ApiError) return res.status(err.status).json({ error: err.message, ...err.details });
         res.status(500).json({ error: 'Failed to update category' });
     }
 };
@@ -178,10 +247,18 @@ export const updateCategory = async (req, res) => {
  * /api/categories/{id}:
  *   delete:
  *     summary: Delete a category
+ *     description: |
+ *       The category moves to the trash. Its records keep it and get it back when the category is
+ *       restored through /trash/categories/{id}/restore; until then they show no category. Its
+ *       subcategories stay under it and show at the top level meanwhile. Once the category is purged
+ *       from the trash, they move up to its parent; one whose name is taken there gets a number added,
+ *       such as "Coffee (2)".
  *     tags: [Categories]
  *     security:
  *       - mockAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -215,29 +292,29 @@ export const updateCategory = async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       412:
+ *         description: If-Match doesn't match - the category was changed since you loaded it; nothing was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Category'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
 export const deleteCategory = async (req, res) => {
     try {
-        const { id } = req.params;
         const userId = req.user.id; // Get authenticated user ID
-
-        // First check if the category exists at all
-        const categoryExists = await db.Category.findByPk(id);
-        
-        if (!categoryExists) {
-            return res.status(404).json({ error: 'Category not found' });
-        }
-        
-        // Then check if the user has permission to access this category
-        if (categoryExists.userId !== userId) {
-            return res.status(403).json({ error: 'You don\'t have permission to delete this category' });
-        }
-        
-        // Delete the category
-        await categoryExists.destroy();
+        const category = await deleteUserCategory(userId, req.params.id, { ifMatch: req.get('If-Match') });
+        await markCategoryRecordsChanged(category.id);
 
         res.json({ message: 'Category deleted' });
     } catch (err) {
+        if (err instanceof ApiError) return res.status(err.status).json({ error: err.message, ...err.details });
         res.status(500).json({ error: 'Failed to delete category' });
     }
 };
\ No newline at end of file
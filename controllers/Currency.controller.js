@@ -0,0 +1,28 @@
+import { CURRENCIES } from '../config/currencies.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Currency
+ *    description: Currencies records can be kept in
+ */
+
+/**
+ * @openapi
+ * /api/currencies:
+ *   get:
+ *     tags: [Currency]
+ *     summary: List the supported ISO 4217 currencies with their decimal places
+ *     responses:
+ *       200:
+ *         description: Currencies ordered by code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Currency'
+ */
+export const getCurrencies = (req, res) => {
+    res.json(CURRENCIES);
+};
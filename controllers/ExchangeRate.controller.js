@@ -0,0 +1,399 @@
+import ApiError from '../utils/ApiError.js';
+import { parseCsv } from '../utils/csv.js';
+import { MONEY_SCALE, parseMoney } from '../utils/money.js';
+import { todayString } from '../utils/recurrence.js';
+import {
+    findOwnedExchangeRate,
+    importExchangeRates,
+    listExchangeRates,
+    loadExchangeRates,
+    parseExchangeRateInput,
+    parseExchangeRateRows,
+    saveExchangeRate
+} from '../services/ExchangeRate.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: ExchangeRate
+ *    description: |
+ *      Dated exchange rates used for every conversion. An amount converts at the rate on its record's date,
+ *      falling back to the nearest earlier rate. Shared rates are loaded by admins; each user can add their
+ *      own, which win over a shared rate on the same date. A rate also converts in the opposite direction.
+ *      Admins are made on the server with `npm run admin -- grant <email>`.
+ */
+
+// Helper function to store one rate for the owner (null for shared) and answer 201 or 200
+const saveRate = async (req, res, userId) => {
+    try {
+        const input = parseExchangeRateInput(req.body);
+        const { exchangeRate, created } = await saveExchangeRate(userId, input);
+        res.status(created ? 201 : 200).json(exchangeRate);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+// Helper function to import a CSV of rates for the owner (null for shared); nothing is stored if a row is invalid
+const importRates = async (req, res, userId) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV file is required in the "file" field' });
+        }
+
+        let rows;
+        try {
+            rows = parseCsv(req.file.buffer.toString('utf8'));
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const { rates, errors } = parseExchangeRateRows(rows);
+        if (errors.length > 0) {
+            const invalidRows = new Set(errors.map(error => error.row)).size;
+            return res.status(400).json({
+                error: `Import rejected: ${invalidRows} of ${rows.length - 1} rows are invalid. Nothing was imported.`,
+                errors
+            });
+        }
+
+        res.status(201).json(await importExchangeRates(userId, rates));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+// Helper function to delete one of the owner's rates (shared ones when `shared` is set)
+const deleteRate = async (req, res, shared) => {
+    try {
+        const exchangeRate = await findOwnedExchangeRate(req.user.id, req.params.id, { shared });
+        await exchangeRate.destroy();
+        res.json({ message: 'Exchange rate deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/exchange-rates:
+ *   get:
+ *     tags: [ExchangeRate]
+ *     summary: List the shared exchange rates and your own, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Only rates from this currency
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only rates into this currency
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Exchange rates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid currency or date filter
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getExchangeRates = async (req, res) => {
+    try {
+        res.json(await listExchangeRates(req.user.id, req.query));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/exchange-rates/convert:
+ *   get:
+ *     tags: [ExchangeRate]
+ *     summary: Convert an amount at the rate in effect on a date
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: amount
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Converted amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 amount:
+ *                   type: number
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 rate:
+ *                   type: number
+ *                 converted:
+ *                   type: number
+ *                   description: Rounded to the decimal places of the target currency
+ *       400:
+ *         description: Invalid amount, currency or date
+ *       404:
+ *         description: No exchange rate between the currencies on or before the date
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const convertAmount = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const date = req.query.date || todayString();
+        const amount = parseMoney(req.query.amount, MONEY_SCALE);
+
+        const rates = await loadExchangeRates(req.user.id, { currencies: [from, to], until: date });
+        const rate = rates.rate(from, to, date);
+        if (rate === null) {
+            return res.status(404).json({ error: `No exchange rate from ${from} to ${to} on or before ${date}` });
+        }
+
+        res.json({
+            amount: Number(amount),
+            from,
+            to,
+            date,
+            rate: Number(rate),
+            converted: Number(rates.convert(amount, from, to, date))
+        });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/exchange-rates:
+ *   post:
+ *     tags: [ExchangeRate]
+ *     summary: Add one of your own exchange rates
+ *     description: A rate you already have for the same pair and date is replaced.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRateInput'
+ *     responses:
+ *       201:
+ *         description: Rate added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRate'
+ *       200:
+ *         description: Rate for that pair and date replaced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid currency, rate or date
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createExchangeRate = (req, res) => saveRate(req, res, req.user.id);
+
+/**
+ * @openapi
+ * /api/exchange-rates/import:
+ *   post:
+ *     tags: [ExchangeRate]
+ *     summary: Bulk load your own exchange rates from a CSV file
+ *     description: |
+ *       The header row names the columns from, to, rate and date (YYYY-MM-DD), in any order. Rates you
+ *       already have for the same pair and date are replaced. If any row is invalid nothing is imported
+ *       and every problem is listed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Rates imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRateImportResult'
+ *       400:
+ *         description: Missing file, missing columns or invalid rows (with an errors list of row, field and message)
+ */
+export const importExchangeRateFile = (req, res) => importRates(req, res, req.user.id);
+
+/**
+ * @openapi
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     tags: [ExchangeRate]
+ *     summary: Delete one of your own exchange rates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rate deleted
+ *       403:
+ *         description: Forbidden - The rate is shared or belongs to someone else
+ *       404:
+ *         description: Exchange rate not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteExchangeRate = (req, res) => deleteRate(req, res, false);
+
+/**
+ * @openapi
+ * /api/exchange-rates/shared:
+ *   post:
+ *     tags: [ExchangeRate]
+ *     summary: Add a shared exchange rate (admins only)
+ *     description: A shared rate for the same pair and date is replaced.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRateInput'
+ *     responses:
+ *       201:
+ *         description: Rate added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRate'
+ *       200:
+ *         description: Rate for that pair and date replaced
+ *       400:
+ *         description: Invalid currency, rate or date
+ *       403:
+ *         description: Admin access required
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createSharedExchangeRate = (req, res) => saveRate(req, res, null);
+
+/**
+ * @openapi
+ * /api/exchange-rates/shared/import:
+ *   post:
+ *     tags: [ExchangeRate]
+ *     summary: Bulk load shared exchange rates from a CSV file (admins only)
+ *     description: Same file format and all-or-nothing behaviour as POST /api/exchange-rates/import.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Rates imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExchangeRateImportResult'
+ *       400:
+ *         description: Missing file, missing columns or invalid rows
+ *       403:
+ *         description: Admin access required
+ */
+export const importSharedExchangeRateFile = (req, res) => importRates(req, res, null);
+
+/**
+ * @openapi
+ * /api/exchange-rates/shared/{id}:
+ *   delete:
+ *     tags: [ExchangeRate]
+ *     summary: Delete a shared exchange rate (admins only)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rate deleted
+ *       403:
+ *         description: Admin access required, or the rate is not a shared one
+ *       404:
+ *         description: Exchange rate not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteSharedExchangeRate = (req, res) => deleteRate(req, res, true);
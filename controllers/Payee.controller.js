@@ -0,0 +1,341 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import {
+    deleteUserPayee,
+    findOwnedPayee,
+    findPayeeByName,
+    getPayeeUsage,
+    mergePayees,
+    parsePayeeName,
+    suggestPayees
+} from '../services/Payee.service.js';
+import { markRecordsChanged } from '../services/Sync.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Payee
+ *    description: |
+ *      Payees are the merchants or people records are paid to or received from. A record names its payee
+ *      with the `payee` field; unknown names create the payee, and names match regardless of case.
+ */
+
+/**
+ * @openapi
+ * /api/payees:
+ *   get:
+ *     tags: [Payee]
+ *     summary: Get all payees of the authenticated user with their record counts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of payees ordered by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PayeeUsage'
+ *       500:
+ *         description: Server error
+ */
+export const getAllPayees = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const payees = await db.Payee.findAll({
+            where: { userId },
+            order: [['name', 'ASC']]
+        });
+        const usage = await getPayeeUsage(userId, payees.map(payee => payee.id));
+
+        res.json(payees.map(payee => ({ ...payee.toJSON(), recordCount: 0, lastUsed: null, ...usage.get(payee.id) })));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch payees' });
+    }
+};
+
+/**
+ * @openapi
+ * /api/payees/autocomplete:
+ *   get:
+ *     tags: [Payee]
+ *     summary: Suggest payees for a partly typed name
+ *     description: |
+ *       Payees whose name contains q, ranked by how often and how recently they were used. Each payee
+ *       scores its record count, halved for every 30 days since its latest record; payees without records
+ *       come last. Records in the trash don't count.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text the name must contain, in any case. Without it every payee is ranked
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Suggested payees, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PayeeUsage'
+ *       400:
+ *         description: Invalid limit
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const autocompletePayees = async (req, res) => {
+    try {
+        res.json(await suggestPayees(req.user.id, req.query));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/payees:
+ *   post:
+ *     tags: [Payee]
+ *     summary: Create a new payee
+ *     description: Payees are also created automatically when a record uses an unknown payee name.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayeeInput'
+ *     responses:
+ *       201:
+ *         description: Payee created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payee'
+ *       400:
+ *         description: Invalid name
+ *       409:
+ *         description: A payee with this name already exists (in any case)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createPayee = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const name = parsePayeeName(req.body.name);
+
+        const existing = await findPayeeByName(userId, name);
+        if (existing) return res.status(409).json({ error: 'Payee already exists' });
+
+        const payee = await db.Payee.create({ name, userId });
+        res.status(201).json(payee);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/payees/{id}:
+ *   put:
+ *     tags: [Payee]
+ *     summary: Rename a payee
+ *     description: Renaming keeps the payee on all of its records. Use merge to combine two payees.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayeeInput'
+ *     responses:
+ *       200:
+ *         description: Payee updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payee'
+ *       400:
+ *         description: Invalid name
+ *       403:
+ *         description: Forbidden - You don't have permission to update this payee
+ *       404:
+ *         description: Payee not found
+ *       409:
+ *         description: Another payee already has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [Payee]
+ *     summary: Rename a payee (same as PUT, as name is its only field)
+ *     description: Renaming keeps the payee on all of its records. Use merge to combine two payees.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PayeeInput'
+ *     responses:
+ *       200:
+ *         description: Payee updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payee'
+ *       400:
+ *         description: Invalid name
+ *       403:
+ *         description: Forbidden - You don't have permission to update this payee
+ *       404:
+ *         description: Payee not found
+ *       409:
+ *         description: Another payee already has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updatePayee = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const payee = await findOwnedPayee(userId, req.params.id, 'update');
+
+        // A PATCH may leave the name out
+        if (req.body.name !== undefined) {
+            const name = parsePayeeName(req.body.name);
+            const existing = await findPayeeByName(userId, name);
+            if (existing && existing.id !== payee.id) {
+                return res.status(409).json({ error: 'Payee already exists' });
+            }
+
+            payee.name = name; // a change of case only is allowed
+            await payee.save();
+            // Records show the payee's name
+            await markRecordsChanged({ payeeId: payee.id });
+        }
+        res.json(payee);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/payees/{id}/merge:
+ *   post:
+ *     tags: [Payee]
+ *     summary: Merge duplicate payees into this one
+ *     description: |
+ *       Records of the source payees, including those in the trash, and their rules move to this payee
+ *       and the source payees are deleted. Each moved record gets a history entry.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Payee to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sourceIds]
+ *             properties:
+ *               sourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Payees to merge into this one
+ *     responses:
+ *       200:
+ *         description: Payees merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 payee:
+ *                   $ref: '#/components/schemas/Payee'
+ *                 mergedPayees:
+ *                   type: integer
+ *                 movedRecords:
+ *                   type: integer
+ *       400:
+ *         description: sourceIds missing, invalid or containing this payee
+ *       403:
+ *         description: Forbidden - A payee belongs to someone else
+ *       404:
+ *         description: A payee was not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const mergePayee = async (req, res) => {
+    try {
+        res.json(await mergePayees(req.user.id, req.params.id, req.body.sourceIds));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/payees/{id}:
+ *   delete:
+ *     tags: [Payee]
+ *     summary: Delete a payee
+ *     description: The payee is removed from all of its records; the records themselves are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payee deleted
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this payee
+ *       404:
+ *         description: Payee not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deletePayee = async (req, res) => {
+    try {
+        await deleteUserPayee(req.user.id, req.params.id);
+        res.json({ message: 'Payee deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
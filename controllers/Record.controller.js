@@ -1,18 +1,44 @@
 import db from "../models/index.js";
-import { Op } from 'sequelize';
-
-// Currency conversion rates
-const EXCHANGE_RATES = {
-    USD_TO_KHR: 4000, // 1 USD = 4000 KHR
-    KHR_TO_USD: 0.00025 // 1 KHR = 0.00025 USD
-};
-
-// Helper function to convert amounts to a base currency (USD) for comparison
-const convertToBaseCurrency = (amount, currency) => {
-    if (currency === 'USD') return parseFloat(amount);
-    if (currency === 'KHR') return parseFloat(amount) * EXCHANGE_RATES.KHR_TO_USD;
-    return parseFloat(amount);
-};
+import ApiError from '../utils/ApiError.js';
+import {
+    buildRecordFilters,
+    categoryInclude,
+    createUserRecord,
+    deleteUserRecord,
+    findOwnedRecord,
+    findRecordPageByCursor,
+    findRecordWithCategory,
+    forEachRecordBatch,
+    payeeInclude,
+    getUserRecordHistory,
+    revertUserRecord,
+    splitInclude,
+    tagInclude,
+    updateUserRecord
+} from '../services/Record.service.js';
+import { DEFAULT_CATEGORY_COLOR, getCategoryMap } from '../services/Category.service.js';
+import {
+    dismissDuplicateGroup,
+    duplicateSummary,
+    findDuplicateGroups,
+    findDuplicatesOf,
+    mergeDuplicateGroup,
+    parseDuplicateMode
+} from '../services/Duplicate.service.js';
+import { loadExchangeRates } from '../services/ExchangeRate.service.js';
+import { parsePayeeName, resolvePayee } from '../services/Payee.service.js';
+import { loadRuleSet } from '../services/Rule.service.js';
+import { resolveTags } from '../services/Tag.service.js';
+import { parseCsv } from '../utils/csv.js';
+import {
+    MAX_IMPORT_ROWS,
+    normalizeRow,
+    parseImportOptions,
+    resolveColumns
+} from '../utils/recordImport.js';
+import { createExportWriter } from '../utils/recordExport.js';
+import { normalizeDate } from '../utils/recurrence.js';
+import { etagFor } from '../utils/etag.js';
 
 /**
  * @openapi
@@ -43,6 +69,22 @@ const convertToBaseCurrency = (amount, currency) => {
  *           default: 10
  *         description: Number of records per page
  *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *           default: page
+ *         description: |
+ *           Use "cursor" for keyset pagination on (sortBy, id): pages stay stable while records are
+ *           added, and no total count is computed. Follow meta.nextCursor / meta.prevCursor to move
+ *           between pages. Not available when sorting by relevance; searches (q) are sorted by date
+ *           in cursor mode unless another field is given.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from meta.nextCursor or meta.prevCursor (implies pagination=cursor). Keep the same sort, sortBy and filters
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -53,14 +95,62 @@ const convertToBaseCurrency = (amount, currency) => {
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [id, amount, date, title]
+ *           enum: [id, amount, date, title, relevance]
  *           default: id
- *         description: Field to sort by
+ *         description: Field to sort by. Searches (q) are sorted by relevance unless another field is given
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           example: pharmacy
+ *         description: |
+ *           Full-text search on title and note, case-insensitive. Every word must match, as a whole
+ *           word or as a prefix. Combines with all other filters.
  *       - in: query
  *         name: categoryId
  *         schema:
  *           type: integer
- *         description: Filter by category ID (more efficient for large datasets)
+ *         description: |
+ *           Filter by category ID (more efficient for large datasets). Split records match when one of
+ *           their split lines has this category; their own category is ignored.
+ *       - in: query
+ *         name: includeSubcategories
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: With categoryId, also match the categories below it, at any depth
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: integer
+ *         description: Records paid from or into this account, including transfers into it
+ *       - in: query
+ *         name: payeeId
+ *         schema:
+ *           type: integer
+ *         description: Records with this payee
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *           example: trip-japan,reimbursable
+ *         description: Comma-separated tag names; records must carry every listed tag (same as allTags)
+ *       - in: query
+ *         name: allTags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag names; records must carry every listed tag
+ *       - in: query
+ *         name: anyTags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag names; records must carry at least one of them
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: expense,income
+ *         description: Filter by record type (expense, income, transfer). Accepts a comma-separated list
  *       - in: query
  *         name: minAmount
  *         schema:
@@ -87,12 +177,28 @@ const convertToBaseCurrency = (amount, currency) => {
  *         name: amountCurrency
  *         schema:
  *           type: string
- *           enum: [USD, KHR]
+ *           pattern: '^[A-Za-z]{3}$'
  *           default: USD
  *         description: |
- *           Currency unit for amount filters (default: USD).
- *           System automatically includes equivalent amounts in both currencies.
- *           Example: minAmount=100&amountCurrency=USD will include records ≥100 USD OR ≥400,000 KHR
+ *           ISO 4217 currency of the amount filters (default: USD).
+ *           Records in other currencies match on their amount converted at the exchange rate on the
+ *           record's date; records without a rate on their date are left out.
+ *           Example: with 1 USD = 4000 KHR, minAmount=100&amountCurrency=USD includes records ≥100 USD OR ≥400,000 KHR
+ *       - in: query
+ *         name: dateRange
+ *         schema:
+ *           type: string
+ *           enum: [today, last_7_days, last_30_days, last_90_days, last_365_days, this_month, last_month, this_quarter, last_quarter, this_year, last_year]
+ *         description: |
+ *           Date window relative to today, instead of startDate and endDate (ignored when either is given).
+ *           Calendar periods cover the whole month, quarter or year
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: integer
+ *         description: |
+ *           Id of a saved view (see /api/views) whose filters and sort to use. Parameters given here
+ *           replace the view's value for the same parameter
  *     responses:
  *       200:
  *         description: List of records
@@ -106,14 +212,31 @@ const convertToBaseCurrency = (amount, currency) => {
  *                   properties:
  *                     totalItems:
  *                       type: integer
+ *                       description: Page mode only
  *                     page:
  *                       type: integer
+ *                       description: Page mode only
  *                     totalPages:
  *                       type: integer
+ *                       description: Page mode only
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only; null on the last page
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor mode only; null on the first page
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Record'
+ *       403:
+ *         description: Forbidden - The saved view belongs to someone else
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -128,118 +251,57 @@ export const getAllRecords = async (req,res) => {
     const userId = req.user.id; // Get authenticated user ID
     const page = parseInt(req.query.page) || 1;
     const pageSize = parseInt(req.query.pageSize) || 10;
-    const sort = req.query.sort === 'asc' ? 'ASC' : 'DESC';
-    const sortBy = req.query.sortBy || 'date';
-    
-    // Filter parameters
-    const categoryId = req.query.categoryId;
-    const minAmount = req.query.minAmount;
-    const maxAmount = req.query.maxAmount;
-    const startDate = req.query.startDate;
-    const endDate = req.query.endDate;
-    const amountCurrency = req.query.amountCurrency;
 
     try{
-        let whereConditions = {
-            userId: userId // Only get records belonging to authenticated user
-        };
-        
-        // Apply category filter by ID (optimized for performance)
-        if (categoryId) {
-            // Direct category ID filtering - much faster than name lookup
-            whereConditions.categoryId = parseInt(categoryId);
-        }
-        
-        // Apply amount range filter with currency conversion
-        if (minAmount || maxAmount) {
-            // Convert filter amounts to base currency (USD) for comparison
-            const minAmountUSD = minAmount ? convertToBaseCurrency(minAmount, amountCurrency || 'USD') : null;
-            const maxAmountUSD = maxAmount ? convertToBaseCurrency(maxAmount, amountCurrency || 'USD') : null;
-            
-            // Create complex where condition that handles both currencies
-            const amountConditions = [];
-            
-            if (minAmountUSD !== null && maxAmountUSD !== null) {
-                // Both min and max specified
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'USD' },
-                        { amount: { [Op.gte]: minAmountUSD, [Op.lte]: maxAmountUSD } }
-                    ]
-                });
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'KHR' },
-                        { amount: { [Op.gte]: minAmountUSD * EXCHANGE_RATES.USD_TO_KHR, [Op.lte]: maxAmountUSD * EXCHANGE_RATES.USD_TO_KHR } }
-                    ]
-                });
-            } else if (minAmountUSD !== null) {
-                // Only min specified
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'USD' },
-                        { amount: { [Op.gte]: minAmountUSD } }
-                    ]
-                });
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'KHR' },
-                        { amount: { [Op.gte]: minAmountUSD * EXCHANGE_RATES.USD_TO_KHR } }
-                    ]
-                });
-            } else if (maxAmountUSD !== null) {
-                // Only max specified
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'USD' },
-                        { amount: { [Op.lte]: maxAmountUSD } }
-                    ]
-                });
-                amountConditions.push({
-                    [Op.and]: [
-                        { currency: 'KHR' },
-                        { amount: { [Op.lte]: maxAmountUSD * EXCHANGE_RATES.USD_TO_KHR } }
-                    ]
-                });
-            }
-            
-            if (amountConditions.length > 0) {
-                whereConditions[Op.and] = whereConditions[Op.and] || [];
-                whereConditions[Op.and].push({ [Op.or]: amountConditions });
-            }
-        }
-        
-        // Note: Currency filtering is now handled in the amount range filter above
-        // No separate currency filter needed
-        
-        // Apply date range filter
-        if (startDate || endDate) {
-            whereConditions.date = {};
-            if (startDate) {
-                whereConditions.date[Op.gte] = new Date(startDate);
-            }
-            if (endDate) {
-                // Add time to end date to include the entire day
-                const endDateTime = new Date(endDate);
-                endDateTime.setHours(23, 59, 59, 999);
-                whereConditions.date[Op.lte] = endDateTime;
-            }
-        }
+        const { where: whereConditions, filters, rank, view } = await buildRecordFilters(userId, req.query);
+
+        // A saved view's sort applies unless the query gives its own.
+        // Search results are ranked by relevance unless another sort field is requested; cursors can't
+        // follow a relevance ranking, so cursor pages of a search default to the date order instead
+        const cursorMode = req.query.pagination === 'cursor' || Boolean(req.query.cursor);
+        const sort = (req.query.sort ?? view?.sort) === 'asc' ? 'ASC' : 'DESC';
+        const sortBy = req.query.sortBy || view?.sortBy || (rank && !cursorMode ? 'relevance' : 'date');
         
         // Validate sortBy field
         const validSortFields = ['id', 'amount', 'date', 'title'];
-        const orderField = validSortFields.includes(sortBy) ? sortBy : 'id';
-        const orderBy = [[orderField, sort]];
+        let orderField;
+        let orderBy;
+        if (sortBy === 'relevance' && rank) {
+            orderField = 'relevance';
+            orderBy = [[rank, 'DESC'], ['date', 'DESC'], ['id', 'DESC']];
+        } else {
+            orderField = validSortFields.includes(sortBy) ? sortBy : 'id';
+            orderBy = [[orderField, sort]];
+        }
+
+        // Opt-in cursor mode: keyset pagination without a count
+        if (cursorMode) {
+            const { records, nextCursor, prevCursor } = await findRecordPageByCursor(whereConditions, {
+                sortBy: orderField,
+                sort,
+                pageSize,
+                cursor: req.query.cursor
+            });
+            return res.json({
+                meta: {
+                    pagination: 'cursor',
+                    pageSize,
+                    nextCursor,
+                    prevCursor,
+                    filters: {
+                        ...filters,
+                        sortBy: orderField,
+                        sort: sort
+                    }
+                },
+                data: records,
+            });
+        }
 
         const total = await db.Record.count({ where: whereConditions });
         const records = await db.Record.findAll({
             where: whereConditions,
-            include: [
-                {
-                    model: db.Category,
-                    attributes: ['id', 'name', 'color']
-                }
-            ],
+            include: [categoryInclude, payeeInclude, splitInclude, tagInclude],
             limit: pageSize,
             offset: (page - 1) * pageSize,
             order: orderBy
@@ -252,12 +314,7 @@ export const getAllRecords = async (req,res) => {
                 pageSize,
                 totalPages: Math.ceil(total / pageSize),
                 filters: {
-                    categoryId: categoryId ? parseInt(categoryId) : null,
-                    minAmount: minAmount ? parseFloat(minAmount) : null,
-                    maxAmount: maxAmount ? parseFloat(maxAmount) : null,
-                    startDate: startDate || null,
-                    endDate: endDate || null,
-                    amountCurrency: amountCurrency || null,
+                    ...filters,
                     sortBy: orderField,
                     sort: sort
                 }
@@ -265,7 +322,7 @@ export const getAllRecords = async (req,res) => {
             data: records,
         });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
     }
 };
 
@@ -278,29 +335,53 @@ export const getAllRecords = async (req,res) => {
  *     security:
  *       - bearerAuth: []
  *     description: |
- *       Create a new expense record. For category field:
+ *       Create a new record. The type defaults to "expense"; use "income" for money coming in
+ *       and "transfer" for movements that are neither, such as moving money from accountId to
+ *       toAccountId. For category field:
  *       - Use category names like "Food", "Gas", "Services"
  *       - Or any category name you've created
- *       - Leave empty for no category
+ *       - Leave empty for no category, or for the one your rules assign
+ *
+ *       Your rules (see /api/rules) fill in the category, payee and tags the request leaves out.
+ *
+ *       A record with the same type, currency and amount as a saved one, dated at most 3 days apart and
+ *       with a similar title, is a suspected duplicate (a double tap on save, for instance). onDuplicate
+ *       decides what happens then.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: onDuplicate
+ *         schema:
+ *           type: string
+ *           enum: [allow, warn, reject]
+ *           default: warn
+ *         description: |
+ *           warn saves the record and lists the suspected duplicates in possibleDuplicates; reject refuses
+ *           it with 409; allow saves it without checking
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [title, date, currency, amount]
+ *             required: [title, date, amount]
  *             properties:
  *               title:
  *                 type: string
  *                 example: "Grocery Shopping"
+ *               type:
+ *                 type: string
+ *                 enum: [expense, income, transfer]
+ *                 default: expense
  *               date:
  *                 type: string
  *                 format: date
  *                 example: "2025-07-21"
  *               currency:
  *                 type: string
- *                 enum: [USD, KHR]
+ *                 pattern: '^[A-Za-z]{3}$'
  *                 example: "USD"
+ *                 description: Required unless accountId is given
  *               amount:
  *                 type: number
  *                 format: float
@@ -312,16 +393,59 @@ export const getAllRecords = async (req,res) => {
  *                 type: string
  *                 enum: [Food, Gas, Services]
  *                 example: "Food"
- *                 description: Category name (optional dropdown selection)
+ *                 description: Category name, or path such as "Food > Coffee" when names repeat (optional dropdown selection)
+ *               payee:
+ *                 type: string
+ *                 example: "Brown Coffee"
+ *                 description: Payee name (optional), matched in any case. Payees that don't exist yet are created
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["trip-japan", "reimbursable"]
+ *                 description: Tag names (optional). Tags that don't exist yet are created
+ *               splits:
+ *                 type: array
+ *                 description: Optional split across categories; at least two lines adding up to amount
+ *                 items:
+ *                   $ref: '#/components/schemas/RecordSplitInput'
+ *               accountId:
+ *                 type: integer
+ *                 description: Account the money is paid from (or into, for income). currency can be left out and defaults to the account's; when given it must match
+ *               toAccountId:
+ *                 type: integer
+ *                 description: Transfers only - account the money moves into. Transfers never count as expenses or income
+ *               toAmount:
+ *                 type: number
+ *                 description: |
+ *                   Transfers between accounts in different currencies - amount received in toAccountId's currency.
+ *                   Defaults to the amount converted at the exchange rate on the record's date
  *     responses:
  *       201:
  *         description: Record created successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Record'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Record'
+ *                 - type: object
+ *                   properties:
+ *                     possibleDuplicates:
+ *                       type: array
+ *                       description: Only with onDuplicate=warn - saved records this one may duplicate
+ *                       items:
+ *                         $ref: '#/components/schemas/DuplicateSummary'
  *       400:
- *         description: Bad request - missing required fields or invalid category
+ *         description: Bad request - missing required fields, invalid type, invalid category, invalid tags, invalid splits, invalid accounts or invalid onDuplicate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       409:
+ *         description: Only with onDuplicate=reject - the record looks like a duplicate; nothing was saved
  *         content:
  *           application/json:
  *             schema:
@@ -329,59 +453,42 @@ export const getAllRecords = async (req,res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *                 duplicates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DuplicateSummary'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
 
 export const createRecord = async (req, res) => {
     try{
         const userId = req.user.id; //to get userId
-         const { title, date, currency, amount, category } = req.body;
-        
-        if (!title || !date || !currency || !amount) {
-            return res.status(400).json({ 
-                error: "Missing required fields: title, date, currency, amount" 
-            });
-        }
-        
-        let categoryId = null;
-        if (category) {
-            const foundCategory = await db.Category.findOne({ 
-                where: { 
-                    name: category,
-                    userId: userId // Only search within user's categories
-                } 
-            });
-            if (!foundCategory) {
-                return res.status(400).json({ 
-                    error: `Category "${category}" not found. Please create it first or use existing categories like "Food", "Gas", "Services"` 
+        const onDuplicate = parseDuplicateMode(req.query.onDuplicate);
+
+        // Checked against the record as saved, so the amount and currency are already normalized
+        const { record, duplicates } = await db.sequelize.transaction(async (transaction) => {
+            const record = await createUserRecord(userId, req.body, { transaction });
+            const [duplicates] = onDuplicate === 'allow' ? [[]] : await findDuplicatesOf(userId, [record], { transaction });
+            if (onDuplicate === 'reject' && duplicates.length > 0) {
+                throw new ApiError(409, 'This record looks like a duplicate. Send onDuplicate=allow to save it anyway', {
+                    duplicates: duplicates.map(duplicateSummary)
                 });
             }
-            categoryId = foundCategory.id;
-        }
-        
-        const recordData = {
-            title,
-            date,
-            currency,
-            amount,
-            note: req.body.note,
-            categoryId: categoryId,
-            userId: userId
-        };
-        
-        const record = await db.Record.create(recordData);
-        
-
-        const recordWithCategory = await db.Record.findByPk(record.id, {
-            include: [
-                {
-                    model: db.Category,
-                    attributes: ['id', 'name', 'color']
-                }
-            ]
+            return { record, duplicates };
         });
+
+        const recordWithCategory = await findRecordWithCategory(record.id);
         
+        res.set('ETag', etagFor(recordWithCategory));
+        if (onDuplicate === 'warn') {
+            return res.status(201).json({ ...recordWithCategory.toJSON(), possibleDuplicates: duplicates.map(duplicateSummary) });
+        }
         res.status(201).json(recordWithCategory);
     } catch (err) {
+        if (err instanceof ApiError) {
+            return res.status(err.status).json({ error: err.message, ...err.details });
+        }
         res.status(400).json({ error: "Error creating record: " + err.message });
     }
 };
@@ -395,11 +502,162 @@ export const createRecord = async (req, res) => {
  *     security:
  *       - bearerAuth: []
  *     description: |
- *       Update an existing expense record. All fields are optional:
+ *       Update an existing record. All fields are optional; the ones left out keep their values (PATCH
+ *       works the same way):
+ *       - For category field: Use category names like "Food", "Gas", "Services"
+ *       - Set category to null to remove category
+ *       - Leave category out to keep existing category
+ *
+ *       Send the ETag of the version you edited in If-Match, so you don't overwrite somebody else's change.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Updated Grocery Shopping"
+ *               type:
+ *                 type: string
+ *                 enum: [expense, income, transfer]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-07-21"
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
+ *                 example: "USD"
+ *               amount:
+ *                 type: number
+ *                 format: float
+ *                 example: 30.00
+ *               note:
+ *                 type: string
+ *                 example: "Updated note"
+ *               category:
+ *                 type: string
+ *                 enum: [Food, Gas, Services]
+ *                 example: "Food"
+ *                 description: Category name, or path such as "Food > Coffee" when names repeat (optional dropdown selection, or null to remove category)
+ *               payee:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Brown Coffee"
+ *                 description: Payee name, created when unknown; null or an empty string removes the payee
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["reimbursable"]
+ *                 description: Replaces all tags of the record; an empty array or null removes them
+ *               splits:
+ *                 type: array
+ *                 description: |
+ *                   Replaces all split lines; an empty array or null removes the split. When changing the
+ *                   amount of a split record, send the new lines with it.
+ *                 items:
+ *                   $ref: '#/components/schemas/RecordSplitInput'
+ *               accountId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Account the money is paid from; null removes it
+ *               toAccountId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Transfers only - account the money moves into; null removes it
+ *               toAmount:
+ *                 type: number
+ *                 description: |
+ *                   Amount received by toAccountId when its currency differs. Converted again at the rate on the
+ *                   record's date when the amount, date, currency or accounts change without a new toAmount
+ *     responses:
+ *       200:
+ *         description: Record updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Version of the record; send it back in If-Match to update or delete it safely
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: Bad request - invalid type, invalid category or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: Forbidden - You don't have permission to update this record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Record not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *       412:
+ *         description: If-Match doesn't match - the record was changed since you loaded it; nothing was changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Record'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *   patch:
+ *     tags: [Record]
+ *     summary: Update some fields of a record
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Change only the fields sent; the rest of the record is kept:
  *       - For category field: Use category names like "Food", "Gas", "Services"
- *       - Set category to null or empty string to remove category
- *       - Leave category undefined to keep existing category
+ *       - Set category to null to remove category
+ *       - Leave category out to keep existing category
+ *
+ *       Send the ETag of the version you edited in If-Match, so you don't overwrite somebody else's change.
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -416,13 +674,16 @@ export const createRecord = async (req, res) => {
  *               title:
  *                 type: string
  *                 example: "Updated Grocery Shopping"
+ *               type:
+ *                 type: string
+ *                 enum: [expense, income, transfer]
  *               date:
  *                 type: string
  *                 format: date
  *                 example: "2025-07-21"
  *               currency:
  *                 type: string
- *                 enum: [USD, KHR]
+ *                 pattern: '^[A-Za-z]{3}$'
  *                 example: "USD"
  *               amount:
  *                 type: number
@@ -435,16 +696,52 @@ export const createRecord = async (req, res) => {
  *                 type: string
  *                 enum: [Food, Gas, Services]
  *                 example: "Food"
- *                 description: Category name (optional dropdown selection, or null to remove category)
+ *                 description: Category name, or path such as "Food > Coffee" when names repeat (optional dropdown selection, or null to remove category)
+ *               payee:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Brown Coffee"
+ *                 description: Payee name, created when unknown; null or an empty string removes the payee
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["reimbursable"]
+ *                 description: Replaces all tags of the record; an empty array or null removes them
+ *               splits:
+ *                 type: array
+ *                 description: |
+ *                   Replaces all split lines; an empty array or null removes the split. When changing the
+ *                   amount of a split record, send the new lines with it.
+ *                 items:
+ *                   $ref: '#/components/schemas/RecordSplitInput'
+ *               accountId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Account the money is paid from; null removes it
+ *               toAccountId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Transfers only - account the money moves into; null removes it
+ *               toAmount:
+ *                 type: number
+ *                 description: |
+ *                   Amount received by toAccountId when its currency differs. Converted again at the rate on the
+ *                   record's date when the amount, date, currency or accounts change without a new toAmount
  *     responses:
  *       200:
  *         description: Record updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Version of the record; send it back in If-Match to update or delete it safely
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Record'
  *       400:
- *         description: Bad request - invalid category or validation error
+ *         description: Bad request - invalid type, invalid category or validation error
  *         content:
  *           application/json:
  *             schema:
@@ -470,6 +767,19 @@ export const createRecord = async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       412:
+ *         description: If-Match doesn't match - the record was changed since you loaded it; nothing was changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Record'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -484,71 +794,14 @@ export const createRecord = async (req, res) => {
 export const updateRecord = async (req,res) => {
     try{
         const userId = req.user.id; // Get authenticated user ID
-        const { title, date, currency, amount, note, category } = req.body;
-        
-        // First check if the record exists at all
-        const recordExists = await db.Record.findByPk(req.params.id);
-        
-        if (!recordExists) {
-            return res.status(404).json({error: "Record not found"});
-        }
-        
-        // Then check if the user has permission to access this record
-        if (recordExists.userId !== userId) {
-            return res.status(403).json({error: "You don't have permission to update this record"});
-        }
-        
-        const record = recordExists; // Use the already found record
-
-        // Handle category update if provided
-        let categoryId = record.categoryId; // Keep existing category by default
-        
-        if (category !== undefined) {
-            if (category === null || category === '') {
-                // User wants to remove category
-                categoryId = null;
-            } else {
-                // User wants to update to a specific category
-                const foundCategory = await db.Category.findOne({ 
-                    where: { 
-                        name: category,
-                        userId: userId // Only search within user's categories
-                    } 
-                });
-                if (!foundCategory) {
-                    return res.status(400).json({ 
-                        error: `Category "${category}" not found. Please create it first or use existing categories.` 
-                    });
-                }
-                categoryId = foundCategory.id;
-            }
-        }
-
-        // Prepare update data
-        const updateData = {};
-        if (title !== undefined) updateData.title = title;
-        if (date !== undefined) updateData.date = date;
-        if (currency !== undefined) updateData.currency = currency;
-        if (amount !== undefined) updateData.amount = amount;
-        if (note !== undefined) updateData.note = note;
-        if (category !== undefined) updateData.categoryId = categoryId;
-
-        // Update the record
-        await record.update(updateData);
+        const record = await updateUserRecord(userId, req.params.id, req.body, { ifMatch: req.get('If-Match') });
 
         // Return updated record with category information
-        const updatedRecord = await db.Record.findByPk(record.id, {
-            include: [
-                {
-                    model: db.Category,
-                    attributes: ['id', 'name', 'color']
-                }
-            ]
-        });
+        const updatedRecord = await findRecordWithCategory(record.id);
 
-        res.json(updatedRecord);
+        res.set('ETag', etagFor(updatedRecord)).json(updatedRecord);
     }catch(err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message, ...err.details });
     }
 };
 
@@ -558,9 +811,12 @@ export const updateRecord = async (req,res) => {
  *   delete:
  *     tags: [Record]
  *     summary: Delete a record
+ *     description: The record moves to the trash and can be restored through /trash/records/{id}/restore until it is purged.
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -595,6 +851,19 @@ export const updateRecord = async (req,res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       412:
+ *         description: If-Match doesn't match - the record was changed since you loaded it; nothing was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 current:
+ *                   $ref: '#/components/schemas/Record'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -610,24 +879,10 @@ export const deleteRecord = async (req,res) => {
     try {
         const userId = req.user.id; // Get authenticated user ID
         
-        // First check if the record exists at all
-        const recordExists = await db.Record.findByPk(req.params.id);
-        
-        if (!recordExists) {
-            return res.status(404).json({error: "Record not found"});
-        }
-        
-        // Then check if the user has permission to access this record
-        if (recordExists.userId !== userId) {
-            return res.status(403).json({error: "You don't have permission to delete this record"});
-        }
-        
-        const record = recordExists; // Use the already found record
-        
-        await record.destroy();
+        await deleteUserRecord(userId, req.params.id, { ifMatch: req.get('If-Match') });
         res.json({message: "Record deleted."});        
     }catch(err){
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message, ...err.details });
     }
 };
 
@@ -649,6 +904,11 @@ export const deleteRecord = async (req,res) => {
  *     responses:
  *       200:
  *         description: Record found successfully
+ *         headers:
+ *           ETag:
+ *             description: Version of the record; send it back in If-Match to update or delete it safely
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -671,6 +931,8 @@ export const deleteRecord = async (req,res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -685,27 +947,937 @@ export const findRecordById = async (req,res) => {
     try{
         const userId = req.user.id;
 
-        const recordExists = await db.Record.findByPk(req.params.id);
-
-        if(!recordExists) {
-            return res.status(404).json({error: "Record not found"});
-        }
-        if(recordExists.userId !== userId) {
-            return res.status(403).json({error: "You don't have permission to access this record"});
-        }
+        await findOwnedRecord(userId, req.params.id, 'access');
         
         // Get record with category information for consistency with other endpoints
-        const record = await db.Record.findByPk(req.params.id, {
-            include: [
-                {
-                    model: db.Category,
-                    attributes: ['id', 'name', 'color']
-                }
-            ]
-        });
+        const record = await findRecordWithCategory(req.params.id);
         
-        res.json(record);
+        res.set('ETag', etagFor(record)).json(record);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/{id}/history:
+ *   get:
+ *     tags: [Record]
+ *     summary: Get the change history of a record
+ *     description: |
+ *       Every create, update, delete, restore and revert of the record, oldest first, with the
+ *       field values before and after, the changed fields and the user who made the change
+ *       (null actor for background jobs such as recurring schedules). Entries cannot be edited.
+ *       History stays available while the record is in the trash. Records created before history was
+ *       kept have an empty history until their next change.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: History entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditLogEntry'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this record
+ *       404:
+ *         description: Record not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getRecordHistory = async (req, res) => {
+    try {
+        const history = await getUserRecordHistory(req.user.id, req.params.id);
+        res.json(history);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/{id}/history/{entryId}/revert:
+ *   post:
+ *     tags: [Record]
+ *     summary: Revert a record to a previous version
+ *     description: |
+ *       Sets title, type, date, currency, amount, note and category back to the values the record
+ *       had right after the given history entry. The revert is itself added to the history.
+ *       Tags, splits and attachments are not affected.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reverted record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: The entry is a deletion, which has no version to return to
+ *       403:
+ *         description: Forbidden - You don't have permission to update this record
+ *       404:
+ *         description: Record or history entry not found
+ *       409:
+ *         description: The record is split and reverting would change its amount
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const revertRecord = async (req, res) => {
+    try {
+        const record = await revertUserRecord(req.user.id, req.params.id, req.params.entryId);
+        const reverted = await findRecordWithCategory(record.id);
+        res.set('ETag', etagFor(reverted)).json(reverted);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/duplicates:
+ *   get:
+ *     tags: [Record]
+ *     summary: List groups of suspected duplicate records
+ *     description: |
+ *       Records with the same type, currency and amount, dated at most windowDays apart and with similar
+ *       titles, are grouped together. Resolve a group by merging it or by dismissing it; dismissed records
+ *       are not grouped together again. Records in the trash are left out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: windowDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 30
+ *           default: 3
+ *         description: Most days apart two duplicates may be
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Most groups to return, newest first
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any GET /api/records filter works here
+ *     responses:
+ *       200:
+ *         description: Duplicate groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 windowDays:
+ *                   type: integer
+ *                 filters:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *                   description: Number of groups found, including those beyond limit
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       recordIds:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       type:
+ *                         type: string
+ *                       currency:
+ *                         type: string
+ *                       amount:
+ *                         type: number
+ *                       records:
+ *                         type: array
+ *                         description: Oldest first
+ *                         items:
+ *                           $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: Invalid filters, windowDays or limit
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getDuplicateRecords = async (req, res) => {
+    try {
+        res.json(await findDuplicateGroups(req.user.id, req.query));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/duplicates/merge:
+ *   post:
+ *     tags: [Record]
+ *     summary: Merge a group of duplicates into one record
+ *     description: |
+ *       The kept record takes the category, payee and note it lacks from the other records and gains their
+ *       tags and attachments. The other records go to the trash, so restoring them undoes the merge.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recordIds]
+ *             properties:
+ *               recordIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 50
+ *                 items:
+ *                   type: integer
+ *               keepId:
+ *                 type: integer
+ *                 description: Record to keep, one of recordIds. Defaults to the oldest
+ *     responses:
+ *       200:
+ *         description: Records merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 record:
+ *                   $ref: '#/components/schemas/Record'
+ *                 mergedRecordIds:
+ *                   type: array
+ *                   description: Records moved to the trash
+ *                   items:
+ *                     type: integer
+ *       400:
+ *         description: Invalid recordIds or keepId, or records with different types, currencies or amounts
+ *       403:
+ *         description: Forbidden - A record belongs to someone else
+ *       404:
+ *         description: A record was not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const mergeDuplicateRecords = async (req, res) => {
+    try {
+        const { recordIds, keepId } = req.body || {};
+        res.json(await mergeDuplicateGroup(req.user.id, recordIds, keepId));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/records/duplicates/dismiss:
+ *   post:
+ *     tags: [Record]
+ *     summary: Mark a group of suspected duplicates as distinct records
+ *     description: The records are kept and no longer grouped with each other.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [recordIds]
+ *             properties:
+ *               recordIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 50
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Group dismissed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recordIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       400:
+ *         description: Invalid recordIds
+ *       403:
+ *         description: Forbidden - A record belongs to someone else
+ *       404:
+ *         description: A record was not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const dismissDuplicateRecords = async (req, res) => {
+    try {
+        res.json(await dismissDuplicateGroup(req.user.id, req.body?.recordIds));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+/**
+ * @openapi
+ * /api/records/import:
+ *   post:
+ *     tags: [Record]
+ *     summary: Import records from a CSV file
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Upload a CSV file and map its columns onto record fields. Categories are matched by name
+ *       within your categories, exactly like when creating a single record. Payees are matched by name
+ *       in any case and created when unknown. Your rules fill in the category, payee and tags a row leaves
+ *       out (not shown in the dry-run preview).
+ *
+ *       Use `dryRun=true` to validate the file without saving anything: the response lists every
+ *       row error and the categories that would be created. A real import is all-or-nothing: if any
+ *       row is invalid nothing is saved, otherwise every record is created in a single transaction.
+ *
+ *       Rows are checked for duplicates of records already saved, like a single new record; onDuplicate
+ *       decides what happens to them. Rows within the file are not compared with each other.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and preview only (can also be sent as a form field)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file (max 5 MB, 5000 rows)
+ *               mapping:
+ *                 type: string
+ *                 description: |
+ *                   JSON object mapping record fields (title, type, date, currency, amount, note, category,
+ *                   payee) to CSV header names, or to 0-based column indexes. Defaults to columns named like the fields.
+ *                 example: '{"title":"Description","date":"Posted","amount":"Debit","category":"Group"}'
+ *               hasHeader:
+ *                 type: boolean
+ *                 default: true
+ *               delimiter:
+ *                 type: string
+ *                 default: ","
+ *               dateFormat:
+ *                 type: string
+ *                 default: YYYY-MM-DD
+ *                 example: DD/MM/YYYY
+ *                 description: Built from the tokens YYYY, YY, MM, M, DD and D
+ *               decimalSeparator:
+ *                 type: string
+ *                 enum: [".", ","]
+ *                 default: "."
+ *               thousandsSeparator:
+ *                 type: string
+ *                 example: ","
+ *               defaultCurrency:
+ *                 type: string
+ *                 pattern: '^[A-Za-z]{3}$'
+ *                 description: Used when no currency column is mapped or the cell is empty
+ *               defaultType:
+ *                 type: string
+ *                 enum: [expense, income, transfer]
+ *                 default: expense
+ *               createMissingCategories:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Create categories that don't exist yet instead of rejecting their rows
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [allow, warn, skip, reject]
+ *                 default: warn
+ *                 description: |
+ *                   Rows that look like saved records are imported and listed (warn), left out (skip), made
+ *                   invalid rows (reject), or imported without checking (allow)
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 totalRows:
+ *                   type: integer
+ *                 validRows:
+ *                   type: integer
+ *                 invalidRows:
+ *                   type: integer
+ *                 skippedRows:
+ *                   type: integer
+ *                   description: Duplicate rows left out with onDuplicate=skip
+ *                 categoriesToCreate:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Line number in the file
+ *                       field:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                 duplicates:
+ *                   $ref: '#/components/schemas/ImportDuplicates'
+ *                 preview:
+ *                   type: array
+ *                   description: The first 20 valid rows as they would be saved
+ *                   items:
+ *                     type: object
+ *       201:
+ *         description: Records imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imported:
+ *                   type: integer
+ *                 skippedRows:
+ *                   type: integer
+ *                 createdCategories:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 duplicates:
+ *                   $ref: '#/components/schemas/ImportDuplicates'
+ *       400:
+ *         description: Missing file, invalid options, or invalid rows (nothing was imported)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+export const importRecords = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'A CSV file is required in the "file" field' });
+        }
+
+        let options;
+        let rows;
+        let columns;
+        try {
+            options = parseImportOptions(req.body, req.query);
+            rows = parseCsv(req.file.buffer.toString('utf8'), { delimiter: options.delimiter });
+            columns = resolveColumns(options.hasHeader ? rows[0] || [] : null, options.mapping);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const dataRows = options.hasHeader ? rows.slice(1) : rows;
+        const firstLine = options.hasHeader ? 2 : 1;
+        if (dataRows.length === 0) {
+            return res.status(400).json({ error: 'The file contains no records' });
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Too many rows. A single import is limited to ${MAX_IMPORT_ROWS} records` });
+        }
+
+        // Resolve category names the same way createRecord does, but with one query for the whole file
+        const categories = await getCategoryMap(userId);
+        const errors = [];
+        let validRows = [];
+
+        dataRows.forEach((values, index) => {
+            const row = firstLine + index;
+            const { data, errors: rowErrors } = normalizeRow(values, columns, options);
+
+            if (data.payee) {
+                try {
+                    data.payee = parsePayeeName(data.payee);
+                } catch (err) {
+                    rowErrors.push({ field: 'payee', message: err.message });
+                }
+            }
+
+            if (data.category && !categories.has(data.category) && !options.createMissingCategories) {
+                rowErrors.push({
+                    field: 'category',
+                    message: `Category "${data.category}" not found. Please create it first or enable createMissingCategories`
+                });
+            }
+
+            rowErrors.forEach(error => errors.push({ row, ...error }));
+            if (rowErrors.length === 0) validRows.push({ row, data });
+        });
+
+        // Rows that look like records already saved, e.g. from importing the same statement twice
+        const duplicates = [];
+        if (options.onDuplicate !== 'allow') {
+            const matches = await findDuplicatesOf(userId, validRows.map(({ data }) => data));
+            matches.forEach((found, index) => {
+                if (found.length > 0) duplicates.push({ row: validRows[index].row, recordIds: found.map(record => record.id) });
+            });
+        }
+        const duplicateRows = new Set(duplicates.map(duplicate => duplicate.row));
+        if (options.onDuplicate === 'reject') {
+            duplicates.forEach(({ row, recordIds }) => errors.push({
+                row,
+                field: 'duplicate',
+                message: `Looks like a duplicate of record ${recordIds.join(', ')}`
+            }));
+            errors.sort((a, b) => a.row - b.row);
+        }
+        if (options.onDuplicate === 'reject' || options.onDuplicate === 'skip') {
+            validRows = validRows.filter(({ row }) => !duplicateRows.has(row));
+        }
+        const validRecords = validRows.map(({ data }) => data);
+        const categoriesToCreate = new Set(validRecords
+            .filter(record => record.category && !categories.has(record.category))
+            .map(record => record.category));
+
+        const invalidRows = new Set(errors.map(error => error.row)).size;
+        const skippedRows = options.onDuplicate === 'skip' ? duplicates.length : 0;
+
+        if (options.dryRun) {
+            return res.json({
+                dryRun: true,
+                totalRows: dataRows.length,
+                validRows: validRecords.length,
+                invalidRows,
+                skippedRows,
+                categoriesToCreate: [...categoriesToCreate],
+                errors,
+                duplicates,
+                preview: validRecords.slice(0, 20)
+            });
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: `Import rejected: ${invalidRows} of ${dataRows.length} rows are invalid. Nothing was imported.`,
+                errors
+            });
+        }
+
+        const imported = await db.sequelize.transaction(async (transaction) => {
+            for (const name of categoriesToCreate) {
+                const category = await db.Category.create(
+                    { name, color: DEFAULT_CATEGORY_COLOR, userId },
+                    { transaction, actorId: userId }
+                );
+                categories.set(name, category);
+            }
+
+            // One payee per name, whatever the case it is written in
+            const payees = new Map();
+            for (const { payee } of validRecords) {
+                if (payee && !payees.has(payee.toLowerCase())) {
+                    payees.set(payee.toLowerCase(), await resolvePayee(userId, payee, { transaction }));
+                }
+            }
+
+            // Rules fill in the category, payee and tags a row leaves out, as for a single record
+            const ruleSet = await loadRuleSet(userId, { transaction });
+            const assigned = validRecords.map(record => ruleSet.evaluate(record));
+
+            const records = await db.Record.bulkCreate(validRecords.map(({ category, payee, ...record }, index) => ({
+                ...record,
+                categoryId: category ? categories.get(category).id : assigned[index].categoryId,
+                payeeId: payee ? payees.get(payee.toLowerCase()).id : assigned[index].payeeId,
+                userId
+            })), { transaction, actorId: userId });
+
+            const tagNames = [...new Set(assigned.flatMap(result => result.tags))];
+            if (tagNames.length > 0) {
+                const tagIds = new Map((await resolveTags(userId, tagNames, { transaction })).map(tag => [tag.name, tag.id]));
+                await db.RecordTag.bulkCreate(records.flatMap((record, index) => assigned[index].tags.map(name => ({
+                    recordId: record.id,
+                    tagId: tagIds.get(name)
+                }))), { transaction });
+            }
+            return records.length;
+        });
+
+        res.status(201).json({
+            imported,
+            skippedRows,
+            createdCategories: [...categoriesToCreate],
+            duplicates
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Writes a chunk to a streamed response, waiting for the client to catch up when the buffer is full
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+    if (!chunk || res.write(chunk)) return resolve();
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * @openapi
+ * /api/records/export:
+ *   get:
+ *     tags: [Record]
+ *     summary: Export every matching record as CSV, JSON lines or OFX
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Accepts exactly the same filters as `GET /records` (categoryId, type, minAmount, maxAmount,
+ *       amountCurrency, startDate, endDate) but returns all matching records, oldest first, with
+ *       their category name and color. The file is streamed in batches, so large histories are
+ *       never loaded into memory at once.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, ofx]
+ *           default: csv
+ *       - in: query
+ *         name: statementCurrency
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z]{3}$'
+ *           default: USD
+ *         description: |
+ *           OFX only - ISO 4217 statement currency (CURDEF). Records in another currency carry the
+ *           exchange rate on their date; the export is rejected when a matching record has no rate on its date
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeSubcategories
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: amountCurrency
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z]{3}$'
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Export file (sent as an attachment)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or filter
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         description: Server error
+ */
+export const exportRecords = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { format } = req.query;
+
+        const { where } = await buildRecordFilters(userId, req.query);
+
+        let writerOptions = {};
+        if (format === 'ofx') {
+            const { statementCurrency } = req.query;
+
+            // Every exported amount needs a rate into the statement currency on its date; the earliest
+            // record of each currency is the first to run out of rates
+            const rates = await loadExchangeRates(userId);
+            const firstDates = await db.Record.findAll({
+                where,
+                attributes: ['currency', [db.sequelize.fn('MIN', db.sequelize.col('date')), 'firstDate']],
+                group: ['currency'],
+                raw: true
+            });
+            const unconvertible = firstDates
+                .filter(row => rates.rate(row.currency, statementCurrency, row.firstDate) === null)
+                .map(row => `${row.currency} (from ${normalizeDate(row.firstDate)})`);
+            if (unconvertible.length > 0) {
+                return res.status(400).json({ error: `No exchange rate from ${unconvertible.join(', ')} to ${statementCurrency}` });
+            }
+
+            // OFX announces the statement period before listing transactions
+            const range = await db.Record.findOne({
+                where,
+                attributes: [
+                    [db.sequelize.fn('MIN', db.sequelize.col('date')), 'start'],
+                    [db.sequelize.fn('MAX', db.sequelize.col('date')), 'end']
+                ],
+                raw: true
+            });
+
+            writerOptions = {
+                currency: statementCurrency,
+                rate: (currency, date) => rates.rate(currency, statementCurrency, date),
+                convert: (amount, currency, date) => rates.convert(amount, currency, statementCurrency, date),
+                dateRange: range?.start ? { start: range.start, end: range.end } : undefined
+            };
+        }
+
+        const writer = createExportWriter(format, writerOptions);
+        const today = new Date().toISOString().split('T')[0];
+        res.setHeader('Content-Type', writer.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="records-${today}.${writer.extension}"`);
+
+        await writeChunk(res, writer.header());
+        await forEachRecordBatch(where, async (records) => {
+            if (res.destroyed) return false; // client went away
+            await writeChunk(res, records.map(writer.row).join(''));
+        });
+        res.end(writer.footer());
+    } catch (err) {
+        if (res.headersSent) {
+            // Part of the file is already out; all we can do is cut the download short
+            console.error('Error exporting records:', err);
+            return res.destroy(err);
+        }
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+export const BATCH_OPERATIONS = ['create', 'update', 'delete'];
+export const MAX_BATCH_OPERATIONS = 100;
+
+/**
+ * @openapi
+ * /api/records/batch:
+ *   post:
+ *     tags: [Record]
+ *     summary: Apply a list of create/update/delete operations atomically
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Meant for clients that queue changes while offline. Operations run in order inside a
+ *       single database transaction with the same validation and ownership checks as the
+ *       individual endpoints. If any operation fails, nothing is applied: the response status is
+ *       the failing operation's status and every operation reports what happened to it. When the
+ *       batch fails after its operations ran (loading the results or committing), the error has no `failedIndex`
+ *       and every operation reports `rolled_back`.
+ *
+ *       An optional `ref` on each operation is echoed back so clients can match results to
+ *       their local changes.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required: [op]
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: integer
+ *                       description: Record ID (update and delete)
+ *                     data:
+ *                       type: object
+ *                       description: Record fields, as for POST /records (create) or PUT /records/{id} (update)
+ *                     ref:
+ *                       type: string
+ *                       description: Client reference echoed in the result
+ *           example:
+ *             operations:
+ *               - op: create
+ *                 ref: local-1
+ *                 data: { title: "Coffee", date: "2025-07-21", currency: "USD", amount: 2.5, category: "Food" }
+ *               - op: update
+ *                 id: 42
+ *                 data: { amount: 30 }
+ *               - op: delete
+ *                 id: 43
+ *     responses:
+ *       200:
+ *         description: All operations applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       index:
+ *                         type: integer
+ *                       op:
+ *                         type: string
+ *                       ref:
+ *                         type: string
+ *                       status:
+ *                         type: integer
+ *                         description: HTTP status the individual endpoint would have returned
+ *                       id:
+ *                         type: integer
+ *                       record:
+ *                         $ref: '#/components/schemas/Record'
+ *       400:
+ *         description: Invalid batch, or an operation failed validation (nothing was applied)
+ *       403:
+ *         description: An operation targets another user's record (nothing was applied)
+ *       404:
+ *         description: An operation targets a missing record (nothing was applied)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const batchRecords = async (req, res) => {
+    const userId = req.user.id;
+    const { operations } = req.body;
+
+    const results = [];
+    try {
+        await db.sequelize.transaction(async (transaction) => {
+            for (const [index, operation] of operations.entries()) {
+                const { op, id, data = {}, ref } = operation;
+                const result = { index, op, ...(ref !== undefined && { ref }) };
+                results.push(result);
+
+                if (op === 'create') {
+                    const record = await createUserRecord(userId, data, { transaction });
+                    Object.assign(result, { status: 201, id: record.id });
+                } else if (op === 'update') {
+                    const record = await updateUserRecord(userId, id, data, { transaction });
+                    Object.assign(result, { status: 200, id: record.id });
+                } else {
+                    await deleteUserRecord(userId, id, { transaction });
+                    Object.assign(result, { status: 200, id: Number(id) });
+                }
+            }
+
+            // Attach the final state of every surviving record, with its category
+            for (const result of results) {
+                if (result.op !== 'delete') {
+                    result.record = await findRecordWithCategory(result.id, { transaction });
+                }
+            }
+        });
+
+        res.json({ results });
+    } catch (err) {
+        // Only the failing operation is left without a status; when every operation went through,
+        // the batch failed afterwards (reloading the records or committing)
+        const failed = results.find((result) => result.status === undefined);
+        const status = err instanceof ApiError ? err.status : 500;
+
+        if (results.length === 0) {
+            return res.status(status).json({ error: err.message });
+        }
+        if (!failed) {
+            return res.status(status).json({
+                error: `The batch failed: ${err.message}. No changes were applied.`,
+                results: results.map(({ index, op, ref }) => ({ index, op, ...(ref !== undefined && { ref }), status: 'rolled_back' }))
+            });
+        }
+        // Everything before the failure was rolled back; everything after it never ran
+        const report = operations.map((operation, index) => {
+            const base = { index, op: operation.op, ...(operation.ref !== undefined && { ref: operation.ref }) };
+            if (index < failed.index) return { ...base, status: 'rolled_back' };
+            if (index === failed.index) return { ...base, status: err instanceof ApiError ? status : 400, error: err.message };
+            return { ...base, status: 'not_applied' };
+        });
+
+        res.status(err instanceof ApiError ? status : 400).json({
+            error: `Operation ${failed.index} (${failed.op}) failed: ${err.message}. No changes were applied.`,
+            failedIndex: failed.index,
+            results: report
+        });
     }
 };
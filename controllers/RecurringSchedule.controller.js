@@ -0,0 +1,640 @@
+import db from "../models/index.js";
+import {
+    addDays,
+    isOccurrence,
+    normalizeDate,
+    todayString,
+    upcomingOccurrences
+} from '../utils/recurrence.js';
+import { parseMoney } from '../utils/money.js';
+import { currencyDecimals, normalizeCurrencyCode } from '../config/currencies.js';
+import { materializeSchedule } from '../jobs/recurringRecords.js';
+import { findCategoryByName } from '../services/Category.service.js';
+
+const RULE_FIELDS = ['frequency', 'interval', 'startDate'];
+
+const categoryInclude = {
+    model: db.Category,
+    attributes: ['id', 'name', 'color']
+};
+
+// Helper function to load a schedule and make sure it belongs to the authenticated user
+const findOwnedSchedule = async (req, res, action) => {
+    const schedule = await db.RecurringSchedule.findByPk(req.params.id);
+
+    if (!schedule) {
+        res.status(404).json({ error: "Recurring schedule not found" });
+        return null;
+    }
+    if (schedule.userId !== req.user.id) {
+        res.status(403).json({ error: `You don't have permission to ${action} this recurring schedule` });
+        return null;
+    }
+    return schedule;
+};
+
+// Helper function to resolve a category name; undefined means the category doesn't exist
+const resolveCategoryId = async (category, userId) => {
+    if (category === null || category === '') return null;
+    const foundCategory = await findCategoryByName(userId, category);
+    return foundCategory ? foundCategory.id : undefined;
+};
+
+/**
+ * @openapi
+ * tags:
+ *  - name: RecurringSchedule
+ *    description: Recurring records (rent, bills, subscriptions) that are created automatically when due
+ */
+
+/**
+ * @openapi
+ * /api/recurring:
+ *   get:
+ *     tags: [RecurringSchedule]
+ *     summary: Get all recurring schedules of the authenticated user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of recurring schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecurringSchedule'
+ *       500:
+ *         description: Server error
+ */
+export const getAllSchedules = async (req, res) => {
+    try {
+        const schedules = await db.RecurringSchedule.findAll({
+            where: { userId: req.user.id },
+            include: [categoryInclude],
+            order: [['nextOccurrence', 'ASC'], ['id', 'ASC']]
+        });
+        res.json(schedules);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring:
+ *   post:
+ *     tags: [RecurringSchedule]
+ *     summary: Create a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Occurrences that are already due (start date in the past or today) are created right away;
+ *       later ones are created by the background job on their due date.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringScheduleInput'
+ *     responses:
+ *       201:
+ *         description: Recurring schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       400:
+ *         description: Bad request - missing or invalid fields, or unknown category
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createSchedule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const {
+            title, type, currency, amount, note, category,
+            frequency, interval, startDate, endDate, maxOccurrences
+        } = req.body;
+
+        let categoryId = null;
+        if (category) {
+            categoryId = await resolveCategoryId(category, userId);
+            if (categoryId === undefined) {
+                return res.status(400).json({
+                    error: `Category "${category}" not found. Please create it first or use existing categories.`
+                });
+            }
+        }
+
+        const schedule = await db.RecurringSchedule.create({
+            title,
+            type: type || 'expense',
+            currency: normalizeCurrencyCode(currency),
+            amount: parseMoney(amount, currencyDecimals(normalizeCurrencyCode(currency))),
+            note,
+            categoryId,
+            frequency,
+            interval: interval || 1,
+            startDate,
+            endDate: endDate || null,
+            maxOccurrences: maxOccurrences || null,
+            userId
+        });
+
+        await materializeSchedule(schedule.id);
+
+        const createdSchedule = await db.RecurringSchedule.findByPk(schedule.id, {
+            include: [categoryInclude]
+        });
+        res.status(201).json(createdSchedule);
+    } catch (err) {
+        res.status(400).json({ error: "Error creating recurring schedule: " + err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   get:
+ *     tags: [RecurringSchedule]
+ *     summary: Get a recurring schedule by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring schedule found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const findScheduleById = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'access');
+        if (!schedule) return;
+
+        const scheduleWithCategory = await db.RecurringSchedule.findByPk(schedule.id, {
+            include: [categoryInclude]
+        });
+        res.json(scheduleWithCategory);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   put:
+ *     tags: [RecurringSchedule]
+ *     summary: Edit a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Fields left out keep their values (PATCH works the same way). Changes only affect occurrences
+ *       that haven't been created yet; records that were already created are left untouched.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Recurring schedule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       400:
+ *         description: Bad request - invalid fields or unknown category
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [RecurringSchedule]
+ *     summary: Edit some fields of a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Fields left out keep their values. Changes only affect occurrences that haven't been created yet;
+ *       records that were already created are left untouched.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecurringScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Recurring schedule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       400:
+ *         description: Bad request - invalid fields or unknown category
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updateSchedule = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'update');
+        if (!schedule) return;
+
+        const updateData = {};
+        const editableFields = [
+            'title', 'type', 'currency', 'amount', 'note',
+            'frequency', 'interval', 'startDate', 'endDate', 'maxOccurrences'
+        ];
+        editableFields.forEach(field => {
+            if (req.body[field] !== undefined) updateData[field] = req.body[field];
+        });
+        if (updateData.currency !== undefined) updateData.currency = normalizeCurrencyCode(updateData.currency);
+        if (updateData.amount !== undefined || updateData.currency !== undefined) {
+            // Rounded to the decimal places of the (possibly new) currency
+            const currency = updateData.currency || schedule.currency;
+            updateData.amount = parseMoney(updateData.amount ?? schedule.amount, currencyDecimals(currency));
+        }
+
+        if (req.body.category !== undefined) {
+            const categoryId = await resolveCategoryId(req.body.category, req.user.id);
+            if (categoryId === undefined) {
+                return res.status(400).json({
+                    error: `Category "${req.body.category}" not found. Please create it first or use existing categories.`
+                });
+            }
+            updateData.categoryId = categoryId;
+        }
+
+        const startDate = normalizeDate(updateData.startDate || schedule.startDate);
+        const endDate = normalizeDate(updateData.endDate !== undefined ? updateData.endDate : schedule.endDate);
+        if (endDate && endDate < startDate) {
+            return res.status(400).json({ error: "endDate cannot be before startDate" });
+        }
+
+        schedule.set(updateData);
+
+        // A new rule may no longer land on previously skipped dates
+        if (RULE_FIELDS.some(field => updateData[field] !== undefined)) {
+            schedule.skippedDates = schedule.skippedDates.filter(date => isOccurrence(schedule, date));
+        }
+
+        await schedule.save();
+        await materializeSchedule(schedule.id);
+
+        const updatedSchedule = await db.RecurringSchedule.findByPk(schedule.id, {
+            include: [categoryInclude]
+        });
+        res.json(updatedSchedule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}:
+ *   delete:
+ *     tags: [RecurringSchedule]
+ *     summary: Delete a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     description: Stops the series. Records it already created are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring schedule deleted
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteSchedule = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'delete');
+        if (!schedule) return;
+
+        await schedule.destroy();
+        res.json({ message: "Recurring schedule deleted." });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}/upcoming:
+ *   get:
+ *     tags: [RecurringSchedule]
+ *     summary: List the upcoming occurrences of a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Maximum number of occurrences to return
+ *     responses:
+ *       200:
+ *         description: Upcoming occurrences, including skipped ones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scheduleId:
+ *                   type: integer
+ *                 isPaused:
+ *                   type: boolean
+ *                 occurrences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       skipped:
+ *                         type: boolean
+ *       403:
+ *         description: Forbidden - You don't have permission to access this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getUpcomingOccurrences = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'access');
+        if (!schedule) return;
+
+        const limit = req.query.limit;
+
+        res.json({
+            scheduleId: schedule.id,
+            isPaused: schedule.isPaused,
+            occurrences: upcomingOccurrences(schedule, { limit })
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}/skip:
+ *   post:
+ *     tags: [RecurringSchedule]
+ *     summary: Skip one upcoming occurrence
+ *     security:
+ *       - bearerAuth: []
+ *     description: No record is created for a skipped occurrence, but it still counts towards maxOccurrences.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-01"
+ *     responses:
+ *       200:
+ *         description: Occurrence skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       400:
+ *         description: The date is not an upcoming occurrence of this schedule
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const skipOccurrence = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'update');
+        if (!schedule) return;
+
+        const { date } = req.body;
+
+        const upcoming = upcomingOccurrences(schedule, { until: date });
+        if (!upcoming.some(occurrence => occurrence.date === date)) {
+            return res.status(400).json({ error: `${date} is not an upcoming occurrence of this schedule` });
+        }
+
+        if (!schedule.skippedDates.includes(date)) {
+            schedule.skippedDates = [...schedule.skippedDates, date].sort();
+            await schedule.save();
+        }
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}/skip/{date}:
+ *   delete:
+ *     tags: [RecurringSchedule]
+ *     summary: Undo skipping an upcoming occurrence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Occurrence restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule or skipped occurrence not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const unskipOccurrence = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'update');
+        if (!schedule) return;
+
+        const { date } = req.params;
+        if (!schedule.skippedDates.includes(date)) {
+            return res.status(404).json({ error: `${date} is not a skipped occurrence of this schedule` });
+        }
+
+        schedule.skippedDates = schedule.skippedDates.filter(skipped => skipped !== date);
+        await schedule.save();
+        await materializeSchedule(schedule.id);
+        await schedule.reload();
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}/pause:
+ *   post:
+ *     tags: [RecurringSchedule]
+ *     summary: Pause a recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     description: No records are created while paused. Occurrences that fall due during the pause are not caught up on resume.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring schedule paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const pauseSchedule = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'update');
+        if (!schedule) return;
+
+        schedule.isPaused = true;
+        await schedule.save();
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/recurring/{id}/resume:
+ *   post:
+ *     tags: [RecurringSchedule]
+ *     summary: Resume a paused recurring schedule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recurring schedule resumed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecurringSchedule'
+ *       403:
+ *         description: Forbidden - You don't have permission to update this recurring schedule
+ *       404:
+ *         description: Recurring schedule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const resumeSchedule = async (req, res) => {
+    try {
+        const schedule = await findOwnedSchedule(req, res, 'update');
+        if (!schedule) return;
+
+        if (schedule.isPaused) {
+            // Occurrences missed while paused are dropped; today's occurrence still counts
+            const yesterday = addDays(todayString(), -1);
+            if (!schedule.processedThrough || normalizeDate(schedule.processedThrough) < yesterday) {
+                schedule.processedThrough = yesterday;
+            }
+            schedule.isPaused = false;
+            await schedule.save();
+            await materializeSchedule(schedule.id);
+            await schedule.reload();
+        }
+        res.json(schedule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
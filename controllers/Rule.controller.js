@@ -0,0 +1,459 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import { MONEY_SCALE, parseMoney } from '../utils/money.js';
+import { applyRulesToUserRecords } from '../services/Record.service.js';
+import { findOwnedRule, loadRuleSet, parseRuleInput } from '../services/Rule.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Rule
+ *    description: |
+ *      Rules categorize records automatically. A new or imported record matching every condition of a rule
+ *      (text in the title or note, amount range, currency) gets the rule's category, tags and payee, unless
+ *      the request already sets them. Rules run by priority, lowest first: the category and the payee come
+ *      from the first matching rule that assigns one, tags from every matching rule.
+ */
+
+// Category and payee names next to their ids in rule responses
+const ruleInclude = [
+    { model: db.Category, attributes: ['id', 'name'] },
+    { model: db.Payee, attributes: ['id', 'name'] }
+];
+
+const findRuleWithNames = (id) => db.Rule.findByPk(id, { include: ruleInclude });
+
+/**
+ * @openapi
+ * /api/rules:
+ *   get:
+ *     tags: [Rule]
+ *     summary: Get all rules of the authenticated user in the order they run
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules by priority
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Rule'
+ *       500:
+ *         description: Server error
+ */
+export const getAllRules = async (req, res) => {
+    try {
+        const rules = await db.Rule.findAll({
+            where: { userId: req.user.id },
+            include: ruleInclude,
+            order: [['priority', 'ASC'], ['id', 'ASC']]
+        });
+        res.json(rules);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch rules' });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules:
+ *   post:
+ *     tags: [Rule]
+ *     summary: Create a rule
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RuleInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       400:
+ *         description: Invalid field, unknown category, or a rule without any condition or action
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createRule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const data = await parseRuleInput(userId, req.body || {});
+        const rule = await db.Rule.create({ ...data, userId });
+        res.status(201).json(await findRuleWithNames(rule.id));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules/test:
+ *   post:
+ *     tags: [Rule]
+ *     summary: Check what the rules would assign to a record
+ *     description: |
+ *       Runs every enabled rule, or only the rule given as ruleId (even if disabled), against a sample
+ *       record. Nothing is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [record]
+ *             properties:
+ *               ruleId:
+ *                 type: integer
+ *               record:
+ *                 type: object
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                     example: "BROWN COFFEE TK"
+ *                   note:
+ *                     type: string
+ *                   amount:
+ *                     type: number
+ *                     example: 3.5
+ *                   currency:
+ *                     type: string
+ *                     example: USD
+ *     responses:
+ *       200:
+ *         description: Outcome of the rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 matched:
+ *                   type: boolean
+ *                 ruleIds:
+ *                   type: array
+ *                   description: Matching rules in the order they ran
+ *                   items:
+ *                     type: integer
+ *                 category:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                 payee:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing record, invalid amount or invalid ruleId
+ *       403:
+ *         description: Forbidden - The rule belongs to someone else
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const testRules = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { ruleId, record } = req.body;
+        const amount = record.amount === undefined || record.amount === null ? null : parseMoney(record.amount, MONEY_SCALE);
+        if (ruleId !== undefined) {
+            await findOwnedRule(userId, ruleId, 'access');
+        }
+
+        const ruleSet = await loadRuleSet(userId, ruleId !== undefined ? { ids: [ruleId] } : {});
+        const assigned = ruleSet.evaluate({
+            title: String(record.title ?? ''),
+            note: record.note == null ? null : String(record.note),
+            amount,
+            currency: record.currency ?? null
+        });
+
+        const category = assigned.categoryId !== null
+            ? await db.Category.findByPk(assigned.categoryId, { attributes: ['id', 'name'] })
+            : null;
+        const payee = assigned.payeeId !== null
+            ? await db.Payee.findByPk(assigned.payeeId, { attributes: ['id', 'name'] })
+            : null;
+
+        res.json({
+            matched: assigned.ruleIds.length > 0,
+            ruleIds: assigned.ruleIds,
+            category,
+            payee,
+            tags: assigned.tags
+        });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules/apply:
+ *   post:
+ *     tags: [Rule]
+ *     summary: Run the rules over existing records
+ *     description: |
+ *       Applies the rules retroactively to the records matching the query parameters, which are the same
+ *       filters as GET /api/records (q, categoryId, accountId, payeeId, tags, type, amount and date range).
+ *       Without overwrite only a missing category or payee is filled in; tags are only ever added. Split
+ *       records keep their category. Records in the trash are left alone. Each changed record gets a history
+ *       entry. Use dryRun to see what would change first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Any GET /api/records filter works here
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ruleIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Only run these rules, enabled or not. Defaults to every enabled rule
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Replace a category or payee the record already has
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 matched:
+ *                   type: integer
+ *                   description: Records at least one rule matched
+ *                 changed:
+ *                   type: integer
+ *                   description: Records that were (or would be) changed
+ *                 changes:
+ *                   type: array
+ *                   description: The first 100 changed records
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       ruleIds:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       changes:
+ *                         type: object
+ *                         description: categoryId and/or payeeId as { from, to }
+ *                       addedTags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Invalid filters or options
+ *       404:
+ *         description: A rule in ruleIds was not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const applyRules = async (req, res) => {
+    try {
+        const { ruleIds, overwrite, dryRun } = req.body;
+        res.json(await applyRulesToUserRecords(req.user.id, req.query, { ruleIds, overwrite, dryRun }));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   get:
+ *     tags: [Rule]
+ *     summary: Get a rule by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The rule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this rule
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getRuleById = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.id, 'access', { include: ruleInclude });
+        res.json(rule);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   put:
+ *     tags: [Rule]
+ *     summary: Update a rule
+ *     description: |
+ *       Fields left out keep their values (PATCH works the same way). The rule must still have a
+ *       condition and an action afterwards.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       400:
+ *         description: Invalid field, unknown category, or a rule left without any condition or action
+ *       403:
+ *         description: Forbidden - You don't have permission to update this rule
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [Rule]
+ *     summary: Update some fields of a rule
+ *     description: Only the given fields change; null clears an optional condition or action.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RuleInput'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Rule'
+ *       400:
+ *         description: Invalid field, unknown category, or a rule left without any condition or action
+ *       403:
+ *         description: Forbidden - You don't have permission to update this rule
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updateRule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const rule = await findOwnedRule(userId, req.params.id, 'update');
+        const data = await parseRuleInput(userId, req.body || {}, rule);
+        await rule.update(data);
+        res.json(await findRuleWithNames(rule.id));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/rules/{id}:
+ *   delete:
+ *     tags: [Rule]
+ *     summary: Delete a rule
+ *     description: Records the rule already categorized keep their category, tags and payee.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this rule
+ *       404:
+ *         description: Rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteRule = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.id, 'delete');
+        await rule.destroy();
+        res.json({ message: 'Rule deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
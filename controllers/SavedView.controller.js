@@ -0,0 +1,260 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import { buildRecordFilters } from '../services/Record.service.js';
+import { findOwnedView, findViewByName } from '../services/SavedView.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: SavedView
+ *    description: |
+ *      Saved views are named record list filters and sort, such as "Groceries over 40,000 KHR in the last
+ *      30 days". Run one with GET /api/records?view={id}, or pass view={id} to the /api/summary endpoints to
+ *      only count its records. Relative date windows (dateRange) are worked out again on every run.
+ */
+
+// Runs the filters once, so a view that can't be run (such as a search without letters or digits) isn't saved
+const checkViewFilters = (userId, filters) => buildRecordFilters(userId, filters);
+
+/**
+ * @openapi
+ * /api/views:
+ *   get:
+ *     tags: [SavedView]
+ *     summary: Get all saved views of the authenticated user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved views ordered by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SavedView'
+ *       500:
+ *         description: Server error
+ */
+export const getAllViews = async (req, res) => {
+    try {
+        const views = await db.SavedView.findAll({
+            where: { userId: req.user.id },
+            order: [['name', 'ASC']]
+        });
+        res.json(views);
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch saved views' });
+    }
+};
+
+/**
+ * @openapi
+ * /api/views:
+ *   post:
+ *     tags: [SavedView]
+ *     summary: Save a view
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewInput'
+ *     responses:
+ *       201:
+ *         description: Saved view created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedView'
+ *       400:
+ *         description: The filters can't be run, e.g. a search without letters or digits
+ *       409:
+ *         description: A saved view with this name already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createView = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, filters = {}, sortBy = null, sort = null } = req.body;
+
+        if (await findViewByName(userId, name)) {
+            return res.status(409).json({ error: 'A saved view with this name already exists' });
+        }
+        await checkViewFilters(userId, filters);
+
+        const view = await db.SavedView.create({ name, filters, sortBy, sort, userId });
+        res.status(201).json(view);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   get:
+ *     tags: [SavedView]
+ *     summary: Get a saved view by ID
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The saved view
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedView'
+ *       403:
+ *         description: Forbidden - You don't have permission to access this saved view
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getViewById = async (req, res) => {
+    try {
+        res.json(await findOwnedView(req.user.id, req.params.id, 'access'));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   put:
+ *     tags: [SavedView]
+ *     summary: Update a saved view
+ *     description: Fields left out keep their values (PATCH works the same way). filters, when sent, replaces all of the view's filters.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewInput'
+ *     responses:
+ *       200:
+ *         description: Saved view updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedView'
+ *       400:
+ *         description: The filters can't be run
+ *       403:
+ *         description: Forbidden - You don't have permission to update this saved view
+ *       404:
+ *         description: Saved view not found
+ *       409:
+ *         description: Another saved view has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [SavedView]
+ *     summary: Update some fields of a saved view
+ *     description: Fields left out keep their values. filters, when sent, replaces all of the view's filters.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedViewInput'
+ *     responses:
+ *       200:
+ *         description: Saved view updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SavedView'
+ *       400:
+ *         description: The filters can't be run
+ *       403:
+ *         description: Forbidden - You don't have permission to update this saved view
+ *       404:
+ *         description: Saved view not found
+ *       409:
+ *         description: Another saved view has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updateView = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const view = await findOwnedView(userId, req.params.id, 'update');
+        const { name, filters } = req.body;
+
+        if (name !== undefined && name !== view.name && await findViewByName(userId, name)) {
+            return res.status(409).json({ error: 'A saved view with this name already exists' });
+        }
+        if (filters !== undefined) {
+            await checkViewFilters(userId, filters);
+        }
+
+        // The body only holds the fields to change
+        await view.update(req.body);
+        res.json(view);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/views/{id}:
+ *   delete:
+ *     tags: [SavedView]
+ *     summary: Delete a saved view
+ *     description: Only the view is deleted; its records are not touched.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved view deleted
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this saved view
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteView = async (req, res) => {
+    try {
+        const view = await findOwnedView(req.user.id, req.params.id, 'delete');
+        await view.destroy();
+        res.json({ message: 'Saved view deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
@@ -1,19 +1,81 @@
 import db from "../models/index.js";
 import { Op } from "sequelize";
+import ApiError from '../utils/ApiError.js';
+import { loadExchangeRates } from '../services/ExchangeRate.service.js';
+import { buildRecordFilters } from '../services/Record.service.js';
+import { categoryAncestorIds } from '../services/Category.service.js';
+import { currencyDecimals, isCurrencyCode } from '../config/currencies.js';
+import {
+    MONEY_SCALE,
+    divideMinorUnits,
+    minorToNumber,
+    percentOf,
+    toMinorUnits
+} from '../utils/money.js';
 
-// Currency conversion rates (should match Record controller)
-const EXCHANGE_RATES = {
-    USD_TO_KHR: 4000, // 1 USD = 4000 KHR
-    KHR_TO_USD: 0.00025 // 1 KHR = 0.00025 USD
+// Totals map each currency code to an exact amount in that currency's minor units (BigInt) and are only
+// turned into numbers for the response. They are keyed by the currencies the user actually records in.
+
+// Helper function to list the currencies across all of the user's records, so totals keep the same keys month to month
+const userCurrencies = async (userId) => {
+    const rows = await db.Record.findAll({ where: { userId }, attributes: ['currency'], group: ['currency'], raw: true });
+    return rows.map(row => row.currency).sort();
+};
+
+const emptyTotals = (currencies) => Object.fromEntries(currencies.map(currency => [currency, 0n]));
+
+const addAmount = (totals, currency, amount) => {
+    totals[currency] = (totals[currency] ?? 0n) + toMinorUnits(amount, currencyDecimals(currency));
 };
 
-// Helper function to convert amounts to USD for percentage calculations
-const convertToUSD = (amount, currency) => {
-    if (currency === 'USD') return parseFloat(amount);
-    if (currency === 'KHR') return parseFloat(amount) * EXCHANGE_RATES.KHR_TO_USD;
-    return parseFloat(amount);
+// Applies fn to every total; null (unconvertible) totals stay null
+const mapTotals = (totals, fn) => Object.fromEntries(
+    Object.entries(totals).map(([currency, minor]) => [currency, minor === null ? null : fn(minor, currency)])
+);
+
+const combineTotals = (a, b, sign) => Object.fromEntries(
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].map(currency => {
+        const left = currency in a ? a[currency] : 0n;
+        const right = currency in b ? b[currency] : 0n;
+        return [currency, left === null || right === null ? null : left + sign * right];
+    })
+);
+const addTotals = (a, b) => combineTotals(a, b, 1n);
+const subtractTotals = (a, b) => combineTotals(a, b, -1n);
+
+// Helper function to keep running totals in each target currency, converting every amount at the rate on
+// its record's date. Amounts are converted straight into the target, never through a third currency; a
+// target that some non-zero amount can't be converted into becomes null.
+const addConverted = (converted, rates, currency, amount, date) => {
+    if (toMinorUnits(amount, MONEY_SCALE) === 0n) return;
+    for (const target of Object.keys(converted)) {
+        if (converted[target] === null) continue;
+        const value = rates.convert(amount, currency, target, date);
+        converted[target] = value === null ? null : converted[target] + toMinorUnits(value, currencyDecimals(target));
+    }
 };
 
+// Helper function to value an amount in USD on its date for percentages and ordering, at the storage scale
+// so small amounts aren't rounded away. Amounts without a rate to USD count as nothing.
+const valueInUSD = (rates, currency, amount, date) =>
+    toMinorUnits(rates.convert(amount, currency, 'USD', date, MONEY_SCALE) ?? 0, MONEY_SCALE);
+
+const perDay = (totals, days) => mapTotals(totals, minor => divideMinorUnits(minor, days));
+
+// Helper function to load the saved view a summary is scoped to (?view=), with the where clause of its filters.
+// The view narrows the summary's own period; it doesn't replace it.
+const loadViewScope = (userId, viewId) =>
+    (viewId ? buildRecordFilters(userId, { view: viewId }) : { view: null, where: null });
+
+const withinView = (where, scope) => (scope.where ? { [Op.and]: [where, scope.where] } : where);
+
+const viewSummary = (view) => ({ id: view.id, name: view.name });
+
+// Minor-unit totals as exact JSON numbers
+const toAmounts = (totals) => mapTotals(totals, (minor, currency) => minorToNumber(minor, currencyDecimals(currency)));
+
+const compareDescending = (a, b) => (a > b ? -1 : a < b ? 1 : 0);
+
 /**
  * @openapi
  * tags:
@@ -26,7 +88,11 @@ const convertToUSD = (amount, currency) => {
  * /api/summary/monthly:
  *   get:
  *     tags: [Summary]
- *     summary: Get monthly expense summary and category breakdown
+ *     summary: Get monthly income, expense and net balance summary with expense category breakdown
+ *     description: |
+ *       Expenses and income are totalled separately; transfer records are counted but never
+ *       contribute to either side. The category breakdown only covers expenses; a split record
+ *       counts each split line towards that line's category.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -48,9 +114,26 @@ const convertToUSD = (amount, currency) => {
  *         name: currency
  *         schema:
  *           type: string
- *           enum: [USD, KHR, ALL]
  *           default: ALL
- *         description: Currency filter - USD, KHR, or ALL for both
+ *         description: |
+ *           ISO 4217 code to only count records in that currency, or ALL. With ALL the totals are keyed
+ *           by every currency the user has records in
+ *       - in: query
+ *         name: breakdown
+ *         schema:
+ *           type: string
+ *           enum: [category, tag, payee]
+ *           default: category
+ *         description: |
+ *           Use "tag" to also return tagBreakdown, or "payee" to also return payeeBreakdown. A record with
+ *           several tags counts towards each of them, so tag percentages can add up to more than 100.
+ *       - in: query
+ *         name: categoryTree
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return categoryTree, the category breakdown nested by parent category
+ *       - $ref: '#/components/parameters/SummaryView'
  *     responses:
  *       200:
  *         description: Monthly summary data
@@ -59,6 +142,8 @@ const convertToUSD = (amount, currency) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 view:
+ *                   $ref: '#/components/schemas/SummaryViewRef'
  *                 summary:
  *                   type: object
  *                   properties:
@@ -69,21 +154,39 @@ const convertToUSD = (amount, currency) => {
  *                     currency:
  *                       type: string
  *                     totalExpenses:
+ *                       $ref: '#/components/schemas/CurrencyTotals'
+ *                     totalIncome:
+ *                       $ref: '#/components/schemas/CurrencyTotals'
+ *                     netBalance:
+ *                       description: Income minus expenses, per currency
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/CurrencyTotals'
+ *                     converted:
  *                       type: object
+ *                       description: |
+ *                         Totals with every record converted at the rate on its date and combined, expressed in
+ *                         each of the user's currencies. A currency is null when some amount has no exchange
+ *                         rate into it on its date
  *                       properties:
- *                         USD:
- *                           type: number
- *                         KHR:
- *                           type: number
+ *                         totalExpenses:
+ *                           $ref: '#/components/schemas/CurrencyTotals'
+ *                         totalIncome:
+ *                           $ref: '#/components/schemas/CurrencyTotals'
+ *                         netBalance:
+ *                           $ref: '#/components/schemas/CurrencyTotals'
  *                     recordCount:
  *                       type: integer
- *                     averagePerDay:
+ *                     recordCountByType:
  *                       type: object
  *                       properties:
- *                         USD:
- *                           type: number
- *                         KHR:
- *                           type: number
+ *                         expense:
+ *                           type: integer
+ *                         income:
+ *                           type: integer
+ *                         transfer:
+ *                           type: integer
+ *                     averagePerDay:
+ *                       $ref: '#/components/schemas/CurrencyTotals'
  *                     isEmpty:
  *                       type: boolean
  *                 categoryBreakdown:
@@ -97,16 +200,59 @@ const convertToUSD = (amount, currency) => {
  *                         type: string
  *                       categoryColor:
  *                         type: string
- *                       totalUSD:
+ *                       totals:
+ *                         $ref: '#/components/schemas/CurrencyTotals'
+ *                       recordCount:
+ *                         type: integer
+ *                       percentage:
  *                         type: number
- *                       totalKHR:
+ *                 categoryTree:
+ *                   type: array
+ *                   description: |
+ *                     Only present with categoryTree=true. Top-level categories, each with its subcategories
+ *                     nested in `subcategories`. A category's totals, recordCount and percentage include
+ *                     everything below it; a record counts once per category however many of its lines
+ *                     fall under it. Categories without expenses of their own or below them are left out.
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryTreeTotals'
+ *                 tagBreakdown:
+ *                   type: array
+ *                   description: Only present with breakdown=tag. Expenses without tags are grouped under "Untagged"
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tagId:
+ *                         type: integer
+ *                         nullable: true
+ *                       tagName:
+ *                         type: string
+ *                       tagColor:
+ *                         type: string
+ *                       totals:
+ *                         $ref: '#/components/schemas/CurrencyTotals'
+ *                       recordCount:
+ *                         type: integer
+ *                       percentage:
  *                         type: number
+ *                 payeeBreakdown:
+ *                   type: array
+ *                   description: Only present with breakdown=payee. Expenses without a payee are grouped under "No payee"
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       payeeId:
+ *                         type: integer
+ *                         nullable: true
+ *                       payeeName:
+ *                         type: string
+ *                       totals:
+ *                         $ref: '#/components/schemas/CurrencyTotals'
  *                       recordCount:
  *                         type: integer
  *                       percentage:
  *                         type: number
  *       400:
- *         description: Invalid month or year
+ *         description: Invalid month, year, currency or breakdown
  *         content:
  *           application/json:
  *             schema:
@@ -114,6 +260,12 @@ const convertToUSD = (amount, currency) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       403:
+ *         description: Forbidden - The saved view belongs to someone else
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -129,18 +281,13 @@ export const getMonthlySummary = async (req, res) => {
         const userId = req.user.id;
         const currentDate = new Date();
         
-        // Parse and validate parameters
-        const month = parseInt(req.query.month) || (currentDate.getMonth() + 1);
-        const year = parseInt(req.query.year) || currentDate.getFullYear();
-        const currency = req.query.currency || 'ALL';
-        
-        // Validate month and year
-        if (month < 1 || month > 12) {
-            return res.status(400).json({ error: 'Month must be between 1 and 12' });
-        }
-        if (year < 2020 || year > 2030) {
-            return res.status(400).json({ error: 'Year must be between 2020 and 2030' });
-        }
+        // Parameters, checked by the route's schema
+        const month = req.query.month ?? (currentDate.getMonth() + 1);
+        const year = req.query.year ?? currentDate.getFullYear();
+        const { currency, breakdown, categoryTree: withCategoryTree } = req.query;
+        const scope = await loadViewScope(userId, req.query.view);
+        const currencies = currency === 'ALL' ? await userCurrencies(userId) : [currency];
+        const rates = await loadExchangeRates(userId, { currencies: [...new Set([...currencies, 'USD'])] });
         
         // Calculate date range for the selected month
         const startDate = new Date(year, month - 1, 1);
@@ -162,26 +309,50 @@ export const getMonthlySummary = async (req, res) => {
         
         // Get all records for the month with category information
         const records = await db.Record.findAll({
-            where: whereConditions,
+            where: withinView(whereConditions, scope),
             include: [
                 {
                     model: db.Category,
                     attributes: ['id', 'name', 'color'],
                     required: false // Include records without categories
-                }
+                },
+                {
+                    model: db.RecordSplit,
+                    attributes: ['id', 'amount'],
+                    include: [{ model: db.Category, attributes: ['id', 'name', 'color'] }]
+                },
+                ...(breakdown === 'tag' ? [{
+                    model: db.Tag,
+                    attributes: ['id', 'name', 'color'],
+                    through: { attributes: [] }
+                }] : []),
+                ...(breakdown === 'payee' ? [{ model: db.Payee, attributes: ['id', 'name'] }] : [])
             ],
             order: [['date', 'DESC']]
         });
         
-        // Calculate totals by currency
-        const totals = { USD: 0, KHR: 0 };
+        // Calculate totals by type and currency (transfers are neither spent nor earned),
+        // converting each record at the rate on its own date
+        const totals = emptyTotals(currencies);
+        const incomeTotals = emptyTotals(currencies);
+        const convertedTotals = emptyTotals(currencies);
+        const convertedIncome = emptyTotals(currencies);
+        const recordCountByType = { expense: 0, income: 0, transfer: 0 };
+        let grandTotalUSD = 0n;
         records.forEach(record => {
-            totals[record.currency] += parseFloat(record.amount);
+            recordCountByType[record.type] += 1;
+            if (record.type === 'expense') {
+                addAmount(totals, record.currency, record.amount);
+                addConverted(convertedTotals, rates, record.currency, record.amount, record.date);
+                grandTotalUSD += valueInUSD(rates, record.currency, record.amount, record.date);
+            } else if (record.type === 'income') {
+                addAmount(incomeTotals, record.currency, record.amount);
+                addConverted(convertedIncome, rates, record.currency, record.amount, record.date);
+            }
         });
-        
-        // Round totals to 2 decimal places
-        totals.USD = Math.round(totals.USD * 100) / 100;
-        totals.KHR = Math.round(totals.KHR * 100) / 100;
+        const expenseRecords = records.filter(record => record.type === 'expense');
+
+        const netTotals = subtractTotals(incomeTotals, totals);
         
         // Calculate days for average calculation
         const daysInMonth = new Date(year, month, 0).getDate();
@@ -196,80 +367,197 @@ export const getMonthlySummary = async (req, res) => {
             daysForAverage = daysInMonth;
         }
         
-        const averagePerDay = {
-            USD: totals.USD / daysForAverage,
-            KHR: totals.KHR / daysForAverage
-        };
+        const averagePerDay = perDay(totals, daysForAverage);
         
-        // Group records by category for breakdown
+        // Group expense records by category for breakdown.
+        // Split records contribute each split line to its own category instead of the record's category.
         const categoryMap = new Map();
-        
-        records.forEach(record => {
-            const categoryId = record.Category?.id || null;
-            const categoryName = record.Category?.name || 'Uncategorized';
-            const categoryColor = record.Category?.color || '#808080';
-            
-            if (!categoryMap.has(categoryId)) {
-                categoryMap.set(categoryId, {
-                    categoryId,
-                    categoryName,
-                    categoryColor,
-                    totalUSD: 0,
-                    totalKHR: 0,
-                    recordCount: 0
+        // With categoryTree, each line also counts towards every category above its own
+        const categoriesById = withCategoryTree
+            ? new Map((await db.Category.findAll({ where: { userId }, attributes: ['id', 'name', 'color', 'parentId'] })).map(category => [category.id, category]))
+            : null;
+        const treeMap = new Map();
+        
+        expenseRecords.forEach(record => {
+            const countedTreeNodes = new Set();
+            const lines = record.RecordSplits.length > 0
+                ? record.RecordSplits
+                : [{ Category: record.Category, amount: record.amount }];
+
+            const countedCategories = new Set(); // a record counts once per category, however many lines it has there
+            lines.forEach(line => {
+                const categoryId = line.Category?.id || null;
+                const categoryName = line.Category?.name || 'Uncategorized';
+                const categoryColor = line.Category?.color || '#808080';
+                
+                if (!categoryMap.has(categoryId)) {
+                    categoryMap.set(categoryId, {
+                        categoryId,
+                        categoryName,
+                        categoryColor,
+                        totals: emptyTotals(currencies),
+                        recordCount: 0,
+                        valueUSD: 0n
+                    });
+                }
+                
+                const categoryData = categoryMap.get(categoryId);
+                addAmount(categoryData.totals, record.currency, line.amount);
+                categoryData.valueUSD += valueInUSD(rates, record.currency, line.amount, record.date);
+                if (!countedCategories.has(categoryId)) {
+                    countedCategories.add(categoryId);
+                    categoryData.recordCount += 1;
+                }
+
+                if (!withCategoryTree) return;
+                const lineIds = categoryId === null ? [null] : categoryAncestorIds(categoryId, categoriesById);
+                lineIds.forEach((id, index) => {
+                    if (!treeMap.has(id)) {
+                        const category = categoriesById.get(id);
+                        treeMap.set(id, {
+                            categoryId: id,
+                            categoryName: category?.name || 'Uncategorized',
+                            categoryColor: category?.color || '#808080',
+                            parentId: lineIds[index + 1] ?? null,
+                            totals: emptyTotals(currencies),
+                            recordCount: 0,
+                            valueUSD: 0n
+                        });
+                    }
+                    const node = treeMap.get(id);
+                    addAmount(node.totals, record.currency, line.amount);
+                    node.valueUSD += valueInUSD(rates, record.currency, line.amount, record.date);
+                    if (!countedTreeNodes.has(id)) {
+                        countedTreeNodes.add(id);
+                        node.recordCount += 1;
+                    }
                 });
-            }
-            
-            const categoryData = categoryMap.get(categoryId);
-            categoryData.totalUSD += record.currency === 'USD' ? parseFloat(record.amount) : 0;
-            categoryData.totalKHR += record.currency === 'KHR' ? parseFloat(record.amount) : 0;
-            categoryData.recordCount += 1;
+            });
         });
         
-        // Convert map to array and calculate percentages
-        const categoryBreakdown = Array.from(categoryMap.values()).map(category => {
-            // Round category totals to 2 decimal places
-            category.totalUSD = Math.round(category.totalUSD * 100) / 100;
-            category.totalKHR = Math.round(category.totalKHR * 100) / 100;
-            
-            // Convert to USD for accurate percentage calculation
-            const categoryTotalUSD = convertToUSD(category.totalUSD, 'USD') + convertToUSD(category.totalKHR, 'KHR');
-            const grandTotalUSD = convertToUSD(totals.USD, 'USD') + convertToUSD(totals.KHR, 'KHR');
-            const percentage = grandTotalUSD > 0 ? (categoryTotalUSD / grandTotalUSD) * 100 : 0;
-            
-            return {
+        // Convert map to array and calculate percentages (in USD for a fair comparison across currencies)
+        const categoryBreakdown = Array.from(categoryMap.values())
+            // Sort by total amount (converted to USD for fair comparison) descending
+            .sort((a, b) => compareDescending(a.valueUSD, b.valueUSD))
+            .map(({ valueUSD, ...category }) => ({
                 ...category,
-                percentage: Math.round(percentage * 100) / 100 // Round to 2 decimal places
-            };
-        });
+                totals: toAmounts(category.totals),
+                percentage: percentOf(valueUSD, grandTotalUSD)
+            }));
+        
+        // Nest the rolled-up categories under their parents, largest first at every level
+        let categoryTree;
+        if (withCategoryTree) {
+            const subcategories = new Map();
+            treeMap.forEach(node => {
+                const key = node.parentId ?? 'top';
+                subcategories.set(key, [...(subcategories.get(key) || []), node]);
+            });
+            const nest = (nodes = []) => nodes
+                .sort((a, b) => compareDescending(a.valueUSD, b.valueUSD))
+                .map(({ valueUSD, parentId, ...category }) => ({
+                    ...category,
+                    totals: toAmounts(category.totals),
+                    percentage: percentOf(valueUSD, grandTotalUSD),
+                    subcategories: nest(subcategories.get(category.categoryId))
+                }));
+            categoryTree = nest(subcategories.get('top'));
+        }
         
-        // Sort by total amount (converted to USD for fair comparison) descending
-        categoryBreakdown.sort((a, b) => {
-            const aTotalUSD = convertToUSD(a.totalUSD, 'USD') + convertToUSD(a.totalKHR, 'KHR');
-            const bTotalUSD = convertToUSD(b.totalUSD, 'USD') + convertToUSD(b.totalKHR, 'KHR');
-            return bTotalUSD - aTotalUSD;
-        });
+        // Group expense records by tag; a record counts towards every tag it carries
+        let tagBreakdown;
+        if (breakdown === 'tag') {
+            const tagMap = new Map();
+
+            expenseRecords.forEach(record => {
+                const tags = record.Tags.length > 0 ? record.Tags : [{ id: null, name: 'Untagged', color: null }];
+                tags.forEach(tag => {
+                    if (!tagMap.has(tag.id)) {
+                        tagMap.set(tag.id, {
+                            tagId: tag.id,
+                            tagName: tag.name,
+                            tagColor: tag.color || '#808080',
+                            totals: emptyTotals(currencies),
+                            recordCount: 0,
+                            valueUSD: 0n
+                        });
+                    }
+                    const tagData = tagMap.get(tag.id);
+                    addAmount(tagData.totals, record.currency, record.amount);
+                    tagData.valueUSD += valueInUSD(rates, record.currency, record.amount, record.date);
+                    tagData.recordCount += 1;
+                });
+            });
+
+            tagBreakdown = Array.from(tagMap.values())
+                .sort((a, b) => compareDescending(a.valueUSD, b.valueUSD))
+                .map(({ valueUSD, ...tag }) => ({
+                    ...tag,
+                    totals: toAmounts(tag.totals),
+                    percentage: percentOf(valueUSD, grandTotalUSD)
+                }));
+        }
+        
+        // Group expense records by payee, like categories
+        let payeeBreakdown;
+        if (breakdown === 'payee') {
+            const payeeMap = new Map();
+
+            expenseRecords.forEach(record => {
+                const payeeId = record.Payee?.id || null;
+                if (!payeeMap.has(payeeId)) {
+                    payeeMap.set(payeeId, {
+                        payeeId,
+                        payeeName: record.Payee?.name || 'No payee',
+                        totals: emptyTotals(currencies),
+                        recordCount: 0,
+                        valueUSD: 0n
+                    });
+                }
+                const payeeData = payeeMap.get(payeeId);
+                addAmount(payeeData.totals, record.currency, record.amount);
+                payeeData.valueUSD += valueInUSD(rates, record.currency, record.amount, record.date);
+                payeeData.recordCount += 1;
+            });
+
+            payeeBreakdown = Array.from(payeeMap.values())
+                .sort((a, b) => compareDescending(a.valueUSD, b.valueUSD))
+                .map(({ valueUSD, ...payee }) => ({
+                    ...payee,
+                    totals: toAmounts(payee.totals),
+                    percentage: percentOf(valueUSD, grandTotalUSD)
+                }));
+        }
         
         const summary = {
             month,
             year,
             currency,
-            totalExpenses: totals,
-            recordCount: records.length,
-            averagePerDay: {
-                USD: Math.round(averagePerDay.USD * 100) / 100,
-                KHR: Math.round(averagePerDay.KHR * 100) / 100
+            totalExpenses: toAmounts(totals),
+            totalIncome: toAmounts(incomeTotals),
+            netBalance: toAmounts(netTotals),
+            converted: {
+                totalExpenses: toAmounts(convertedTotals),
+                totalIncome: toAmounts(convertedIncome),
+                netBalance: toAmounts(subtractTotals(convertedIncome, convertedTotals))
             },
+            recordCount: records.length,
+            recordCountByType,
+            averagePerDay: toAmounts(averagePerDay),
             isEmpty: records.length === 0
         };
         
         res.json({
+            ...(scope.view && { view: viewSummary(scope.view) }),
             summary,
-            categoryBreakdown
+            categoryBreakdown,
+            ...(categoryTree && { categoryTree }),
+            ...(tagBreakdown && { tagBreakdown }),
+            ...(payeeBreakdown && { payeeBreakdown })
         });
         
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
     }
 };
 
@@ -279,6 +567,9 @@ export const getMonthlySummary = async (req, res) => {
  *   get:
  *     tags: [Summary]
  *     summary: Get average daily expenses for the most recent 3 months with proper currency conversion
+ *     description: |
+ *       Each month also reports total income and the net balance (income minus expenses).
+ *       Transfer records are ignored.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -286,13 +577,12 @@ export const getMonthlySummary = async (req, res) => {
  *         name: displayCurrency
  *         schema:
  *           type: string
- *           enum: [USD, KHR, BOTH]
  *           default: BOTH
  *         description: |
  *           Currency to display results in:
- *           - USD: Convert all amounts to USD
- *           - KHR: Convert all amounts to KHR  
- *           - BOTH: Show both currencies with proper conversion
+ *           - An ISO 4217 code (e.g. USD, THB): convert all amounts to that currency
+ *           - BOTH (or ALL): show every currency the user has records in, each with proper conversion
+ *       - $ref: '#/components/parameters/SummaryView'
  *     responses:
  *       200:
  *         description: Recent 3 months average data with proper currency conversion
@@ -301,6 +591,8 @@ export const getMonthlySummary = async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 view:
+ *                   $ref: '#/components/schemas/SummaryViewRef'
  *                 displayCurrency:
  *                   type: string
  *                 recentMonths:
@@ -315,36 +607,49 @@ export const getMonthlySummary = async (req, res) => {
  *                       monthName:
  *                         type: string
  *                       totalExpenses:
- *                         type: object
- *                         properties:
- *                           USD:
- *                             type: number
- *                           KHR:
- *                             type: number
+ *                         $ref: '#/components/schemas/CurrencyTotals'
+ *                       totalIncome:
+ *                         $ref: '#/components/schemas/CurrencyTotals'
+ *                       netBalance:
+ *                         description: Converted income minus converted expenses
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CurrencyTotals'
  *                       averagePerDay:
- *                         type: object
- *                         properties:
- *                           USD:
- *                             type: number
- *                           KHR:
- *                             type: number
+ *                         $ref: '#/components/schemas/CurrencyTotals'
  *                       recordCount:
  *                         type: integer
  *                       rawTotals:
- *                         type: object
- *                         description: Original amounts before conversion
- *                         properties:
- *                           USD:
- *                             type: number
- *                           KHR:
- *                             type: number
+ *                         description: Original expense amounts before conversion
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CurrencyTotals'
+ *                       rawIncome:
+ *                         description: Original income amounts before conversion
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CurrencyTotals'
+ *                       rawNet:
+ *                         description: Original income minus expenses, per currency
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CurrencyTotals'
  *                 overallAverage:
- *                   type: object
- *                   properties:
- *                     USD:
- *                       type: number
- *                     KHR:
- *                       type: number
+ *                   description: Average daily expenses across the 3 months
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CurrencyTotals'
+ *                 overallIncomeAverage:
+ *                   description: Average daily income across the 3 months
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CurrencyTotals'
+ *                 overallNetAverage:
+ *                   description: Average daily net balance across the 3 months
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/CurrencyTotals'
+ *       400:
+ *         description: Unsupported displayCurrency
+ *       403:
+ *         description: Forbidden - The saved view belongs to someone else
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -358,8 +663,14 @@ export const getMonthlySummary = async (req, res) => {
 export const getRecentAverage = async (req, res) => {
     try {
         const userId = req.user.id;
-        const displayCurrency = req.query.displayCurrency || 'BOTH';
+        const { displayCurrency } = req.query;
         const currentDate = new Date();
+        const scope = await loadViewScope(userId, req.query.view);
+
+        // BOTH (or ALL) shows the converted totals in every currency the user records in
+        const currencies = await userCurrencies(userId);
+        const targets = isCurrencyCode(displayCurrency) ? [displayCurrency] : currencies;
+        const rates = await loadExchangeRates(userId, { currencies: [...new Set([...currencies, ...targets])] });
         
         const monthNames = [
             'January', 'February', 'March', 'April', 'May', 'June',
@@ -368,7 +679,8 @@ export const getRecentAverage = async (req, res) => {
         
         const recentMonths = [];
         let totalDays = 0;
-        let overallTotalsUSD = 0; // Track everything in USD for accurate averaging
+        let overallTotals = emptyTotals(targets); // Converted totals across all months, for the overall averages
+        let overallIncome = emptyTotals(targets);
         
         // Get data for the most recent 3 months
         for (let i = 0; i < 3; i++) {
@@ -391,40 +703,27 @@ export const getRecentAverage = async (req, res) => {
             
             // Get records for this month
             const records = await db.Record.findAll({
-                where: whereConditions,
-                attributes: ['amount', 'currency']
+                where: withinView(whereConditions, scope),
+                attributes: ['amount', 'currency', 'type', 'date']
             });
             
-            // Calculate raw totals and convert everything to USD for proper totaling
-            const rawTotals = { USD: 0, KHR: 0 };
-            let monthTotalUSD = 0;
+            // Calculate raw totals, and convert every record into each display currency at the rate on its date
+            const rawTotals = emptyTotals(currencies);
+            const rawIncome = emptyTotals(currencies);
+            const totalExpenses = emptyTotals(targets);
+            const totalIncome = emptyTotals(targets);
             
             records.forEach(record => {
-                const amount = parseFloat(record.amount);
-                rawTotals[record.currency] += amount;
-                
-                // Convert everything to USD for accurate total calculation
-                monthTotalUSD += convertToUSD(amount, record.currency);
+                if (record.type === 'expense') {
+                    addAmount(rawTotals, record.currency, record.amount);
+                    addConverted(totalExpenses, rates, record.currency, record.amount, record.date);
+                } else if (record.type === 'income') {
+                    addAmount(rawIncome, record.currency, record.amount);
+                    addConverted(totalIncome, rates, record.currency, record.amount, record.date);
+                }
             });
-            
-            // Round raw totals to 2 decimal places
-            rawTotals.USD = Math.round(rawTotals.USD * 100) / 100;
-            rawTotals.KHR = Math.round(rawTotals.KHR * 100) / 100;
-            
-            // Calculate proper totals based on display currency
-            let totalExpenses = { USD: 0, KHR: 0 };
-            
-            if (displayCurrency === 'USD') {
-                totalExpenses.USD = Math.round(monthTotalUSD * 100) / 100;
-                totalExpenses.KHR = Math.round(monthTotalUSD * EXCHANGE_RATES.USD_TO_KHR * 100) / 100;
-            } else if (displayCurrency === 'KHR') {
-                const monthTotalKHR = monthTotalUSD * EXCHANGE_RATES.USD_TO_KHR;
-                totalExpenses.USD = Math.round(monthTotalUSD * 100) / 100;
-                totalExpenses.KHR = Math.round(monthTotalKHR * 100) / 100;
-            } else { // BOTH
-                totalExpenses.USD = Math.round(monthTotalUSD * 100) / 100;
-                totalExpenses.KHR = Math.round(monthTotalUSD * EXCHANGE_RATES.USD_TO_KHR * 100) / 100;
-            }
+            const rawNet = subtractTotals(rawIncome, rawTotals);
+            const netBalance = subtractTotals(totalIncome, totalExpenses);
             
             // Calculate days to use for average calculation
             const daysInMonth = new Date(year, month, 0).getDate();
@@ -442,39 +741,43 @@ export const getRecentAverage = async (req, res) => {
             totalDays += daysForAverage;
             
             // Calculate average per day
-            const averagePerDay = {
-                USD: Math.round((totalExpenses.USD / daysForAverage) * 100) / 100,
-                KHR: Math.round((totalExpenses.KHR / daysForAverage) * 100) / 100
-            };
+            const averagePerDay = perDay(totalExpenses, daysForAverage);
             
-            // Add to overall total (in USD for accurate calculation)
-            overallTotalsUSD += monthTotalUSD;
+            // Add to overall totals (already converted, so both currencies stay exact)
+            overallTotals = addTotals(overallTotals, totalExpenses);
+            overallIncome = addTotals(overallIncome, totalIncome);
             
             recentMonths.push({
                 month,
                 year,
                 monthName: monthNames[month - 1],
-                totalExpenses,
-                averagePerDay,
+                totalExpenses: toAmounts(totalExpenses),
+                totalIncome: toAmounts(totalIncome),
+                netBalance: toAmounts(netBalance),
+                averagePerDay: toAmounts(averagePerDay),
                 recordCount: records.length,
-                rawTotals // Include raw amounts for transparency
+                rawTotals: toAmounts(rawTotals), // Include raw amounts for transparency
+                rawIncome: toAmounts(rawIncome),
+                rawNet: toAmounts(rawNet)
             });
         }
         
         // Calculate overall average across 3 months
-        const overallAverage = {
-            USD: Math.round((overallTotalsUSD / totalDays) * 100) / 100,
-            KHR: Math.round((overallTotalsUSD * EXCHANGE_RATES.USD_TO_KHR / totalDays) * 100) / 100
-        };
+        const overallAverage = perDay(overallTotals, totalDays);
+        const overallIncomeAverage = perDay(overallIncome, totalDays);
+        const overallNetAverage = perDay(subtractTotals(overallIncome, overallTotals), totalDays);
         
         res.json({
+            ...(scope.view && { view: viewSummary(scope.view) }),
             displayCurrency,
             recentMonths,
-            overallAverage
+            overallAverage: toAmounts(overallAverage),
+            overallIncomeAverage: toAmounts(overallIncomeAverage),
+            overallNetAverage: toAmounts(overallNetAverage)
         });
         
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
     }
 };
 
@@ -483,7 +786,7 @@ export const getRecentAverage = async (req, res) => {
  * /api/summary/top5:
  *   get:
  *     tags: [Summary]
- *     summary: Get top 5 biggest spending records from the past 3 months
+ *     summary: Get top 5 biggest expense records from the past 3 months
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -491,9 +794,9 @@ export const getRecentAverage = async (req, res) => {
  *         name: displayCurrency
  *         schema:
  *           type: string
- *           enum: [USD, KHR]
  *           default: USD
- *         description: Currency to display amounts in (converts using fixed rate)
+ *         description: ISO 4217 currency to display amounts in (converted at the rate on each record's date)
+ *       - $ref: '#/components/parameters/SummaryView'
  *     responses:
  *       200:
  *         description: Top 5 expenses from last 3 months
@@ -502,6 +805,8 @@ export const getRecentAverage = async (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                 view:
+ *                   $ref: '#/components/schemas/SummaryViewRef'
  *                 displayCurrency:
  *                   type: string
  *                 totalRecords:
@@ -517,7 +822,8 @@ export const getRecentAverage = async (req, res) => {
  *                         type: string
  *                       amount:
  *                         type: number
- *                         description: Amount converted to display currency
+ *                         nullable: true
+ *                         description: Amount converted to display currency; null when there is no exchange rate
  *                       originalAmount:
  *                         type: number
  *                       originalCurrency:
@@ -529,6 +835,14 @@ export const getRecentAverage = async (req, res) => {
  *                         type: string
  *                       categoryColor:
  *                         type: string
+ *       400:
+ *         description: Unsupported displayCurrency
+ *       403:
+ *         description: Forbidden - The saved view belongs to someone else
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         description: Server error
  *         content:
@@ -542,8 +856,11 @@ export const getRecentAverage = async (req, res) => {
 export const getTop5Expenses = async (req, res) => {
     try {
         const userId = req.user.id;
-        const displayCurrency = req.query.displayCurrency || 'USD';
+        const { displayCurrency } = req.query;
         const currentDate = new Date();
+        const scope = await loadViewScope(userId, req.query.view);
+
+        const rates = await loadExchangeRates(userId);
         
         // Calculate date range for the past 3 months
         const threeMonthsAgo = new Date(currentDate);
@@ -554,9 +871,10 @@ export const getTop5Expenses = async (req, res) => {
         const endDate = new Date(currentDate);
         endDate.setHours(23, 59, 59, 999);
         
-        // Build where conditions
+        // Build where conditions - only expenses count as spending
         let whereConditions = {
             userId: userId,
+            type: 'expense',
             date: {
                 [Op.gte]: threeMonthsAgo,
                 [Op.lte]: endDate
@@ -565,7 +883,7 @@ export const getTop5Expenses = async (req, res) => {
         
         // Get all records from the past 3 months with category information
         const records = await db.Record.findAll({
-            where: whereConditions,
+            where: withinView(whereConditions, scope),
             include: [
                 {
                     model: db.Category,
@@ -579,21 +897,13 @@ export const getTop5Expenses = async (req, res) => {
         
         // Convert amounts to display currency and sort by converted amount
         const recordsWithConvertedAmounts = records.map(record => {
-            const originalAmount = parseFloat(record.amount);
+            const originalAmount = record.amount;
             
-            // Use helper function for conversion
-            let convertedAmount;
-            if (record.currency === displayCurrency) {
-                convertedAmount = originalAmount;
-            } else if (displayCurrency === 'USD') {
-                convertedAmount = convertToUSD(originalAmount, record.currency);
-            } else if (displayCurrency === 'KHR') {
-                // Convert to USD first, then to KHR
-                const usdAmount = convertToUSD(originalAmount, record.currency);
-                convertedAmount = usdAmount * EXCHANGE_RATES.USD_TO_KHR;
-            } else {
-                convertedAmount = originalAmount;
-            }
+            // Converted exactly at the rate on the record's date; the storage-scale value keeps small amounts
+            // ordered correctly. Both are null when there is no rate into the display currency.
+            const displayAmount = rates.convert(originalAmount, record.currency, displayCurrency, record.date);
+            const scaledAmount = rates.convert(originalAmount, record.currency, displayCurrency, record.date, MONEY_SCALE);
+            const convertedAmount = scaledAmount === null ? null : toMinorUnits(scaledAmount, MONEY_SCALE);
             
             // Handle date formatting
             let formattedDate;
@@ -610,7 +920,7 @@ export const getTop5Expenses = async (req, res) => {
             return {
                 id: record.id,
                 title: record.title,
-                amount: Math.round(convertedAmount * 100) / 100, // Converted amount
+                amount: displayAmount === null ? null : Number(displayAmount), // Converted amount
                 originalAmount: originalAmount,
                 originalCurrency: record.currency,
                 date: formattedDate, // Safely formatted date
@@ -620,9 +930,10 @@ export const getTop5Expenses = async (req, res) => {
             };
         });
         
-        // Sort by converted amount descending and limit to top 5
+        // Sort by converted amount descending (unconvertible records last) and limit to top 5
         const top5Expenses = recordsWithConvertedAmounts
-            .sort((a, b) => b.convertedAmount - a.convertedAmount)
+            .sort((a, b) => (a.convertedAmount === null) - (b.convertedAmount === null)
+                || compareDescending(a.convertedAmount, b.convertedAmount))
             .slice(0, 5)
             .map(record => {
                 // Remove the convertedAmount field from final response
@@ -631,6 +942,7 @@ export const getTop5Expenses = async (req, res) => {
             });
         
         res.json({
+            ...(scope.view && { view: viewSummary(scope.view) }),
             displayCurrency,
             totalRecords: records.length,
             top5Expenses
@@ -638,6 +950,6 @@ export const getTop5Expenses = async (req, res) => {
         
     } catch (err) {
         console.error('Error in getTop5Expenses:', err);
-        res.status(500).json({ error: err.message });
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
     }
 };
\ No newline at end of file
@@ -0,0 +1,257 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import {
+    createUserRecord,
+    updateUserRecord,
+    deleteUserRecord,
+    findRecordWithCategory
+} from '../services/Record.service.js';
+import { createUserCategory, updateUserCategory, deleteUserCategory } from '../services/Category.service.js';
+import { getSyncChanges, markCategoryRecordsChanged } from '../services/Sync.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Sync
+ *    description: |
+ *      Delta sync for offline-first clients. A client downloads everything once with GET /api/sync, keeps the
+ *      token it gets, and from then on asks for what changed since that token: records and categories that
+ *      were created or changed, and the ids of those that were deleted. Its own offline changes go up with
+ *      POST /api/sync, which reports the ones that clash with changes made on the server.
+ */
+
+export const SYNC_OPERATIONS = ['create', 'update', 'delete'];
+export const MAX_SYNC_CHANGES = 500;
+
+// How each kind of change is written, and how the result is loaded
+const SYNC_TYPES = {
+    category: {
+        model: db.Category,
+        create: createUserCategory,
+        update: updateUserCategory,
+        delete: deleteUserCategory,
+        load: (id, options) => db.Category.findByPk(id, options),
+        // Records show the category's name and color
+        afterWrite: (category, options) => markCategoryRecordsChanged(category.id, options)
+    },
+    record: {
+        model: db.Record,
+        create: createUserRecord,
+        update: updateUserRecord,
+        delete: deleteUserRecord,
+        load: findRecordWithCategory,
+        afterWrite: async () => {}
+    }
+};
+
+// Whether the user's record or category is in the trash (or gone for good, when it is not found at all)
+const isTrashed = async (type, userId, id) => {
+    const item = await SYNC_TYPES[type].model.findByPk(id, { paranoid: false });
+    return Boolean(item && item.userId === userId && item.deletedAt !== null);
+};
+
+/**
+ * Applies one change sent by a client, in its own transaction. Updates and deletes only go ahead over the
+ * version the client last saw; anything else is reported as a conflict together with the server's version.
+ *
+ * @returns {Promise<object>} The change's result, with the status the individual endpoint would have returned
+ */
+const applyChange = async (userId, type, change) => {
+    const { op, id, version, data = {} } = change;
+    const { create, update, delete: remove, load, afterWrite } = SYNC_TYPES[type];
+
+    try {
+        return await db.sequelize.transaction(async (transaction) => {
+            if (op === 'create') {
+                const item = await create(userId, data, { transaction });
+                return { status: 201, id: item.id, [type]: await load(item.id, { transaction }) };
+            }
+            const options = { transaction, ifMatch: `"${version}"` };
+            if (op === 'update') {
+                const item = await update(userId, id, data, options);
+                await afterWrite(item, { transaction });
+                return { status: 200, id, [type]: await load(id, { transaction }) };
+            }
+            const item = await remove(userId, id, options);
+            await afterWrite(item, { transaction });
+            return { status: 200, id };
+        });
+    } catch (err) {
+        if (err instanceof ApiError && err.status === 412) {
+            return { status: 409, id, error: `The ${type} was changed on the server`, current: err.details.current };
+        }
+        if (err instanceof ApiError && err.status === 404 && await isTrashed(type, userId, id)) {
+            // Deleting what the server already deleted is no conflict
+            if (op === 'delete') return { status: 200, id };
+            return { status: 409, id, error: `The ${type} was deleted on the server`, current: null };
+        }
+        return { status: err instanceof ApiError ? err.status : 400, ...(id !== undefined && { id }), error: err.message };
+    }
+};
+
+/**
+ * @openapi
+ * /api/sync:
+ *   get:
+ *     tags: [Sync]
+ *     summary: Get records and categories changed since a sync token
+ *     description: |
+ *       Without a token this is a full sync: every category, then every record, in pages. With the token
+ *       of a previous answer, only what changed since is returned: records and categories as they are now,
+ *       and the ids of those deleted (or moved to the trash) in `deleted`. A record also shows up when the
+ *       name or color of its category, payee or tags changed.
+ *
+ *       While `hasMore` is true, ask again with the new token straight away. Changes made during a full
+ *       sync come again in the next delta; applying a record or category twice is harmless.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Token from the previous answer; leave out for a full sync
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 500
+ *         description: Most records (full sync) or changes (delta) per page
+ *     responses:
+ *       200:
+ *         description: Changes since the token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Record'
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 deleted:
+ *                   type: object
+ *                   properties:
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                 token:
+ *                   type: string
+ *                   description: Opaque token to send next time
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid sync token
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getSync = async (req, res) => {
+    try {
+        res.json(await getSyncChanges(req.user.id, req.query.token, req.query.limit));
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/sync:
+ *   post:
+ *     tags: [Sync]
+ *     summary: Apply changes a client made offline
+ *     description: |
+ *       Categories are applied first, so records can use categories created in the same request. Each
+ *       change is applied on its own with the same checks as the individual endpoints; one failing doesn't
+ *       stop the others. Updates and deletes carry the `version` of the record or category the client last
+ *       saw. When the server has a newer version, or has deleted it, the change isn't applied and its
+ *       result has status 409 with the server's version in `current` (null when deleted), for the client to
+ *       resolve and send again. Deleting something already deleted succeeds.
+ *
+ *       An optional `ref` on each change is echoed back so clients can match results, such as the ids of
+ *       created records, to their local changes. Pull with GET /api/sync afterwards; it returns these
+ *       changes too.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   $ref: '#/components/schemas/SyncChangeInput'
+ *               records:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   $ref: '#/components/schemas/SyncChangeInput'
+ *           example:
+ *             categories:
+ *               - op: create
+ *                 ref: local-cat-1
+ *                 data: { name: "Coffee", color: "#6f4e37" }
+ *             records:
+ *               - op: create
+ *                 ref: local-1
+ *                 data: { title: "Latte", date: "2026-10-18", currency: "USD", amount: 4.5, category: "Coffee" }
+ *               - op: update
+ *                 id: 42
+ *                 version: 3
+ *                 data: { amount: 30 }
+ *               - op: delete
+ *                 id: 43
+ *                 version: 1
+ *     responses:
+ *       200:
+ *         description: What happened to each change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SyncChangeResult'
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SyncChangeResult'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const pushSync = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const results = { categories: [], records: [] };
+
+        for (const [type, list] of [['category', 'categories'], ['record', 'records']]) {
+            for (const [index, change] of req.body[list].entries()) {
+                const { op, ref } = change;
+                const result = await applyChange(userId, type, change);
+                results[list].push({ index, op, ...(ref !== undefined && { ref }), ...result });
+            }
+        }
+
+        res.json(results);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
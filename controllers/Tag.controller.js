@@ -0,0 +1,250 @@
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import { findOwnedTag, parseTagName } from '../services/Tag.service.js';
+import { markTagRecordsChanged } from '../services/Sync.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Tag
+ *    description: Tags are labels a record can have any number of, next to its single category
+ */
+
+/**
+ * @openapi
+ * /api/tags:
+ *   get:
+ *     tags: [Tag]
+ *     summary: Get all tags of the authenticated user with their record counts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of tags ordered by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Tag'
+ *                   - type: object
+ *                     properties:
+ *                       recordCount:
+ *                         type: integer
+ *       500:
+ *         description: Server error
+ */
+export const getAllTags = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const tags = await db.Tag.findAll({
+            where: { userId },
+            order: [['name', 'ASC']]
+        });
+
+        const counts = await db.RecordTag.findAll({
+            attributes: ['tagId', [db.sequelize.fn('COUNT', db.sequelize.col('recordId')), 'recordCount']],
+            where: { tagId: tags.map(tag => tag.id) },
+            group: ['tagId'],
+            raw: true
+        });
+        const countByTag = new Map(counts.map(row => [row.tagId, parseInt(row.recordCount)]));
+
+        res.json(tags.map(tag => ({ ...tag.toJSON(), recordCount: countByTag.get(tag.id) || 0 })));
+    } catch (err) {
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+};
+
+/**
+ * @openapi
+ * /api/tags:
+ *   post:
+ *     tags: [Tag]
+ *     summary: Create a new tag
+ *     description: Tags are also created automatically when a record uses an unknown tag name.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid name or color
+ *       409:
+ *         description: Tag already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const createTag = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const name = parseTagName(req.body.name);
+        const { color } = req.body;
+
+        const existing = await db.Tag.findOne({ where: { name, userId } });
+        if (existing) return res.status(409).json({ error: 'Tag already exists' });
+
+        const tag = await db.Tag.create({ name, color: color ?? null, userId });
+        res.status(201).json(tag);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   put:
+ *     tags: [Tag]
+ *     summary: Rename or recolor a tag
+ *     description: Renaming a tag keeps it on all of its records. Fields left out keep their values (PATCH works the same way).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid name or color
+ *       403:
+ *         description: Forbidden - You don't have permission to update this tag
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag already has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *   patch:
+ *     tags: [Tag]
+ *     summary: Rename or recolor a tag
+ *     description: Renaming a tag keeps it on all of its records. Fields left out keep their values.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagInput'
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tag'
+ *       400:
+ *         description: Invalid name or color
+ *       403:
+ *         description: Forbidden - You don't have permission to update this tag
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: Another tag already has this name
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const updateTag = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const tag = await findOwnedTag(userId, req.params.id, 'update');
+        const { color } = req.body;
+
+        if (req.body.name !== undefined) {
+            const name = parseTagName(req.body.name);
+            if (name !== tag.name) {
+                const existing = await db.Tag.findOne({ where: { name, userId } });
+                if (existing) return res.status(409).json({ error: 'Tag already exists' });
+            }
+            tag.name = name;
+        }
+        if (color !== undefined) tag.color = color;
+        await tag.save();
+        // Records show the tag's name and color
+        await markTagRecordsChanged(tag.id);
+
+        res.json(tag);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/tags/{id}:
+ *   delete:
+ *     tags: [Tag]
+ *     summary: Delete a tag
+ *     description: The tag is removed from all of its records; the records themselves are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       403:
+ *         description: Forbidden - You don't have permission to delete this tag
+ *       404:
+ *         description: Tag not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const deleteTag = async (req, res) => {
+    try {
+        const tag = await findOwnedTag(req.user.id, req.params.id, 'delete');
+
+        await db.sequelize.transaction(async (transaction) => {
+            await markTagRecordsChanged(tag.id, { transaction });
+            await db.RecordTag.destroy({ where: { tagId: tag.id }, transaction });
+            await tag.destroy({ transaction });
+        });
+
+        res.json({ message: 'Tag deleted' });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
@@ -0,0 +1,207 @@
+import { Op } from 'sequelize';
+import db from "../models/index.js";
+import ApiError from '../utils/ApiError.js';
+import { categoryInclude } from '../services/Record.service.js';
+import { findSiblingByName } from '../services/Category.service.js';
+import { findTrashedItem, getRetentionDays, purgeDateFor } from '../services/Trash.service.js';
+import { markCategoryRecordsChanged } from '../services/Sync.service.js';
+
+/**
+ * @openapi
+ * tags:
+ *  - name: Trash
+ *    description: Deleted records and categories, restorable until they are purged after the retention period
+ */
+
+const withPurgeDate = (item) => ({ ...item.toJSON(), purgeAt: purgeDateFor(item.deletedAt) });
+
+/**
+ * @openapi
+ * /api/trash:
+ *   get:
+ *     tags: [Trash]
+ *     summary: List deleted records and categories
+ *     description: |
+ *       Items are purged permanently once they have been in the trash for the retention period
+ *       (TRASH_RETENTION_DAYS, 30 days by default). Trashed records show their category even if
+ *       that category is in the trash too.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [record, category]
+ *         description: Only list one kind of item
+ *     responses:
+ *       200:
+ *         description: Trash contents, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionDays:
+ *                   type: integer
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Record'
+ *                       - type: object
+ *                         properties:
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Category'
+ *                       - type: object
+ *                         properties:
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const getTrash = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { type } = req.query;
+
+        const trashed = { userId, deletedAt: { [Op.ne]: null } };
+        const records = type === 'category' ? [] : await db.Record.findAll({
+            where: trashed,
+            include: [{ ...categoryInclude, paranoid: false }],
+            paranoid: false,
+            order: [['deletedAt', 'DESC'], ['id', 'DESC']]
+        });
+        const categories = type === 'record' ? [] : await db.Category.findAll({
+            where: trashed,
+            paranoid: false,
+            order: [['deletedAt', 'DESC'], ['id', 'DESC']]
+        });
+
+        res.json({
+            retentionDays: getRetentionDays(),
+            records: records.map(withPurgeDate),
+            categories: categories.map(withPurgeDate)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/trash/records/{id}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore a deleted record
+ *     description: If the record's category is still in the trash, the record shows no category until that category is restored.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Restored record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Record'
+ *       403:
+ *         description: Forbidden - You don't have permission to restore this record
+ *       404:
+ *         description: Record not found in trash
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const restoreRecord = async (req, res) => {
+    try {
+        const record = await findTrashedItem(db.Record, 'Record', req.user.id, req.params.id);
+        await record.restore({ actorId: req.user.id });
+
+        const restored = await db.Record.findByPk(record.id, { include: [categoryInclude] });
+        res.json(restored);
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
+
+/**
+ * @openapi
+ * /api/trash/categories/{id}/restore:
+ *   post:
+ *     tags: [Trash]
+ *     summary: Restore a deleted category
+ *     description: |
+ *       Records that belonged to the category are attached to it again, and so are its subcategories.
+ *       A category whose parent is still in the trash is restored to the top level, where it shows.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Restored category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 category:
+ *                   $ref: '#/components/schemas/Category'
+ *                 reattachedRecords:
+ *                   type: integer
+ *                   description: Active records that show this category again
+ *       403:
+ *         description: Forbidden - You don't have permission to restore this category
+ *       404:
+ *         description: Category not found in trash
+ *       409:
+ *         description: Another category with the same name was created at the level the category is restored to in the meantime
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+export const restoreCategory = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const category = await findTrashedItem(db.Category, 'Category', userId, req.params.id);
+
+        // Under a parent that is still in the trash the category would show at the top level, so it goes there
+        const parent = category.parentId === null ? null : await db.Category.findByPk(category.parentId);
+        const parentId = parent ? parent.id : null;
+
+        // Names are unique among the categories under the same parent
+        const existing = await findSiblingByName(userId, category.name, parentId);
+        if (existing) {
+            return res.status(409).json({ error: `A category named "${category.name}" already exists. Rename or delete it first` });
+        }
+
+        // Records keep their categoryId while the category is in the trash, so restoring reattaches them
+        await db.sequelize.transaction(async (transaction) => {
+            await category.restore({ transaction, actorId: userId });
+            if (category.parentId !== parentId) {
+                await category.update({ parentId }, { transaction, actorId: userId });
+            }
+        });
+        await markCategoryRecordsChanged(category.id);
+        const reattachedRecords = await db.Record.count({ where: { categoryId: category.id } });
+
+        res.json({ category, reattachedRecords });
+    } catch (err) {
+        res.status(err instanceof ApiError ? err.status : 500).json({ error: err.message });
+    }
+};
@@ -5,6 +5,7 @@ import crypto from 'crypto';
 import nodemailer from 'nodemailer';
 import { Op } from 'sequelize';
 import { sendVerificationEmail } from '../utils/emailService.js';
+import { findAttachmentsForCleanup, removeAttachmentFiles } from '../services/Attachment.service.js';
 
 const User = db.User;
 
@@ -67,12 +68,6 @@ export const resendVerification = async (req, res) => {
 export const register = async (req, res) => {
     try {
         const { username, email, password } = req.body;
-        if (!username || !email || !password) {
-            return res.status(400).json({ error: 'Username, email, and password are required' });
-        }
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-        }
         const existingUser = await User.findOne({ where: { email } });
         if (existingUser) {
             return res.status(409).json({ error: 'Email already in use' });
@@ -135,10 +130,6 @@ export const updateEmail = async (req, res) => {
         const { newEmail, password } = req.body;
         const { id } = req.user; // from JWT middleware
 
-        if (!newEmail || !password) {
-            return res.status(400).json({ error: 'New email and password are required' });
-        }
-
         const user = await User.findByPk(id);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -167,19 +158,9 @@ export const updateEmail = async (req, res) => {
 
 export const updatePassword = async (req, res) => {
     try {
-        const { currentPassword, newPassword, confirmNewPassword } = req.body;
+        const { currentPassword, newPassword } = req.body;
         const { id } = req.user; // from JWT middleware
 
-        if (!currentPassword || !newPassword || !confirmNewPassword) {
-            return res.status(400).json({ error: 'All password fields are required' });
-        }
-        if (newPassword !== confirmNewPassword) {
-            return res.status(400).json({ error: 'New passwords do not match' });
-        }
-        if (newPassword.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
-        }
-
         const user = await User.findByPk(id);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -215,13 +196,25 @@ export const deleteAccount = async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
         
-        await db.Record.destroy({ where: { userId: id } });
+        // Attachment files live outside the database, so remember them before their rows go
+        const attachments = await findAttachmentsForCleanup({ userId: id });
+
+        await db.Attachment.destroy({ where: { userId: id } });
+        // force: skip the trash, trashed rows included
+        await db.Record.destroy({ where: { userId: id }, force: true });
+        await db.RecurringSchedule.destroy({ where: { userId: id } });
+        await db.Tag.destroy({ where: { userId: id } });
+        await db.AuditLog.destroy({ where: { userId: id } });
         
         if (db.Category.rawAttributes.userId) {
-            await db.Category.destroy({ where: { userId: id } });
+            await db.Category.destroy({ where: { userId: id }, force: true });
         }
-        
+        // Last, as the deletions above log sync changes of their own
+        await db.SyncChange.destroy({ where: { userId: id } });
+        await db.SyncSequence.destroy({ where: { userId: id } });
+
         await user.destroy();
+        await removeAttachmentFiles(attachments);
         res.json({ message: 'Account and related data deleted successfully' });
     } catch (error) {
         console.error(error);
@@ -338,10 +331,6 @@ export const resetPassword = async (req, res) => {
             });
         }
 
-        if (newPassword.length < 6) {
-            return res.status(400).json({ error: "Password must be at least 6 characters long" });
-        }
-
         // Hash new password and update user
         const hashedPassword = await bcrypt.hash(newPassword, 10);
         user.password = hashedPassword;
@@ -0,0 +1,19 @@
+import { purgeExpiredIdempotencyKeys } from '../services/Idempotency.service.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Removes stored Idempotency-Key responses that are past the retention period
+export const startIdempotencyKeyPurgeJob = () => {
+    const intervalMs = parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    const run = async () => {
+        try {
+            await purgeExpiredIdempotencyKeys();
+        } catch (err) {
+            console.error('Idempotency key purge job failed:', err);
+        }
+    };
+
+    run();
+    return setInterval(run, intervalMs);
+};
@@ -0,0 +1,22 @@
+import { purgeExpiredTrash } from '../services/Trash.service.js';
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000; // daily
+
+// Permanently removes records and categories that have outlived the trash retention period
+export const startTrashPurgeJob = () => {
+    const intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    const run = async () => {
+        try {
+            const { records, categories } = await purgeExpiredTrash();
+            if (records > 0 || categories > 0) {
+                console.log(`Trash purge removed ${records} record(s) and ${categories} category(ies)`);
+            }
+        } catch (err) {
+            console.error('Trash purge job failed:', err);
+        }
+    };
+
+    run();
+    return setInterval(run, intervalMs);
+};
@@ -0,0 +1,94 @@
+import { Op, UniqueConstraintError } from 'sequelize';
+import db from '../models/index.js';
+import { todayString, upcomingOccurrences } from '../utils/recurrence.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+// Creates the records for every occurrence of one schedule that is due on or before `today`.
+// The schedule row is locked for the duration, and the unique (recurringScheduleId, recurringDate)
+// index on Record backs that up, so an occurrence is never materialized twice.
+export const materializeSchedule = async (scheduleId, today = todayString()) => {
+    return db.sequelize.transaction(async (transaction) => {
+        const schedule = await db.RecurringSchedule.findByPk(scheduleId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!schedule || schedule.isPaused) return [];
+
+        const created = [];
+        // Stops at the schedule's end date and occurrence limit as well as at today
+        const due = upcomingOccurrences(schedule, { until: today });
+
+        for (const occurrence of due) {
+            if (!occurrence.skipped) {
+                try {
+                    // In a savepoint: on Postgres a failed insert aborts the transaction it runs in, which
+                    // would roll back the whole schedule instead of skipping this occurrence
+                    const record = await db.sequelize.transaction({ transaction }, (savepoint) => db.Record.create({
+                        title: schedule.title,
+                        type: schedule.type,
+                        date: occurrence.date,
+                        currency: schedule.currency,
+                        amount: schedule.amount,
+                        note: schedule.note,
+                        categoryId: schedule.categoryId,
+                        userId: schedule.userId,
+                        recurringScheduleId: schedule.id,
+                        recurringDate: occurrence.date
+                    }, { transaction: savepoint }));
+                    created.push(record);
+                } catch (err) {
+                    // Already materialized by an earlier run - just move past it
+                    if (!(err instanceof UniqueConstraintError)) throw err;
+                }
+            }
+            schedule.occurrenceCount += 1;
+            schedule.processedThrough = occurrence.date;
+        }
+
+        if (due.length > 0) {
+            schedule.skippedDates = schedule.skippedDates.filter(date => date > schedule.processedThrough);
+            await schedule.save({ transaction });
+        }
+        return created;
+    });
+};
+
+export const materializeDueSchedules = async (today = todayString()) => {
+    const schedules = await db.RecurringSchedule.findAll({
+        where: {
+            isPaused: false,
+            nextOccurrence: { [Op.lte]: today }
+        },
+        attributes: ['id']
+    });
+
+    let createdCount = 0;
+    for (const { id } of schedules) {
+        try {
+            const created = await materializeSchedule(id, today);
+            createdCount += created.length;
+        } catch (err) {
+            console.error(`Recurring schedule ${id} failed to materialize:`, err);
+        }
+    }
+    return createdCount;
+};
+
+export const startRecurringRecordsJob = () => {
+    const intervalMs = parseInt(process.env.RECURRING_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+    const run = async () => {
+        try {
+            const createdCount = await materializeDueSchedules();
+            if (createdCount > 0) {
+                console.log(`Recurring schedules created ${createdCount} record(s)`);
+            }
+        } catch (err) {
+            console.error('Recurring records job failed:', err);
+        }
+    };
+
+    run();
+    return setInterval(run, intervalMs);
+};
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
 
 export const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -15,4 +16,18 @@ export const authenticateToken = (req, res, next) => {
         req.user = user;
         next();
     });
-}; 
\ No newline at end of file
+};
+
+// Use after authenticateToken. The flag is read from the database rather than the token,
+// so granting or revoking admin (npm run admin -- grant <email>) takes effect immediately.
+export const requireAdmin = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.user.id, { attributes: ['id', 'isAdmin'] });
+        if (!user?.isAdmin) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Error checking admin access' });
+    }
+};
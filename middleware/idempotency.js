@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+import { claimIdempotencyKey } from '../services/Idempotency.service.js';
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+// Fingerprint of what the request asks for: method, path, query, body and uploaded file
+const hashRequest = (req) => createHash('sha256').update(canonicalJson({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    query: req.query,
+    body: req.body ?? null,
+    file: req.file ? createHash('sha256').update(req.file.buffer).digest('hex') : null
+})).digest('hex');
+
+/**
+ * Makes a write route safe to retry. When the request carries an Idempotency-Key header, the first JSON
+ * response for that user and key is stored and replayed (with an Idempotent-Replayed header) to every retry
+ * until the key expires, without running the route again.
+ *
+ * - A retry with the same key but another method, path or payload gets 409.
+ * - A retry while the first request is still running gets 409; the client can try again shortly. After
+ *   IN_FLIGHT_TIMEOUT_MS without a response the first request is taken for dead and a retry runs again.
+ * - 5xx responses are not stored, so the request can be retried for real.
+ *
+ * Use after authenticateToken, and after any upload middleware so the file is part of the fingerprint.
+ */
+export const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters` });
+    }
+
+    let claim;
+    const requestHash = hashRequest(req);
+    try {
+        claim = await claimIdempotencyKey(req.user.id, key, requestHash);
+    } catch (err) {
+        return res.status(500).json({ error: 'Error checking Idempotency-Key' });
+    }
+
+    const { entry, claimed } = claim;
+    if (!claimed) {
+        if (entry.requestHash !== requestHash) {
+            return res.status(409).json({ error: 'This Idempotency-Key was already used for a different request' });
+        }
+        if (entry.status === null) {
+            return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(entry.status).json(entry.responseBody);
+    }
+
+    // Store the response before sending it, so a retry arriving right after always finds it
+    let settled = false;
+    const send = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        const saved = res.statusCode >= 500
+            ? entry.destroy()
+            : entry.update({ status: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) });
+        saved.catch(() => entry.destroy().catch(() => {})).finally(() => send(body));
+        return res;
+    };
+
+    // Responses that aren't JSON can't be replayed; free the key for a real retry
+    res.on('close', () => {
+        if (!settled) entry.destroy().catch(() => {});
+    });
+    next();
+};
@@ -0,0 +1,47 @@
+import multer from 'multer';
+
+const CSV_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+export const ATTACHMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+
+// Builds a single-file upload middleware kept in memory, answering 400 for any upload problem
+// instead of letting multer's errors fall through to Express' default error handler.
+const singleFileUpload = ({ field, maxBytes, accepts, typeError }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        defParamCharset: 'utf8', // keep non-ASCII file names (e.g. Khmer) intact
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, cb) => {
+            if (accepts(file)) return cb(null, true);
+            cb(new Error(typeError));
+        }
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, (err) => {
+            if (!err) return next();
+            if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({
+                    error: `File is too large. Maximum size is ${Math.round(maxBytes / 1024 / 1024)} MB`
+                });
+            }
+            res.status(400).json({ error: err.message });
+        });
+    };
+};
+
+export const uploadCsv = singleFileUpload({
+    field: 'file',
+    maxBytes: CSV_MAX_BYTES,
+    accepts: (file) => CSV_MIME_TYPES.includes(file.mimetype) || /\.csv$/i.test(file.originalname),
+    typeError: 'Only CSV files can be imported'
+});
+
+export const uploadAttachmentFile = singleFileUpload({
+    field: 'file',
+    maxBytes: ATTACHMENT_MAX_BYTES,
+    accepts: (file) => ATTACHMENT_MIME_TYPES.includes(file.mimetype),
+    typeError: `Only these file types can be attached: ${ATTACHMENT_MIME_TYPES.join(', ')}`
+});
@@ -0,0 +1,44 @@
+import { validateValue } from '../utils/validation.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Empty query parameters (?categoryId=) mean the same as leaving them out
+const withoutEmptyValues = (query) =>
+    Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ''));
+
+/**
+ * Checks the request against the route's schemas (see utils/validation.js) before the controller runs.
+ * Invalid requests get 422 with every problem found:
+ *
+ *     { "error": "Validation failed", "errors": [{ "in": "body", "field": "amount", "message": "must be a positive number" }] }
+ *
+ * Otherwise req.params, req.query and req.body are replaced by their normalized values, without the
+ * fields the schema doesn't declare.
+ *
+ * Use after authenticateToken and any upload middleware, and before idempotent, so retries are
+ * recognized by their normalized payload.
+ *
+ * @param {object} schemas - Object schemas for any of `params`, `query` and `body`
+ */
+export const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const values = {};
+    for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+        const input = location === 'query' ? withoutEmptyValues(req.query) : (req[location] ?? {});
+        const result = validateValue(schemas[location], input);
+        // field is null when the problem is with the body (or query) as a whole
+        errors.push(...result.errors.map(({ field, message }) => ({ in: location, field: field || null, message })));
+        values[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+        return res.status(422).json({ error: 'Validation failed', errors });
+    }
+
+    if (values.params) req.params = values.params;
+    // req.query is a getter that parses the URL again on every read
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+    if (values.body) req.body = values.body;
+    next();
+};
@@ -0,0 +1,34 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Sequelize } from 'sequelize';
+import db from './models/index.js';
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Migrations only patch tables that already exist; anything missing is created by sync().
+// Each migration inspects the live schema before altering it, so the whole folder is
+// safe to replay in filename order on every run.
+async function migrate() {
+    try {
+        const queryInterface = db.sequelize.getQueryInterface();
+        const files = fs.readdirSync(migrationsDir)
+            .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+            .sort();
+
+        for (const file of files) {
+            const migration = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+            await migration.up({ queryInterface, Sequelize, sequelize: db.sequelize });
+            console.log(`✅ ${file}`);
+        }
+
+        await db.sequelize.sync();
+        console.log('✅ Database schema is up to date');
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Error migrating database:', err);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,20 @@
+import { describeTableIfExists } from './_helpers.js';
+
+export const up = async ({ queryInterface, Sequelize, sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Records');
+    if (!columns || columns.type) return;
+
+    await queryInterface.addColumn('Records', 'type', {
+        type: Sequelize.ENUM('expense', 'income', 'transfer'),
+        allowNull: false,
+        defaultValue: 'expense'
+    });
+
+    // Income used to be entered as negative expenses; turn those into proper income rows
+    const records = queryInterface.quoteIdentifier('Records');
+    const type = queryInterface.quoteIdentifier('type');
+    const amount = queryInterface.quoteIdentifier('amount');
+    await sequelize.query(
+        `UPDATE ${records} SET ${type} = 'income', ${amount} = -${amount} WHERE ${amount} < 0`
+    );
+};
@@ -0,0 +1,23 @@
+import { describeTableIfExists } from './_helpers.js';
+import RecurringSchedule from '../models/RecurringSchedule.js';
+
+export const up = async ({ queryInterface, Sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Records');
+    if (!columns || columns.recurringScheduleId) return;
+
+    // The new foreign key needs its target table before the main sync creates it
+    await RecurringSchedule.sync();
+
+    await queryInterface.addColumn('Records', 'recurringScheduleId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'RecurringSchedules', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+    });
+    await queryInterface.addColumn('Records', 'recurringDate', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+    });
+    await queryInterface.addIndex('Records', ['recurringScheduleId', 'recurringDate'], { unique: true });
+};
@@ -0,0 +1,14 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Records and categories became paranoid: deletions set deletedAt instead of removing the row
+export const up = async ({ queryInterface, Sequelize }) => {
+    for (const table of ['Records', 'Categories']) {
+        const columns = await describeTableIfExists(queryInterface, table);
+        if (!columns || columns.deletedAt) continue;
+
+        await queryInterface.addColumn(table, 'deletedAt', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+    }
+};
@@ -0,0 +1,19 @@
+import { describeTableIfExists } from './_helpers.js';
+import { MONEY_DECIMALS, MONEY_PRECISION, MONEY_SCALE } from '../utils/money.js';
+
+// Amounts used to be FLOAT; store them as exact DECIMAL, rounding away the float noise first
+export const up = async ({ queryInterface, Sequelize, sequelize }) => {
+    for (const table of ['Records', 'RecordSplits', 'RecurringSchedules']) {
+        const columns = await describeTableIfExists(queryInterface, table);
+        if (!columns?.amount || /^(DECIMAL|NUMERIC)/i.test(columns.amount.type)) continue;
+
+        const amount = queryInterface.quoteIdentifier('amount');
+        await sequelize.query(
+            `UPDATE ${queryInterface.quoteIdentifier(table)} SET ${amount} = ROUND(CAST(${amount} AS DECIMAL(30, 10)), ${MONEY_DECIMALS})`
+        );
+        await queryInterface.changeColumn(table, 'amount', {
+            type: Sequelize.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+            allowNull: false
+        });
+    }
+};
@@ -0,0 +1,17 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Currency used to be ENUM('USD', 'KHR'); any ISO 4217 code is allowed now
+export const up = async ({ queryInterface, Sequelize, sequelize }) => {
+    for (const table of ['Records', 'RecurringSchedules']) {
+        const columns = await describeTableIfExists(queryInterface, table);
+        if (!columns?.currency || /^(VARCHAR|CHARACTER VARYING)/i.test(columns.currency.type)) continue;
+
+        await queryInterface.changeColumn(table, 'currency', {
+            type: Sequelize.STRING(3),
+            allowNull: false
+        });
+        if (sequelize.getDialect() === 'postgres') {
+            await sequelize.query(`DROP TYPE IF EXISTS ${queryInterface.quoteIdentifier(`enum_${table}_currency`)}`);
+        }
+    }
+};
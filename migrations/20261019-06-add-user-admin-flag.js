@@ -0,0 +1,13 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Users can be admins, who maintain shared exchange rates
+export const up = async ({ queryInterface, Sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Users');
+    if (!columns || columns.isAdmin) return;
+
+    await queryInterface.addColumn('Users', 'isAdmin', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    });
+};
@@ -0,0 +1,13 @@
+import { describeTableIfExists } from './_helpers.js';
+import { ensureLegacySharedRate } from '../services/ExchangeRate.service.js';
+
+// Conversions used to be hardcoded at 1 USD = 4000 KHR. Existing databases get that as the first shared
+// rate unless they already have a shared USD/KHR rate; new databases get it when the app starts.
+export const up = async ({ queryInterface, sequelize }) => {
+    if (!await describeTableIfExists(queryInterface, 'Records')) return;
+
+    if (!await describeTableIfExists(queryInterface, 'ExchangeRates')) {
+        await sequelize.models.ExchangeRate.sync();
+    }
+    await ensureLegacySharedRate();
+};
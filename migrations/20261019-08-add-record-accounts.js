@@ -0,0 +1,21 @@
+import { describeTableIfExists } from './_helpers.js';
+import { MONEY_PRECISION, MONEY_SCALE } from '../utils/money.js';
+
+// Records can be paid from an account, and transfers move money into a second one
+export const up = async ({ queryInterface, Sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Records');
+    if (!columns) return;
+
+    if (!columns.accountId) {
+        await queryInterface.addColumn('Records', 'accountId', { type: Sequelize.INTEGER, allowNull: true });
+    }
+    if (!columns.toAccountId) {
+        await queryInterface.addColumn('Records', 'toAccountId', { type: Sequelize.INTEGER, allowNull: true });
+    }
+    if (!columns.toAmount) {
+        await queryInterface.addColumn('Records', 'toAmount', {
+            type: Sequelize.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+            allowNull: true
+        });
+    }
+};
@@ -0,0 +1,9 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Records can name the payee they were paid to
+export const up = async ({ queryInterface, Sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Records');
+    if (!columns || columns.payeeId) return;
+
+    await queryInterface.addColumn('Records', 'payeeId', { type: Sequelize.INTEGER, allowNull: true });
+};
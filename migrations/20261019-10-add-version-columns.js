@@ -0,0 +1,11 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Records and categories carry a version for optimistic concurrency (ETag / If-Match)
+export const up = async ({ queryInterface, Sequelize }) => {
+    for (const table of ['Records', 'Categories']) {
+        const columns = await describeTableIfExists(queryInterface, table);
+        if (!columns || columns.version) continue;
+
+        await queryInterface.addColumn(table, 'version', { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 });
+    }
+};
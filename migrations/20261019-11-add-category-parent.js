@@ -0,0 +1,9 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Categories can sit under a parent category
+export const up = async ({ queryInterface, Sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'Categories');
+    if (!columns || columns.parentId) return;
+
+    await queryInterface.addColumn('Categories', 'parentId', { type: Sequelize.INTEGER, allowNull: true });
+};
@@ -0,0 +1,37 @@
+import { describeTableIfExists } from './_helpers.js';
+import { SHARED_RATE_INDEX_NAME, sharedRateIndexFor } from '../models/ExchangeRate.js';
+
+// The unique index on exchange rates treats every null userId as distinct, so a shared rate could be saved
+// twice for the same pair and date. Keeps the latest of each and adds an index covering shared rates only.
+export const up = async ({ queryInterface, sequelize }) => {
+    if (!await describeTableIfExists(queryInterface, 'ExchangeRates')) return;
+    const index = sharedRateIndexFor(sequelize);
+    const indexes = await queryInterface.showIndex('ExchangeRates');
+
+    // Without WHERE support the partial index comes out as a plain unique index on the pair and date, which
+    // rejects users' own rates; databases that got it that way have it swapped for this dialect's index
+    if (index?.name !== SHARED_RATE_INDEX_NAME && indexes.some(existing => existing.name === SHARED_RATE_INDEX_NAME)) {
+        await queryInterface.removeIndex('ExchangeRates', SHARED_RATE_INDEX_NAME);
+    }
+    if (!index || indexes.some(existing => existing.name === index.name)) return;
+
+    const { ExchangeRate } = sequelize.models;
+    const sharedRates = await ExchangeRate.findAll({
+        where: { userId: null },
+        attributes: ['id', 'fromCurrency', 'toCurrency', 'date'],
+        order: [['id', 'DESC']],
+        raw: true
+    });
+    const seen = new Set();
+    const duplicateIds = sharedRates.filter(rate => {
+        const key = `${rate.fromCurrency}_${rate.toCurrency}_${rate.date}`;
+        if (seen.has(key)) return true;
+        seen.add(key);
+        return false;
+    }).map(rate => rate.id);
+    if (duplicateIds.length > 0) {
+        await ExchangeRate.destroy({ where: { id: duplicateIds } });
+    }
+
+    await queryInterface.addIndex('ExchangeRates', index.fields, index);
+};
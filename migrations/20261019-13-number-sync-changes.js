@@ -0,0 +1,22 @@
+import { describeTableIfExists } from './_helpers.js';
+
+// Sync changes used to be ordered by their id; they now get a position per user once committed (seq).
+// Existing changes keep their id as position and each user's feed continues after it, so sync tokens
+// already handed out stay valid.
+export const up = async ({ queryInterface, Sequelize, sequelize }) => {
+    const columns = await describeTableIfExists(queryInterface, 'SyncChanges');
+    if (!columns || columns.seq) return;
+
+    await queryInterface.addColumn('SyncChanges', 'seq', { type: Sequelize.BIGINT, allowNull: true });
+    const table = queryInterface.quoteIdentifier('SyncChanges');
+    await sequelize.query(`UPDATE ${table} SET ${queryInterface.quoteIdentifier('seq')} = ${queryInterface.quoteIdentifier('id')}`);
+
+    const { SyncChange, SyncSequence } = sequelize.models;
+    await SyncSequence.sync();
+    const feeds = await SyncChange.findAll({
+        attributes: ['userId', [sequelize.fn('MAX', sequelize.col('id')), 'lastSeq']],
+        group: ['userId'],
+        raw: true
+    });
+    await SyncSequence.bulkCreate(feeds, { ignoreDuplicates: true });
+};
@@ -0,0 +1,7 @@
+// Returns the live column map of a table, or null when the table hasn't been created yet.
+export const describeTableIfExists = async (queryInterface, table) => {
+    const tables = await queryInterface.showAllTables();
+    const names = tables.map(t => (typeof t === 'string' ? t : t.tableName));
+    if (!names.includes(table)) return null;
+    return queryInterface.describeTable(table);
+};
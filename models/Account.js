@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { CURRENCY_CODES } from '../config/currencies.js';
+import { MONEY_PRECISION, MONEY_SCALE, moneyToNumber } from '../utils/money.js';
+
+export const ACCOUNT_TYPES = ['cash', 'bank', 'credit_card', 'savings', 'e_wallet', 'other'];
+
+// Where money is kept (a wallet, a bank account, a credit card). Records paid from or into an account
+// move its balance; all of an account's records are in the account's currency.
+const Account = sequelize.define('Account', {
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM(...ACCOUNT_TYPES),
+        allowNull: false,
+        defaultValue: 'cash'
+    },
+    // ISO 4217 code; see config/currencies.js
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
+    },
+    // Balance before any of the account's records; negative for a card that already had debt
+    openingBalance: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: false,
+        defaultValue: 0,
+        // The driver returns DECIMAL as a string; expose it as an exact number
+        get() {
+            return moneyToNumber(this.getDataValue('openingBalance'));
+        }
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    indexes: [
+        // Account names are unique per user
+        { unique: true, fields: ['userId', 'name'] }
+    ]
+});
+
+export default Account;
@@ -0,0 +1,37 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Receipt photo or PDF attached to a record; the file itself lives in the storage adapter under storageKey
+const Attachment = sequelize.define('Attachment', {
+    fileName: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    mimeType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    storageKey: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+    },
+    recordId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    defaultScope: {
+        attributes: { exclude: ['storageKey'] }
+    }
+});
+
+export default Attachment;
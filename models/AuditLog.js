@@ -0,0 +1,147 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { moneyToNumber } from '../utils/money.js';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// Immutable history entry for a change to an audited model (see auditModel below).
+// `before`/`after` are snapshots of the audited columns, `changes` maps each changed column to { from, to }.
+const AuditLog = sequelize.define('AuditLog', {
+    entityType: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    entityId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.ENUM(...AUDIT_ACTIONS),
+        allowNull: false
+    },
+    before: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    after: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    changes: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+    },
+    // Owner of the audited row
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // Who made the change; null for background jobs
+    actorId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // Entry this change reverted to, for action "revert"
+    revertedToId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    }
+}, {
+    updatedAt: false,
+    indexes: [
+        { fields: ['entityType', 'entityId'] }
+    ],
+    hooks: {
+        beforeUpdate: () => {
+            throw new Error('Audit log entries cannot be modified');
+        },
+        beforeBulkUpdate: () => {
+            throw new Error('Audit log entries cannot be modified');
+        },
+        beforeDestroy: () => {
+            throw new Error('Audit log entries cannot be deleted one by one');
+        }
+    }
+});
+
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'version'];
+
+// Values compare and serialize the same way whatever the driver returned (DATEONLY comes back as a
+// string from some drivers and as a Date from others, DECIMAL as a string with trailing zeros)
+const plain = (attribute, value) => {
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return attribute.type.key === 'DATEONLY' ? iso.slice(0, 10) : iso;
+    }
+    if (attribute.type.key === 'DECIMAL') return moneyToNumber(value) ?? null;
+    return value ?? null;
+};
+
+const snapshot = (Model, values) => Object.fromEntries(
+    Object.entries(Model.rawAttributes)
+        .filter(([field]) => !IGNORED_FIELDS.includes(field))
+        .map(([field, attribute]) => [field, plain(attribute, values[field])])
+);
+
+const diff = (before, after) => {
+    const changes = {};
+    for (const field of Object.keys({ ...before, ...after })) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    }
+    return changes;
+};
+
+const entryFor = (entityType, instance, action, before, after, options) => ({
+    entityType,
+    entityId: instance.id,
+    action,
+    before,
+    after,
+    // Deleting and restoring change no field values; the snapshot is in before/after
+    changes: action === 'delete' || action === 'restore' ? {} : diff(before, after),
+    userId: instance.userId,
+    actorId: options.actorId ?? null,
+    revertedToId: options.revertedToId ?? null
+});
+
+const writeEntry = (entityType, instance, action, before, after, options) => AuditLog.create(
+    entryFor(entityType, instance, action, before, after, options),
+    { transaction: options.transaction }
+);
+
+/**
+ * Records every create, update, soft delete and restore of the model's rows in AuditLog.
+ * Callers pass the acting user as `actorId` in the create/update/destroy/restore options
+ * (and `auditAction: 'revert'` plus `revertedToId` when reverting). Entries join the
+ * caller's transaction, so a rolled-back change leaves no history behind.
+ *
+ * @param {object} Model - Sequelize model with `id` and `userId` columns
+ * @param {string} entityType - Name stored in AuditLog.entityType
+ */
+export const auditModel = (Model, entityType) => {
+    Model.addHook('afterCreate', 'audit', (instance, options) =>
+        writeEntry(entityType, instance, 'create', null, snapshot(Model, instance.dataValues), options));
+
+    Model.addHook('afterBulkCreate', 'audit', (instances, options) => AuditLog.bulkCreate(
+        instances.map(instance => entryFor(entityType, instance, 'create', null, snapshot(Model, instance.dataValues), options)),
+        { transaction: options.transaction }
+    ));
+
+    Model.addHook('afterUpdate', 'audit', (instance, options) => {
+        const before = snapshot(Model, instance._previousDataValues);
+        const after = snapshot(Model, instance.dataValues);
+        if (Object.keys(diff(before, after)).length === 0) return;
+        return writeEntry(entityType, instance, options.auditAction || 'update', before, after, options);
+    });
+
+    Model.addHook('afterDestroy', 'audit', (instance, options) =>
+        writeEntry(entityType, instance, 'delete', snapshot(Model, instance.dataValues), null, options));
+
+    Model.addHook('afterRestore', 'audit', (instance, options) =>
+        writeEntry(entityType, instance, 'restore', null, snapshot(Model, instance.dataValues), options));
+};
+
+export default AuditLog;
@@ -16,7 +16,18 @@ const Category = sequelize.define('Category', {
     userId: {
         type: DataTypes.UUID,
         allowNull: false
+    },
+    // Category this one sits under, e.g. "Coffee" under "Food"; null at the top level. Names are unique
+    // among the categories directly under the same parent.
+    parentId: {
+        type: DataTypes.INTEGER,
+        allowNull: true
     }
+}, {
+    // Deleted categories go to the trash (deletedAt) and keep their records attached until purged
+    paranoid: true,
+    // Every change bumps `version`, the category's ETag (see Record)
+    version: true
 });
 
 export default Category;
\ No newline at end of file
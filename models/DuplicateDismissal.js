@@ -0,0 +1,26 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Two records the user marked as not being duplicates of each other, stored once with recordId < otherRecordId
+const DuplicateDismissal = sequelize.define('DuplicateDismissal', {
+    recordId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    otherRecordId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['recordId', 'otherRecordId'] },
+        { fields: ['userId'] }
+    ]
+});
+
+export default DuplicateDismissal;
@@ -0,0 +1,69 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { CURRENCY_CODES } from '../config/currencies.js';
+import { RATE_PRECISION, RATE_SCALE, moneyToNumber } from '../utils/money.js';
+
+export const SHARED_RATE_INDEX_NAME = 'exchange_rates_shared_pair_date';
+export const SHARED_RATE_EXPRESSION_INDEX_NAME = 'exchange_rates_shared_pair_date_expr';
+
+// Unique index over the pair and date of shared rates only, since the (userId, ...) one treats every null userId
+// as distinct. Sequelize writes the WHERE of a partial index only where the dialect has them (Postgres, SQLite,
+// MSSQL). MySQL (8.0.13 and later) gets an index whose first key part is null for a user's rate, and nulls never
+// clash there.
+// Other dialects rely on saveExchangeRate looking the rate up first.
+export const sharedRateIndexFor = (sequelize) => {
+    if (sequelize.dialect.supports.index.where) {
+        return { name: SHARED_RATE_INDEX_NAME, unique: true, fields: ['fromCurrency', 'toCurrency', 'date'], where: { userId: null } };
+    }
+    if (sequelize.getDialect() === 'mysql') {
+        return {
+            name: SHARED_RATE_EXPRESSION_INDEX_NAME,
+            unique: true,
+            fields: [sequelize.literal('(IF(`userId` IS NULL, 1, NULL))'), 'fromCurrency', 'toCurrency', 'date']
+        };
+    }
+    return null;
+};
+
+// How many units of toCurrency one unit of fromCurrency bought from `date` on, until the next rate for the pair.
+// Rates without a user are shared by everyone and loaded by admins; a user's own rate wins over a shared one.
+const ExchangeRate = sequelize.define('ExchangeRate', {
+    fromCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
+    },
+    toCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
+    },
+    rate: {
+        type: DataTypes.DECIMAL(RATE_PRECISION, RATE_SCALE),
+        allowNull: false,
+        // The driver returns DECIMAL as a string; expose it as an exact number
+        get() {
+            return moneyToNumber(this.getDataValue('rate'), RATE_SCALE);
+        }
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: true // null for shared rates
+    }
+}, {
+    indexes: [
+        { unique: true, fields: ['userId', 'fromCurrency', 'toCurrency', 'date'] },
+        sharedRateIndexFor(sequelize),
+        { fields: ['fromCurrency', 'toCurrency', 'date'] }
+    ].filter(Boolean)
+});
+
+export default ExchangeRate;
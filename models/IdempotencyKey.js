@@ -0,0 +1,36 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// First response to a write request sent with an Idempotency-Key header, replayed when the client retries
+// (see middleware/idempotency.js). `status` stays null while the first request is still being handled.
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    key: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // SHA-256 of the method, path and payload, so the key can't be reused for another request
+    requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    responseBody: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    updatedAt: false,
+    indexes: [
+        { unique: true, fields: ['userId', 'key'] },
+        { fields: ['createdAt'] }
+    ]
+});
+
+export default IdempotencyKey;
@@ -0,0 +1,20 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Merchant or person a record was paid to (or received from). Names are unique per user regardless of case
+const Payee = sequelize.define('Payee', {
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    indexes: [
+        { unique: true, fields: ['userId', 'name'] }
+    ]
+});
+
+export default Payee;
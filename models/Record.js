@@ -1,31 +1,76 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/db.js';
+import { CURRENCY_CODES } from '../config/currencies.js';
+import { MONEY_PRECISION, MONEY_SCALE, moneyToNumber } from '../utils/money.js';
+import { searchIndexFor } from '../utils/search.js';
+
+export const RECORD_TYPES = ['expense', 'income', 'transfer'];
+// Fields the record list can be sorted by; relevance only applies to searches
+export const RECORD_SORT_FIELDS = ['id', 'amount', 'date', 'title', 'relevance'];
 
 const Record = sequelize.define('Record', {
     title: {
         type: DataTypes.STRING,
         allowNull: false
     },
+    type: {
+        type: DataTypes.ENUM(...RECORD_TYPES),
+        allowNull: false,
+        defaultValue: 'expense'
+    },
     date: {
         type: DataTypes.DATEONLY,
         allowNull: false
     },
+    // ISO 4217 code; see config/currencies.js
     currency: {
-        type: DataTypes.ENUM('USD', 'KHR'),
-        allowNull: false
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
     },
     amount: {
-        type: DataTypes.FLOAT,
-        allowNull: false
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: false,
+        // The driver returns DECIMAL as a string; expose it as an exact number
+        get() {
+            return moneyToNumber(this.getDataValue('amount'));
+        }
     },
     note: {
         type: DataTypes.STRING,
         allowNull: true
     },
+    // Amount credited to the destination account of a transfer when its currency differs from the record's
+    toAmount: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: true,
+        get() {
+            return moneyToNumber(this.getDataValue('toAmount'));
+        }
+    },
     userId: {
         type: DataTypes.UUID,
         allowNull: false
+    },
+    // Occurrence date this record was materialized for, when created by a recurring schedule
+    recurringDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
     }
+}, {
+    // Deleted records go to the trash (deletedAt) until restored or purged
+    paranoid: true,
+    // Every change bumps `version`, which clients see as the record's ETag; a save based on an older
+    // version fails with OptimisticLockError
+    version: true,
+    indexes: [
+        // A recurring occurrence can only ever be materialized once
+        { unique: true, fields: ['recurringScheduleId', 'recurringDate'] },
+        // Full-text search over title and note (tsvector on Postgres, FULLTEXT on MySQL)
+        searchIndexFor(sequelize)
+    ].filter(Boolean)
 });
 
 export default Record;
\ No newline at end of file
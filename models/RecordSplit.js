@@ -0,0 +1,25 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { MONEY_PRECISION, MONEY_SCALE, moneyToNumber } from '../utils/money.js';
+
+// One line of a record split across several categories; the lines of a record add up to its amount
+const RecordSplit = sequelize.define('RecordSplit', {
+    amount: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: false,
+        // The driver returns DECIMAL as a string; expose it as an exact number
+        get() {
+            return moneyToNumber(this.getDataValue('amount'));
+        }
+    },
+    note: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    recordId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    }
+});
+
+export default RecordSplit;
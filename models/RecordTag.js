@@ -0,0 +1,8 @@
+import sequelize from '../config/db.js';
+
+// Join table between Record and Tag; the foreign keys come from the belongsToMany associations
+const RecordTag = sequelize.define('RecordTag', {}, {
+    timestamps: false
+});
+
+export default RecordTag;
@@ -0,0 +1,99 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { CURRENCY_CODES } from '../config/currencies.js';
+import { RECORD_TYPES } from './Record.js';
+import { MONEY_PRECISION, MONEY_SCALE, moneyToNumber } from '../utils/money.js';
+import { FREQUENCIES, nextOccurrence } from '../utils/recurrence.js';
+
+const RecurringSchedule = sequelize.define('RecurringSchedule', {
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM(...RECORD_TYPES),
+        allowNull: false,
+        defaultValue: 'expense'
+    },
+    // ISO 4217 code; see config/currencies.js
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
+    },
+    amount: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: false,
+        // The driver returns DECIMAL as a string; expose it as an exact number
+        get() {
+            return moneyToNumber(this.getDataValue('amount'));
+        }
+    },
+    note: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    frequency: {
+        type: DataTypes.ENUM(...FREQUENCIES),
+        allowNull: false
+    },
+    interval: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: { min: 1 }
+    },
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    maxOccurrences: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1 }
+    },
+    // Occurrences handled so far (created or skipped), counted against maxOccurrences
+    occurrenceCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Every occurrence on or before this date has already been handled
+    processedThrough: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    // Next due date, kept in sync by the hook below so the job can query it; null once finished
+    nextOccurrence: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    skippedDates: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    isPaused: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    hooks: {
+        beforeSave: (schedule) => {
+            schedule.nextOccurrence = nextOccurrence(schedule);
+        }
+    }
+});
+
+export default RecurringSchedule;
@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { CURRENCY_CODES } from '../config/currencies.js';
+import { MONEY_PRECISION, MONEY_SCALE, moneyToNumber } from '../utils/money.js';
+
+export const RULE_MATCH_FIELDS = ['title', 'note', 'title_or_note'];
+export const RULE_MATCH_TYPES = ['contains', 'regex'];
+
+// Automatic categorization: a record matching every condition of the rule gets its category, tags and
+// payee when it is created or imported. See services/Rule.service.js for how rules combine.
+const Rule = sequelize.define('Rule', {
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Lower numbers run first
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    // Text condition: `pattern` is looked for in matchField, as a case-insensitive substring or regex
+    matchField: {
+        type: DataTypes.ENUM(...RULE_MATCH_FIELDS),
+        allowNull: false,
+        defaultValue: 'title'
+    },
+    matchType: {
+        type: DataTypes.ENUM(...RULE_MATCH_TYPES),
+        allowNull: false,
+        defaultValue: 'contains'
+    },
+    pattern: {
+        type: DataTypes.STRING(200),
+        allowNull: true
+    },
+    // Currency condition, also the currency of minAmount and maxAmount
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: true,
+        validate: {
+            isIn: [CURRENCY_CODES]
+        }
+    },
+    minAmount: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: true,
+        get() {
+            return moneyToNumber(this.getDataValue('minAmount'));
+        }
+    },
+    maxAmount: {
+        type: DataTypes.DECIMAL(MONEY_PRECISION, MONEY_SCALE),
+        allowNull: true,
+        get() {
+            return moneyToNumber(this.getDataValue('maxAmount'));
+        }
+    },
+    // Tag names the rule adds
+    tags: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: []
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    indexes: [
+        { fields: ['userId', 'priority'] }
+    ]
+});
+
+export default Rule;
@@ -0,0 +1,37 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+import { RECORD_SORT_FIELDS } from './Record.js';
+
+// A named set of record list filters and sort, run with GET /records?view=<id> or used to scope a summary.
+// Names are unique per user.
+const SavedView = sequelize.define('SavedView', {
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // GET /records filter parameters, e.g. { "categoryId": 3, "amountCurrency": "KHR", "dateRange": "last_30_days" }
+    filters: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+    },
+    // Sort of the record list; null uses the list's default
+    sortBy: {
+        type: DataTypes.ENUM(...RECORD_SORT_FIELDS),
+        allowNull: true
+    },
+    sort: {
+        type: DataTypes.ENUM('asc', 'desc'),
+        allowNull: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    indexes: [
+        { unique: true, fields: ['userId', 'name'] }
+    ]
+});
+
+export default SavedView;
@@ -0,0 +1,42 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+export const SYNC_ENTITY_TYPES = ['record', 'category'];
+
+// Latest change to a record or category, for GET /sync. Each change replaces the entity's previous row,
+// so the table holds one row per entity. Rows outlive deleted entities: a row whose entity is gone (or in
+// the trash) is a deletion tombstone.
+const SyncChange = sequelize.define('SyncChange', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    entityType: {
+        type: DataTypes.ENUM(...SYNC_ENTITY_TYPES),
+        allowNull: false
+    },
+    entityId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Position in the user's change feed. Ids are taken when a change is written, not when it commits, so
+    // a long transaction could commit a lower id after a client moved past it. Changes are numbered only
+    // once committed, when the feed is next read; null until then.
+    seq: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+    }
+}, {
+    updatedAt: false,
+    indexes: [
+        { fields: ['userId', 'seq'] },
+        { fields: ['entityType', 'entityId'] }
+    ]
+});
+
+export default SyncChange;
@@ -0,0 +1,19 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Last position handed out in a user's change feed for GET /sync (see SyncChange.seq)
+const SyncSequence = sequelize.define('SyncSequence', {
+    userId: {
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    lastSeq: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    createdAt: false
+});
+
+export default SyncSequence;
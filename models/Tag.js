@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/db.js';
+
+// Free-form label a user can put on any number of records, next to the record's single category
+const Tag = sequelize.define('Tag', {
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    color: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+            is: /^#[0-9A-Fa-f]{6}$/i
+        }
+    },
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    indexes: [
+        // Tag names are unique per user
+        { unique: true, fields: ['userId', 'name'] }
+    ]
+});
+
+export default Tag;
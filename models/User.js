@@ -28,6 +28,12 @@ const User = sequelize.define('User', {
         type: DataTypes.BOOLEAN,
         defaultValue: false
     },
+    // Admins maintain shared data such as exchange rates; there is no endpoint to grant it
+    isAdmin: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
     verificationToken: {
         type: DataTypes.STRING,
         allowNull: true
@@ -2,19 +2,138 @@ import sequelize from '../config/db.js';
 import User from './User.js';
 import Record from './Record.js';
 import Category from './Category.js';
+import RecurringSchedule from './RecurringSchedule.js';
+import Tag from './Tag.js';
+import RecordTag from './RecordTag.js';
+import RecordSplit from './RecordSplit.js';
+import Attachment from './Attachment.js';
+import AuditLog, { auditModel } from './AuditLog.js';
+import { versionBulkUpdates } from './versioning.js';
+import ExchangeRate from './ExchangeRate.js';
+import Account from './Account.js';
+import Payee from './Payee.js';
+import Rule from './Rule.js';
+import DuplicateDismissal from './DuplicateDismissal.js';
+import IdempotencyKey from './IdempotencyKey.js';
+import SavedView from './SavedView.js';
+import SyncChange from './SyncChange.js';
+import SyncSequence from './SyncSequence.js';
+import { trackSyncChanges } from './syncChanges.js';
 
 // Associations
 User.hasMany(Record, { foreignKey: 'userId', onDelete: 'CASCADE' });
 Record.belongsTo(User, { foreignKey: 'userId' });
 
+// Categories nest to any depth. Purging a category moves its subcategories up to its closest parent that
+// isn't purged too (the top level if there is none), adding a number such as "Coffee (2)" to clashing names
+Category.hasMany(Category, { as: 'subcategories', foreignKey: 'parentId', onDelete: 'SET NULL' });
+Category.belongsTo(Category, { as: 'parent', foreignKey: 'parentId' });
+
 Category.hasMany(Record, { foreignKey: 'categoryId', onDelete: 'SET NULL' });
 Record.belongsTo(Category, { foreignKey: 'categoryId' });
 
+User.hasMany(RecurringSchedule, { foreignKey: 'userId', onDelete: 'CASCADE' });
+RecurringSchedule.belongsTo(User, { foreignKey: 'userId' });
+
+Category.hasMany(RecurringSchedule, { foreignKey: 'categoryId', onDelete: 'SET NULL' });
+RecurringSchedule.belongsTo(Category, { foreignKey: 'categoryId' });
+
+RecurringSchedule.hasMany(Record, { foreignKey: 'recurringScheduleId', onDelete: 'SET NULL' });
+Record.belongsTo(RecurringSchedule, { foreignKey: 'recurringScheduleId' });
+
+User.hasMany(Tag, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Tag.belongsTo(User, { foreignKey: 'userId' });
+
+Record.belongsToMany(Tag, { through: RecordTag, foreignKey: 'recordId', otherKey: 'tagId' });
+Tag.belongsToMany(Record, { through: RecordTag, foreignKey: 'tagId', otherKey: 'recordId' });
+
+Record.hasMany(RecordSplit, { foreignKey: 'recordId', onDelete: 'CASCADE' });
+RecordSplit.belongsTo(Record, { foreignKey: 'recordId' });
+
+Category.hasMany(RecordSplit, { foreignKey: 'categoryId', onDelete: 'SET NULL' });
+RecordSplit.belongsTo(Category, { foreignKey: 'categoryId' });
+
+Record.hasMany(Attachment, { foreignKey: 'recordId', onDelete: 'CASCADE' });
+Attachment.belongsTo(Record, { foreignKey: 'recordId' });
+
+User.hasMany(Attachment, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Attachment.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(AuditLog, { foreignKey: 'userId', onDelete: 'CASCADE' });
+AuditLog.belongsTo(User, { as: 'actor', foreignKey: 'actorId', constraints: false });
+
+User.hasMany(Account, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Account.belongsTo(User, { foreignKey: 'userId' });
+
+// A record is paid from (or into) accountId; a transfer also credits toAccountId
+Account.hasMany(Record, { foreignKey: 'accountId', onDelete: 'SET NULL' });
+Record.belongsTo(Account, { foreignKey: 'accountId' });
+Account.hasMany(Record, { as: 'incomingTransfers', foreignKey: 'toAccountId', onDelete: 'SET NULL' });
+Record.belongsTo(Account, { as: 'toAccount', foreignKey: 'toAccountId' });
+
+User.hasMany(Payee, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Payee.belongsTo(User, { foreignKey: 'userId' });
+
+Payee.hasMany(Record, { foreignKey: 'payeeId', onDelete: 'SET NULL' });
+Record.belongsTo(Payee, { foreignKey: 'payeeId' });
+
+User.hasMany(Rule, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Rule.belongsTo(User, { foreignKey: 'userId' });
+
+// What a rule assigns; a rule outlives its category or payee and then just stops assigning it
+Category.hasMany(Rule, { foreignKey: 'categoryId', onDelete: 'SET NULL' });
+Rule.belongsTo(Category, { foreignKey: 'categoryId' });
+Payee.hasMany(Rule, { foreignKey: 'payeeId', onDelete: 'SET NULL' });
+Rule.belongsTo(Payee, { foreignKey: 'payeeId' });
+
+// Dismissed duplicate pairs go away with either of their records
+User.hasMany(DuplicateDismissal, { foreignKey: 'userId', onDelete: 'CASCADE' });
+Record.hasMany(DuplicateDismissal, { foreignKey: 'recordId', onDelete: 'CASCADE' });
+Record.hasMany(DuplicateDismissal, { as: 'otherDuplicateDismissals', foreignKey: 'otherRecordId', onDelete: 'CASCADE' });
+
+User.hasMany(IdempotencyKey, { foreignKey: 'userId', onDelete: 'CASCADE' });
+
+User.hasMany(SavedView, { foreignKey: 'userId', onDelete: 'CASCADE' });
+SavedView.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(SyncChange, { foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasOne(SyncSequence, { foreignKey: 'userId', onDelete: 'CASCADE' });
+
+User.hasMany(ExchangeRate, { foreignKey: 'userId', onDelete: 'CASCADE' });
+ExchangeRate.belongsTo(User, { foreignKey: 'userId' });
+
+// Change history for the models users edit directly
+auditModel(Record, 'Record');
+auditModel(Category, 'Category');
+
+// Bulk updates bump the version (ETag) like instance saves do
+versionBulkUpdates(Record);
+versionBulkUpdates(Category);
+
+// Every change, deletions included, is logged for offline clients (GET /sync)
+trackSyncChanges(Record, 'record');
+trackSyncChanges(Category, 'category');
+
 const db = {
     sequelize,
     User,
     Record,
-    Category
+    Category,
+    RecurringSchedule,
+    Tag,
+    RecordTag,
+    RecordSplit,
+    Attachment,
+    AuditLog,
+    ExchangeRate,
+    Account,
+    Payee,
+    Rule,
+    DuplicateDismissal,
+    IdempotencyKey,
+    SavedView,
+    SyncChange,
+    SyncSequence
 };
 
 export default db;
\ No newline at end of file
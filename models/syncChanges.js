@@ -0,0 +1,54 @@
+import { Op } from 'sequelize';
+import SyncChange from './SyncChange.js';
+
+/**
+ * Logs a change to each of the given records or categories for GET /sync, replacing the previous change
+ * logged for it.
+ *
+ * @param {string} entityType - "record" or "category"
+ * @param {{ id: number, userId: string }[]} rows - The changed rows (instances or plain objects)
+ * @param {object} [options] - `transaction` the change runs in, so the log entry commits or rolls back with it
+ */
+export const logSyncChanges = async (entityType, rows, { transaction } = {}) => {
+    const owners = new Map(rows.map(row => [row.id, row.userId]));
+    if (owners.size === 0) return;
+
+    const entityIds = [...owners.keys()];
+    await SyncChange.destroy({ where: { entityType, entityId: { [Op.in]: entityIds } }, transaction });
+    await SyncChange.bulkCreate(
+        entityIds.map(entityId => ({ userId: owners.get(entityId), entityType, entityId })),
+        { transaction }
+    );
+};
+
+/**
+ * Logs every change to the model's rows for GET /sync: creates, updates, deletes (soft or hard) and
+ * restores, one row at a time or in bulk.
+ *
+ * @param {object} Model - Sequelize model with `userId`
+ * @param {string} entityType - "record" or "category"
+ */
+export const trackSyncChanges = (Model, entityType) => {
+    const log = (rows, options) => logSyncChanges(entityType, rows, options);
+
+    Model.addHook('afterCreate', 'sync', (instance, options) => log([instance], options));
+    Model.addHook('afterBulkCreate', 'sync', (instances, options) => log(instances, options));
+    Model.addHook('afterUpdate', 'sync', (instance, options) => log([instance], options));
+    Model.addHook('afterDestroy', 'sync', (instance, options) => log([instance], options));
+    Model.addHook('afterRestore', 'sync', (instance, options) => log([instance], options));
+
+    // Bulk writes only know their where clause, so the rows it matches are looked up before the write.
+    // Trashed rows are included: a bulk write may target them on purpose (restore, purge).
+    const findTargets = async (options) => {
+        options.syncTargets = await Model.findAll({
+            where: options.where,
+            attributes: ['id', 'userId'],
+            paranoid: false,
+            transaction: options.transaction
+        });
+    };
+    ['Update', 'Destroy', 'Restore'].forEach((write) => {
+        Model.addHook(`beforeBulk${write}`, 'sync', findTargets);
+        Model.addHook(`afterBulk${write}`, 'sync', (options) => log(options.syncTargets, options));
+    });
+};
@@ -0,0 +1,15 @@
+/**
+ * Sequelize's optimistic locking (`version: true`) only bumps the version when an instance is saved.
+ * This makes bulk `Model.update` calls bump it too, so every change to a row gives it a new ETag.
+ *
+ * @param {object} Model - Sequelize model defined with `version: true`
+ */
+export const versionBulkUpdates = (Model) => {
+    const column = Model._versionAttribute;
+    const quoted = Model.sequelize.getQueryInterface().quoteIdentifier(column);
+
+    Model.addHook('beforeBulkUpdate', 'version', (options) => {
+        options.attributes[column] = Model.sequelize.literal(`${quoted} + 1`);
+        if (!options.fields.includes(column)) options.fields.push(column);
+    });
+};
@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { ACCOUNT_TYPES } from '../models/Account.js';
+import { BALANCE_INTERVALS, MAX_ACCOUNT_NAME_LENGTH } from '../services/Account.service.js';
+import {
+    getAllAccounts,
+    getBalances,
+    createAccount,
+    getAccountById,
+    getAccountBalanceSeries,
+    updateAccount,
+    deleteAccount
+} from '../controllers/Account.controller.js';
+
+const router = express.Router();
+
+const accountParams = schema.object({ id: schema.id() });
+const accountBody = schema.object({
+    name: schema.string({ max: MAX_ACCOUNT_NAME_LENGTH }),
+    type: schema.oneOf(ACCOUNT_TYPES).optional(),
+    currency: schema.currency(),
+    openingBalance: schema.money().nullable().optional()
+});
+
+// PUT and PATCH both change only the fields sent
+const accountUpdateBody = accountBody.partial();
+
+const balanceSeriesQuery = schema.object({
+    startDate: schema.date().optional(),
+    endDate: schema.date().optional(),
+    interval: schema.oneOf(BALANCE_INTERVALS).optional()
+});
+
+// Apply authentication to all account routes
+router.use(authenticateToken);
+
+router.get('/', getAllAccounts);
+router.get('/balances', validate({ query: schema.object({ date: schema.date().optional() }) }), getBalances);
+router.post('/', validate({ body: accountBody }), createAccount);
+router.get('/:id', validate({ params: accountParams }), getAccountById);
+router.get('/:id/balances', validate({ params: accountParams, query: balanceSeriesQuery }), getAccountBalanceSeries);
+router.put('/:id', validate({ params: accountParams, body: accountUpdateBody }), updateAccount);
+router.patch('/:id', validate({ params: accountParams, body: accountUpdateBody }), updateAccount);
+router.delete('/:id', validate({ params: accountParams }), deleteAccount);
+
+export default router;
@@ -6,6 +6,10 @@
  */
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js'; //use this for main branch
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { CATEGORY_INPUT } from '../services/Category.service.js';
 import {
     getAllCategories,
     createCategory,
@@ -15,12 +19,18 @@ import {
 
 const router = express.Router();
 
+const categoryParams = schema.object({ id: schema.id() });
+
+// PUT and PATCH both change only the fields sent
+const categoryUpdateBody = CATEGORY_INPUT.partial();
+
 // Apply mock authentication to all category routes
 router.use(authenticateToken);
 
-router.get('/', getAllCategories);
-router.post('/', createCategory);
-router.put('/:id', updateCategory);
-router.delete('/:id', deleteCategory);
+router.get('/', validate({ query: schema.object({ tree: schema.boolean().optional() }) }), getAllCategories);
+router.post('/', validate({ body: CATEGORY_INPUT }), idempotent, createCategory);
+router.put('/:id', validate({ params: categoryParams, body: categoryUpdateBody }), idempotent, updateCategory);
+router.patch('/:id', validate({ params: categoryParams, body: categoryUpdateBody }), idempotent, updateCategory);
+router.delete('/:id', validate({ params: categoryParams }), idempotent, deleteCategory);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getCurrencies } from '../controllers/Currency.controller.js';
+
+const router = express.Router();
+
+// Reference data, readable without signing in
+router.get('/', getCurrencies);
+
+export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { uploadCsv } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { RATE_SCALE } from '../utils/money.js';
+import {
+    getExchangeRates,
+    convertAmount,
+    createExchangeRate,
+    importExchangeRateFile,
+    deleteExchangeRate,
+    createSharedExchangeRate,
+    importSharedExchangeRateFile,
+    deleteSharedExchangeRate
+} from '../controllers/ExchangeRate.controller.js';
+
+const router = express.Router();
+
+const rateParams = schema.object({ id: schema.id() });
+const rateBody = schema.object({
+    from: schema.currency(),
+    to: schema.currency(),
+    rate: schema.money({ positive: true, scale: RATE_SCALE }),
+    date: schema.date()
+}).refine(rate => (rate.from === rate.to ? { field: 'to', message: 'must be a different currency than from' } : null));
+const listQuery = schema.object({
+    from: schema.currency().optional(),
+    to: schema.currency().optional(),
+    startDate: schema.date().optional(),
+    endDate: schema.date().optional()
+});
+const convertQuery = schema.object({
+    from: schema.currency(),
+    to: schema.currency(),
+    amount: schema.money(),
+    date: schema.date().optional()
+});
+
+// Apply authentication to all exchange rate routes
+router.use(authenticateToken);
+
+router.get('/', validate({ query: listQuery }), getExchangeRates);
+router.get('/convert', validate({ query: convertQuery }), convertAmount);
+router.post('/', validate({ body: rateBody }), createExchangeRate);
+router.post('/import', uploadCsv, importExchangeRateFile);
+
+// Shared rates apply to every user, so only admins maintain them
+router.post('/shared', requireAdmin, validate({ body: rateBody }), createSharedExchangeRate);
+router.post('/shared/import', requireAdmin, uploadCsv, importSharedExchangeRateFile);
+router.delete('/shared/:id', requireAdmin, validate({ params: rateParams }), deleteSharedExchangeRate);
+
+router.delete('/:id', validate({ params: rateParams }), deleteExchangeRate);
+
+export default router;
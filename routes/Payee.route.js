@@ -0,0 +1,35 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { MAX_PAYEE_NAME_LENGTH, MAX_SUGGESTION_LIMIT } from '../services/Payee.service.js';
+import {
+    getAllPayees,
+    autocompletePayees,
+    createPayee,
+    updatePayee,
+    mergePayee,
+    deletePayee
+} from '../controllers/Payee.controller.js';
+
+const router = express.Router();
+
+const payeeParams = schema.object({ id: schema.id() });
+const payeeBody = schema.object({ name: schema.string({ max: MAX_PAYEE_NAME_LENGTH }) });
+const autocompleteQuery = schema.object({
+    q: schema.string({ min: 0, max: MAX_PAYEE_NAME_LENGTH }).optional(),
+    limit: schema.integer({ min: 1, max: MAX_SUGGESTION_LIMIT }).optional()
+});
+
+// Apply authentication to all payee routes
+router.use(authenticateToken);
+
+router.get('/', getAllPayees);
+router.get('/autocomplete', validate({ query: autocompleteQuery }), autocompletePayees);
+router.post('/', validate({ body: payeeBody }), createPayee);
+router.put('/:id', validate({ params: payeeParams, body: payeeBody }), updatePayee);
+router.patch('/:id', validate({ params: payeeParams, body: payeeBody.partial() }), updatePayee);
+router.post('/:id/merge', validate({ params: payeeParams, body: schema.object({ sourceIds: schema.array(schema.id(), { min: 1 }) }) }), mergePayee);
+router.delete('/:id', validate({ params: payeeParams }), deletePayee);
+
+export default router;
@@ -6,23 +6,123 @@
  */
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
+import { uploadAttachmentFile, uploadCsv } from '../middleware/upload.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { RECORD_SORT_FIELDS, RECORD_TYPES } from '../models/Record.js';
+import { RECORD_FILTER_QUERY, RECORD_INPUT } from '../services/Record.service.js';
+import { DUPLICATE_MODES, MAX_DUPLICATE_GROUP_LIMIT, MAX_DUPLICATE_GROUP_SIZE } from '../services/Duplicate.service.js';
+import { MAX_DUPLICATE_WINDOW_DAYS } from '../utils/duplicates.js';
+import { EXPORT_FORMATS } from '../utils/recordExport.js';
+import { IMPORT_DUPLICATE_MODES } from '../utils/recordImport.js';
 import {
     getAllRecords,
     createRecord,
     updateRecord,
     deleteRecord,
-    findRecordById
+    findRecordById,
+    importRecords,
+    exportRecords,
+    batchRecords,
+    getRecordHistory,
+    revertRecord,
+    getDuplicateRecords,
+    mergeDuplicateRecords,
+    dismissDuplicateRecords,
+    BATCH_OPERATIONS,
+    MAX_BATCH_OPERATIONS
 } from '../controllers/Record.controller.js';
+import {
+    uploadAttachment,
+    getRecordAttachments,
+    downloadAttachment,
+    deleteAttachment
+} from '../controllers/Attachment.controller.js';
 
 const router = express.Router();
 
+const recordParams = schema.object({ id: schema.id() });
+const attachmentParams = schema.object({ id: schema.id(), attachmentId: schema.id() });
+
+// PUT and PATCH both change only the fields sent
+const recordUpdateBody = RECORD_INPUT.partial();
+
+// Operation data is checked field by field here; what a create needs is checked as it runs
+const batchBody = schema.object({
+    operations: schema.array(schema.object({
+        op: schema.oneOf(BATCH_OPERATIONS),
+        id: schema.id().optional(),
+        ref: schema.string({ max: 255 }).optional(),
+        data: RECORD_INPUT.partial().optional()
+    }).refine(operation => (operation.op !== 'create' && operation.id === undefined
+        ? { field: 'id', message: `is required for ${operation.op}` }
+        : null)), { min: 1, max: MAX_BATCH_OPERATIONS })
+});
+
+// Import options arrive as multipart fields, or some of them as query parameters
+const importBody = schema.object({
+    mapping: schema.string().optional(),
+    hasHeader: schema.boolean().optional(),
+    delimiter: schema.string({ max: 1, trim: false }).optional(),
+    dateFormat: schema.string({ max: 20 }).optional(),
+    decimalSeparator: schema.oneOf(['.', ',']).optional(),
+    thousandsSeparator: schema.string({ min: 0, max: 1, trim: false }).optional(),
+    defaultCurrency: schema.currency().optional(),
+    defaultType: schema.oneOf(RECORD_TYPES).optional(),
+    createMissingCategories: schema.boolean().optional(),
+    onDuplicate: schema.oneOf(IMPORT_DUPLICATE_MODES).optional(),
+    dryRun: schema.boolean().optional()
+});
+const importQuery = schema.object({
+    onDuplicate: schema.oneOf(IMPORT_DUPLICATE_MODES).optional(),
+    dryRun: schema.boolean().optional()
+});
+
+const listQuery = RECORD_FILTER_QUERY.extend({
+    page: schema.integer({ min: 1 }).default(1),
+    pageSize: schema.integer({ min: 1, max: 100 }).default(10),
+    sort: schema.oneOf(['asc', 'desc']).optional(),
+    sortBy: schema.oneOf(RECORD_SORT_FIELDS).optional(),
+    pagination: schema.oneOf(['page', 'cursor']).optional(),
+    cursor: schema.string().optional()
+});
+const exportQuery = RECORD_FILTER_QUERY.extend({
+    format: schema.oneOf(EXPORT_FORMATS).default('csv'),
+    statementCurrency: schema.currency().default('USD')
+});
+const duplicatesQuery = RECORD_FILTER_QUERY.extend({
+    windowDays: schema.integer({ min: 0, max: MAX_DUPLICATE_WINDOW_DAYS }).optional(),
+    limit: schema.integer({ min: 1, max: MAX_DUPLICATE_GROUP_LIMIT }).optional()
+});
+const duplicateGroupBody = schema.object({
+    recordIds: schema.array(schema.id(), { min: 2, max: MAX_DUPLICATE_GROUP_SIZE })
+});
+
 // Apply authentication to all record routes
 router.use(authenticateToken);
 
-router.get('/', getAllRecords);
-router.get('/:id', findRecordById);
-router.post('/', createRecord);
-router.put('/:id', updateRecord);
-router.delete('/:id', deleteRecord);
+// Write routes honor an Idempotency-Key header (see middleware/idempotency.js), so clients can retry them safely.
+// Requests are checked against the schemas above first (see middleware/validate.js).
+router.get('/', validate({ query: listQuery }), getAllRecords);
+router.get('/export', validate({ query: exportQuery }), exportRecords);
+router.post('/import', uploadCsv, validate({ body: importBody, query: importQuery }), idempotent, importRecords);
+router.post('/batch', validate({ body: batchBody }), idempotent, batchRecords);
+router.get('/duplicates', validate({ query: duplicatesQuery }), getDuplicateRecords);
+router.post('/duplicates/merge', validate({ body: duplicateGroupBody.extend({ keepId: schema.id().optional() }) }), idempotent, mergeDuplicateRecords);
+router.post('/duplicates/dismiss', validate({ body: duplicateGroupBody }), idempotent, dismissDuplicateRecords);
+router.get('/:id', validate({ params: recordParams }), findRecordById);
+router.post('/', validate({ body: RECORD_INPUT, query: schema.object({ onDuplicate: schema.oneOf(DUPLICATE_MODES).optional() }) }), idempotent, createRecord);
+router.put('/:id', validate({ params: recordParams, body: recordUpdateBody }), idempotent, updateRecord);
+router.patch('/:id', validate({ params: recordParams, body: recordUpdateBody }), idempotent, updateRecord);
+router.delete('/:id', validate({ params: recordParams }), idempotent, deleteRecord);
+router.get('/:id/history', validate({ params: recordParams }), getRecordHistory);
+router.post('/:id/history/:entryId/revert', validate({ params: schema.object({ id: schema.id(), entryId: schema.id() }) }), idempotent, revertRecord);
+
+// Receipt attachments of a record
+router.get('/:id/attachments', validate({ params: recordParams }), getRecordAttachments);
+router.post('/:id/attachments', uploadAttachmentFile, validate({ params: recordParams }), idempotent, uploadAttachment);
+router.get('/:id/attachments/:attachmentId', validate({ params: attachmentParams }), downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', validate({ params: attachmentParams }), idempotent, deleteAttachment);
 
 export default router;
@@ -0,0 +1,63 @@
+/**
+ * @openapi
+ * tags:
+ *  - name: RecurringSchedule
+ *    description: Recurring records (rent, bills, subscriptions) that are created automatically when due
+ */
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { RECORD_TYPES } from '../models/Record.js';
+import { FREQUENCIES } from '../utils/recurrence.js';
+import {
+    getAllSchedules,
+    createSchedule,
+    findScheduleById,
+    updateSchedule,
+    deleteSchedule,
+    getUpcomingOccurrences,
+    skipOccurrence,
+    unskipOccurrence,
+    pauseSchedule,
+    resumeSchedule
+} from '../controllers/RecurringSchedule.controller.js';
+
+const router = express.Router();
+
+const scheduleParams = schema.object({ id: schema.id() });
+const scheduleBody = schema.object({
+    title: schema.string({ max: 255 }),
+    type: schema.oneOf(RECORD_TYPES).optional(),
+    currency: schema.currency(),
+    amount: schema.money({ positive: true }),
+    note: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    category: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    frequency: schema.oneOf(FREQUENCIES),
+    interval: schema.integer({ min: 1 }).optional(),
+    startDate: schema.date(),
+    endDate: schema.date().nullable().optional(),
+    maxOccurrences: schema.integer({ min: 1 }).nullable().optional()
+}).refine(schedule => (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate
+    ? { field: 'endDate', message: 'must not be before startDate' }
+    : null));
+
+// PUT and PATCH both change only the fields sent
+const scheduleUpdateBody = scheduleBody.partial();
+
+// Apply authentication to all recurring schedule routes
+router.use(authenticateToken);
+
+router.get('/', getAllSchedules);
+router.post('/', validate({ body: scheduleBody }), createSchedule);
+router.get('/:id', validate({ params: scheduleParams }), findScheduleById);
+router.put('/:id', validate({ params: scheduleParams, body: scheduleUpdateBody }), updateSchedule);
+router.patch('/:id', validate({ params: scheduleParams, body: scheduleUpdateBody }), updateSchedule);
+router.delete('/:id', validate({ params: scheduleParams }), deleteSchedule);
+router.get('/:id/upcoming', validate({ params: scheduleParams, query: schema.object({ limit: schema.integer({ min: 1, max: 100 }).default(10) }) }), getUpcomingOccurrences);
+router.post('/:id/skip', validate({ params: scheduleParams, body: schema.object({ date: schema.date() }) }), skipOccurrence);
+router.delete('/:id/skip/:date', validate({ params: scheduleParams.extend({ date: schema.date() }) }), unskipOccurrence);
+router.post('/:id/pause', validate({ params: scheduleParams }), pauseSchedule);
+router.post('/:id/resume', validate({ params: scheduleParams }), resumeSchedule);
+
+export default router;
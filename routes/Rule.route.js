@@ -0,0 +1,71 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { RULE_MATCH_FIELDS, RULE_MATCH_TYPES } from '../models/Rule.js';
+import { RECORD_FILTER_QUERY } from '../services/Record.service.js';
+import { MAX_RULE_NAME_LENGTH, MAX_RULE_PATTERN_LENGTH, MAX_RULE_TAGS } from '../services/Rule.service.js';
+import { MAX_PAYEE_NAME_LENGTH } from '../services/Payee.service.js';
+import { MAX_TAG_LENGTH } from '../services/Tag.service.js';
+import {
+    getAllRules,
+    createRule,
+    testRules,
+    applyRules,
+    getRuleById,
+    updateRule,
+    deleteRule
+} from '../controllers/Rule.controller.js';
+
+const router = express.Router();
+
+const ruleParams = schema.object({ id: schema.id() });
+
+// Whether a rule has at least one condition and one action is checked against the rule as it will be saved
+const ruleBody = schema.object({
+    name: schema.string({ max: MAX_RULE_NAME_LENGTH }),
+    priority: schema.integer().optional(),
+    enabled: schema.boolean().optional(),
+    matchField: schema.oneOf(RULE_MATCH_FIELDS).optional(),
+    matchType: schema.oneOf(RULE_MATCH_TYPES).optional(),
+    pattern: schema.string({ min: 0, max: MAX_RULE_PATTERN_LENGTH }).nullable().optional(),
+    currency: schema.currency().nullable().optional(),
+    minAmount: schema.money().nullable().optional(),
+    maxAmount: schema.money().nullable().optional(),
+    category: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    payee: schema.string({ min: 0, max: MAX_PAYEE_NAME_LENGTH }).nullable().optional(),
+    tags: schema.array(schema.string({ max: MAX_TAG_LENGTH }), { max: MAX_RULE_TAGS }).nullable().optional()
+});
+
+// PUT and PATCH both change only the fields sent
+const ruleUpdateBody = ruleBody.partial();
+
+const testBody = schema.object({
+    ruleId: schema.id().optional(),
+    record: schema.object({
+        title: schema.string({ min: 0 }).optional(),
+        note: schema.string({ min: 0 }).nullable().optional(),
+        amount: schema.money().nullable().optional(),
+        currency: schema.currency().nullable().optional()
+    })
+});
+
+const applyBody = schema.object({
+    ruleIds: schema.array(schema.id()).optional(),
+    overwrite: schema.boolean().default(false),
+    dryRun: schema.boolean().default(false)
+});
+
+// Apply authentication to all rule routes
+router.use(authenticateToken);
+
+router.get('/', getAllRules);
+router.post('/', validate({ body: ruleBody }), createRule);
+router.post('/test', validate({ body: testBody }), testRules);
+router.post('/apply', validate({ query: RECORD_FILTER_QUERY, body: applyBody }), applyRules);
+router.get('/:id', validate({ params: ruleParams }), getRuleById);
+router.put('/:id', validate({ params: ruleParams, body: ruleUpdateBody }), updateRule);
+router.patch('/:id', validate({ params: ruleParams, body: ruleUpdateBody }), updateRule);
+router.delete('/:id', validate({ params: ruleParams }), deleteRule);
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { RECORD_SORT_FIELDS } from '../models/Record.js';
+import { RECORD_FILTERS } from '../services/Record.service.js';
+import { MAX_VIEW_NAME_LENGTH } from '../services/SavedView.service.js';
+import {
+    getAllViews,
+    createView,
+    getViewById,
+    updateView,
+    deleteView
+} from '../controllers/SavedView.controller.js';
+
+const router = express.Router();
+
+const viewParams = schema.object({ id: schema.id() });
+
+const viewBody = schema.object({
+    name: schema.string({ max: MAX_VIEW_NAME_LENGTH }),
+    filters: RECORD_FILTERS.refine(filters => (filters.dateRange && (filters.startDate || filters.endDate)
+        ? { field: 'dateRange', message: 'cannot be combined with startDate or endDate' }
+        : null)).optional(),
+    sortBy: schema.oneOf(RECORD_SORT_FIELDS).nullable().optional(),
+    sort: schema.oneOf(['asc', 'desc']).nullable().optional()
+});
+
+// PUT and PATCH both change only the fields sent
+const viewUpdateBody = viewBody.partial();
+
+// Apply authentication to all saved view routes
+router.use(authenticateToken);
+
+router.get('/', getAllViews);
+router.post('/', validate({ body: viewBody }), createView);
+router.get('/:id', validate({ params: viewParams }), getViewById);
+router.put('/:id', validate({ params: viewParams, body: viewUpdateBody }), updateView);
+router.patch('/:id', validate({ params: viewParams, body: viewUpdateBody }), updateView);
+router.delete('/:id', validate({ params: viewParams }), deleteView);
+
+export default router;
@@ -11,15 +11,34 @@ import {
     getTop5Expenses
 } from '../controllers/Summary.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
 
 const router = express.Router();
 
 // Apply authentication to all summary routes
 router.use(authenticateToken);
 
+// Saved view whose records a summary is limited to
+const viewQuery = schema.object({ view: schema.id().optional() });
+
+const monthlyQuery = viewQuery.extend({
+    month: schema.integer({ min: 1, max: 12 }).optional(),
+    year: schema.integer({ min: 2020, max: 2030 }).optional(),
+    currency: schema.currency({ also: ['ALL'] }).default('ALL'),
+    breakdown: schema.oneOf(['category', 'tag', 'payee']).default('category'),
+    categoryTree: schema.boolean().default(false)
+});
+const recentAverageQuery = viewQuery.extend({
+    displayCurrency: schema.currency({ also: ['BOTH', 'ALL'] }).default('BOTH')
+});
+const top5Query = viewQuery.extend({
+    displayCurrency: schema.currency().default('USD')
+});
+
 // Summary routes
-router.get('/monthly', getMonthlySummary);
-router.get('/recent-average', getRecentAverage);
-router.get('/top5', getTop5Expenses);
+router.get('/monthly', validate({ query: monthlyQuery }), getMonthlySummary);
+router.get('/recent-average', validate({ query: recentAverageQuery }), getRecentAverage);
+router.get('/top5', validate({ query: top5Query }), getTop5Expenses);
 
 export default router;
\ No newline at end of file
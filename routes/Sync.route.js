@@ -0,0 +1,47 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { schema, validateValue } from '../utils/validation.js';
+import { CATEGORY_INPUT } from '../services/Category.service.js';
+import { RECORD_INPUT } from '../services/Record.service.js';
+import { MAX_SYNC_PAGE_SIZE } from '../services/Sync.service.js';
+import { getSync, pushSync, SYNC_OPERATIONS, MAX_SYNC_CHANGES } from '../controllers/Sync.controller.js';
+
+const router = express.Router();
+
+const syncQuery = schema.object({
+    token: schema.string().optional(),
+    limit: schema.integer({ min: 1, max: MAX_SYNC_PAGE_SIZE }).optional()
+});
+
+// Changes to records or categories. Update data only needs the fields that changed; create data needs
+// everything a new record or category does.
+const syncChanges = (input) => schema.array(schema.object({
+    op: schema.oneOf(SYNC_OPERATIONS),
+    id: schema.id().optional(),
+    version: schema.integer({ min: 0 }).optional(),
+    ref: schema.string({ max: 255 }).optional(),
+    data: input.partial().optional()
+}).refine((change) => {
+    if (change.op === 'create') {
+        const [problem] = validateValue(input, change.data ?? {}).errors;
+        return problem ? { field: `data.${problem.field}`, message: problem.message } : null;
+    }
+    if (change.id === undefined) return { field: 'id', message: `is required for ${change.op}` };
+    if (change.version === undefined) return { field: 'version', message: `is required for ${change.op}` };
+    return null;
+}), { max: MAX_SYNC_CHANGES });
+
+const syncBody = schema.object({
+    categories: syncChanges(CATEGORY_INPUT).default([]),
+    records: syncChanges(RECORD_INPUT).default([])
+});
+
+// Apply authentication to all sync routes
+router.use(authenticateToken);
+
+router.get('/', validate({ query: syncQuery }), getSync);
+router.post('/', validate({ body: syncBody }), idempotent, pushSync);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import { MAX_TAG_LENGTH } from '../services/Tag.service.js';
+import {
+    getAllTags,
+    createTag,
+    updateTag,
+    deleteTag
+} from '../controllers/Tag.controller.js';
+
+const router = express.Router();
+
+const tagParams = schema.object({ id: schema.id() });
+const tagBody = schema.object({
+    name: schema.string({ max: MAX_TAG_LENGTH }),
+    color: schema.hexColor().nullable().optional()
+});
+
+// Apply authentication to all tag routes
+router.use(authenticateToken);
+
+router.get('/', getAllTags);
+router.post('/', validate({ body: tagBody }), createTag);
+router.put('/:id', validate({ params: tagParams, body: tagBody.partial() }), updateTag);
+router.patch('/:id', validate({ params: tagParams, body: tagBody.partial() }), updateTag);
+router.delete('/:id', validate({ params: tagParams }), deleteTag);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
+import {
+    getTrash,
+    restoreRecord,
+    restoreCategory
+} from '../controllers/Trash.controller.js';
+
+const router = express.Router();
+
+// Apply authentication to all trash routes
+router.use(authenticateToken);
+
+const trashParams = schema.object({ id: schema.id() });
+
+router.get('/', validate({ query: schema.object({ type: schema.oneOf(['record', 'category']).optional() }) }), getTrash);
+router.post('/records/:id/restore', validate({ params: trashParams }), restoreRecord);
+router.post('/categories/:id/restore', validate({ params: trashParams }), restoreCategory);
+
+export default router;
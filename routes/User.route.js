@@ -15,9 +15,42 @@ import {
 } from '../controllers/User.controller.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { requireVerification } from '../middleware/emailVerification.js';
+import { validate } from '../middleware/validate.js';
+import { schema } from '../utils/validation.js';
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 6;
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+
+// Passwords are taken exactly as typed, spaces included
+const password = () => schema.string({ trim: false });
+const newPassword = () => schema.string({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, trim: false });
+
+const passwordsMatch = (body) => (body.confirmNewPassword !== undefined && body.confirmNewPassword !== body.newPassword
+    ? { field: 'confirmNewPassword', message: 'must match newPassword' }
+    : null);
+
+const registerBody = schema.object({
+    username: schema.string({ max: 255 }),
+    email: schema.email(),
+    password: newPassword()
+});
+const loginBody = schema.object({ email: schema.string({ max: 255 }), password: password() });
+const emailBody = schema.object({ email: schema.email() });
+const updateEmailBody = schema.object({ newEmail: schema.email(), password: password() });
+const updatePasswordBody = schema.object({
+    currentPassword: password(),
+    newPassword: newPassword(),
+    confirmNewPassword: password()
+}).refine(passwordsMatch);
+const resetPasswordBody = schema.object({
+    token: schema.string(),
+    newPassword: newPassword(),
+    confirmNewPassword: password().optional()
+}).refine(passwordsMatch);
+
 /**
  * @openapi
  * /api/users/register:
@@ -44,12 +77,12 @@ const router = express.Router();
  *     responses:
  *       201:
  *         description: User registered successfully
- *       400:
- *         description: Invalid input
  *       409:
  *         description: Email already in use
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/register', register);
+router.post('/register', validate({ body: registerBody }), register);
 
 /**
  * @openapi
@@ -76,8 +109,10 @@ router.post('/register', register);
  *         description: User logged in successfully
  *       401:
  *         description: Invalid credentials
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/login', login);
+router.post('/login', validate({ body: loginBody }), login);
 
 /**
  * @openapi
@@ -121,16 +156,16 @@ router.post('/signout', signOut);
  *     responses:
  *       200:
  *         description: Email updated successfully
- *       400:
- *         description: Invalid input
  *       401:
  *         description: Invalid password
  *       404:
  *         description: User not found
  *       409:
  *         description: Email already in use
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.put('/me/email', authenticateToken, requireVerification, updateEmail);
+router.put('/me/email', authenticateToken, requireVerification, validate({ body: updateEmailBody }), updateEmail);
 
 /**
  * @openapi
@@ -164,14 +199,14 @@ router.put('/me/email', authenticateToken, requireVerification, updateEmail);
  *     responses:
  *       200:
  *         description: Password updated successfully
- *       400:
- *         description: Invalid input
  *       401:
  *         description: Invalid current password
  *       404:
  *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.put('/me/password', authenticateToken, requireVerification, updatePassword);
+router.put('/me/password', authenticateToken, requireVerification, validate({ body: updatePasswordBody }), updatePassword);
 
 /**
  * @openapi
@@ -217,8 +252,10 @@ router.delete('/me', authenticateToken, deleteAccount);
  *         description: Password reset email sent successfully
  *       404:
  *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', validate({ body: emailBody }), forgotPassword);
 
 /**
  * @openapi
@@ -245,9 +282,11 @@ router.post('/forgot-password', forgotPassword);
  *       200:
  *         description: Password reset successfully
  *       400:
- *         description: Invalid input or token expired
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/reset-password', resetPassword);
+router.post('/reset-password', validate({ body: resetPasswordBody }), resetPassword);
 
 router.get('/me', authenticateToken, getUser);
 
@@ -268,8 +307,10 @@ router.get('/me', authenticateToken, getUser);
  *         description: Email verified successfully
  *       400:
  *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/verify-email', verifyEmail);
+router.post('/verify-email', validate({ query: schema.object({ token: schema.string() }) }), verifyEmail);
 
 /**
  * @openapi
@@ -293,7 +334,9 @@ router.post('/verify-email', verifyEmail);
  *         description: Verification email sent successfully
  *       404:
  *         description: User not found or already verified
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/resend-verification', resendVerification);
+router.post('/resend-verification', validate({ body: emailBody }), resendVerification);
 
 export default router; 
\ No newline at end of file
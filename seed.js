@@ -12,7 +12,8 @@ async function seed() {
                 return db.User.create({
                     username,
                     email: `${username}@example.com`,
-                    password: hashedPassword
+                    password: hashedPassword,
+                    isAdmin: index === 0 // alice maintains the shared exchange rates
                 });
             })
         );
@@ -107,15 +108,37 @@ async function seed() {
                         categoryId: category.id
                     });
                 }
+
+                // One salary payment per month so summaries have income to report
+                records.push({
+                    title: 'Salary',
+                    type: 'income',
+                    date: new Date(monthData.year, monthData.month, 1).toISOString().split('T')[0],
+                    currency: 'USD',
+                    amount: 1500,
+                    note: `${monthData.monthName} salary`,
+                    userId: user.id,
+                    categoryId: null
+                });
             }
         }
 
         await db.Record.bulkCreate(records);
 
+        // 4. Shared exchange rate so summaries can combine USD and KHR
+        await db.ExchangeRate.create({
+            fromCurrency: 'USD',
+            toCurrency: 'KHR',
+            rate: 4000,
+            date: new Date(Math.min(...records.map(r => new Date(r.date)))).toISOString().split('T')[0],
+            userId: null
+        });
+
         console.log(`✅ Database seeded with:`);
         console.log(`   - ${users.length} users`);
         console.log(`   - ${allCategories.length} categories (${allCategories.length / users.length} per user)`);
         console.log(`   - ${records.length} records spanning 3 months`);
+        console.log(`   - 1 shared exchange rate (1 USD = 4000 KHR)`);
         console.log(`   - ~${Math.floor(records.length / (users.length * 3))} records per user per month`);
         console.log(`   - Date range: ${new Date(Math.min(...records.map(r => new Date(r.date)))).toDateString()} to ${new Date(Math.max(...records.map(r => new Date(r.date)))).toDateString()}`);
         process.exit(0);
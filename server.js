@@ -1,9 +1,15 @@
 import app from './app.js';
 import dotenv from 'dotenv';
+import { startRecurringRecordsJob } from './jobs/recurringRecords.js';
+import { startTrashPurgeJob } from './jobs/purgeTrash.js';
+import { startIdempotencyKeyPurgeJob } from './jobs/purgeIdempotencyKeys.js';
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
 const backUrl = process.env.BACKEND_URL + ':' + PORT || '/';
 app.listen(PORT, '0.0.0.0',() => {
     console.log(`Server running on port ${PORT} at ${backUrl}`);
+    startRecurringRecordsJob();
+    startTrashPurgeJob();
+    startIdempotencyKeyPurgeJob();
 });
\ No newline at end of file
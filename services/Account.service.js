@@ -0,0 +1,302 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { ACCOUNT_TYPES } from '../models/Account.js';
+import ApiError from '../utils/ApiError.js';
+import { currencyDecimals, isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { minorToNumber, parseMoney, toMinorUnits } from '../utils/money.js';
+import { addDays, isValidDate, normalizeDate, todayString } from '../utils/recurrence.js';
+import { loadExchangeRates } from './ExchangeRate.service.js';
+
+export const MAX_ACCOUNT_NAME_LENGTH = 100;
+export const BALANCE_INTERVALS = ['day', 'week', 'month'];
+const MAX_BALANCE_POINTS = 1000;
+
+/**
+ * Loads one of the user's accounts.
+ *
+ * @throws {ApiError} 404 when the account doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedAccount = async (userId, id, action, options = {}) => {
+    const account = await db.Account.findByPk(id, options);
+
+    if (!account) {
+        throw new ApiError(404, "Account not found");
+    }
+    if (account.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this account`);
+    }
+    return account;
+};
+
+/**
+ * Validates the fields of an account from the request. Only the given fields are checked and returned,
+ * so it serves both create (with `required`) and update.
+ *
+ * @param {object} input - Any of name, type, currency, openingBalance
+ * @param {object} [options]
+ * @param {boolean} [options.required] - Require name and currency
+ * @param {string} [options.currency] - Currency the opening balance is rounded to when not in `input`
+ * @returns {object} Normalized fields ready for Account.create/update
+ * @throws {ApiError} 400 naming the invalid field
+ */
+export const parseAccountInput = (input, { required = false, currency } = {}) => {
+    const data = {};
+
+    if (input.name !== undefined || required) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) {
+            throw new ApiError(400, "Account name is required");
+        }
+        if (name.length > MAX_ACCOUNT_NAME_LENGTH) {
+            throw new ApiError(400, `Account name must be at most ${MAX_ACCOUNT_NAME_LENGTH} characters`);
+        }
+        data.name = name;
+    }
+    if (input.type !== undefined) {
+        if (!ACCOUNT_TYPES.includes(input.type)) {
+            throw new ApiError(400, `Invalid account type "${input.type}". Expected one of: ${ACCOUNT_TYPES.join(', ')}`);
+        }
+        data.type = input.type;
+    }
+    if (input.currency !== undefined || required) {
+        const code = normalizeCurrencyCode(input.currency);
+        if (!isCurrencyCode(code)) {
+            throw new ApiError(400, `Unsupported currency "${input.currency ?? ''}". Use an ISO 4217 code such as USD, EUR or THB`);
+        }
+        data.currency = code;
+    }
+    if (input.openingBalance !== undefined && input.openingBalance !== null) {
+        const balance = parseMoney(input.openingBalance, currencyDecimals(data.currency || currency));
+        if (balance === null) {
+            throw new ApiError(400, "openingBalance must be a number");
+        }
+        data.openingBalance = balance;
+    }
+    return data;
+};
+
+// Number of records (trashed ones included, so they can still be restored) paid from or into an account
+export const countAccountRecords = (accountId, { transaction } = {}) => db.Record.count({
+    where: { [Op.or]: [{ accountId }, { toAccountId: accountId }] },
+    paranoid: false,
+    transaction
+});
+
+// Loads an account a record refers to; someone else's account is reported as not found
+const findRecordAccount = async (userId, id, field, { transaction } = {}) => {
+    const account = Number.isInteger(Number(id)) ? await db.Account.findByPk(id, { transaction }) : null;
+    if (!account || account.userId !== userId) {
+        throw new ApiError(400, `${field}: account ${id} not found`);
+    }
+    return account;
+};
+
+/**
+ * Validates the account side of a record: the paying account must be in the record's currency, and only
+ * transfers have a destination account. A transfer into an account in another currency credits `toAmount`,
+ * which defaults to the amount converted at the exchange rate on the record's date.
+ *
+ * @param {string} userId
+ * @param {object} record - The record as it will be saved: type, date, currency (may be undefined on create,
+ *   then the paying account's currency is used), amount, accountId, toAccountId, toAmount (ignored when both
+ *   accounts share a currency; converted when not given)
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<{ currency: string, accountId: number|null, toAccountId: number|null, toAmount: string|null }>}
+ * @throws {ApiError} 400 when an account is unknown, the currencies don't match, a non-transfer has a
+ *   destination, or a cross-currency transfer has neither toAmount nor an exchange rate
+ */
+export const resolveRecordAccounts = async (userId, record, { transaction } = {}) => {
+    const accountId = record.accountId ?? null;
+    const toAccountId = record.toAccountId ?? null;
+    let currency = record.currency;
+
+    if (toAccountId !== null) {
+        if (record.type !== 'transfer') {
+            throw new ApiError(400, "Only transfer records can have a toAccountId");
+        }
+        if (accountId === null) {
+            throw new ApiError(400, "A transfer into an account needs the accountId it comes from");
+        }
+        if (String(toAccountId) === String(accountId)) {
+            throw new ApiError(400, "A transfer needs two different accounts");
+        }
+    }
+
+    if (accountId !== null) {
+        const account = await findRecordAccount(userId, accountId, 'accountId', { transaction });
+        if (currency === undefined) currency = account.currency;
+        if (currency !== account.currency) {
+            throw new ApiError(400, `The record currency ${currency} doesn't match the ${account.currency} account "${account.name}"`);
+        }
+    }
+
+    let toAmount = null;
+    if (toAccountId !== null) {
+        const toAccount = await findRecordAccount(userId, toAccountId, 'toAccountId', { transaction });
+        if (toAccount.currency !== currency) {
+            const decimals = currencyDecimals(toAccount.currency);
+            if (record.toAmount !== undefined && record.toAmount !== null) {
+                toAmount = parseMoney(record.toAmount, decimals);
+                if (toAmount === null || toMinorUnits(toAmount, decimals) <= 0n) {
+                    throw new ApiError(400, "toAmount must be a positive number");
+                }
+            } else {
+                const amount = parseMoney(record.amount, currencyDecimals(currency));
+                if (amount === null) {
+                    throw new ApiError(400, "Amount must be a number");
+                }
+                const rates = await loadExchangeRates(userId, { currencies: [currency, toAccount.currency] });
+                toAmount = rates.convert(amount, currency, toAccount.currency, record.date);
+                if (toAmount === null) {
+                    throw new ApiError(400, `No exchange rate from ${currency} to ${toAccount.currency} on ${record.date}. Send the received amount as toAmount`);
+                }
+            }
+        }
+    }
+
+    return {
+        currency,
+        accountId: accountId === null ? null : Number(accountId),
+        toAccountId: toAccountId === null ? null : Number(toAccountId),
+        toAmount
+    };
+};
+
+// Sums record amounts per account (and per date when `byDate`) in the direction each record moves the balance
+const balanceChanges = async (userId, { accountIds, from, until, byDate = false }) => {
+    const { fn, col } = db.sequelize;
+    const dates = {};
+    if (from) dates[Op.gte] = from;
+    if (until) dates[Op.lte] = until;
+    const dateWhere = from || until ? { date: dates } : {};
+    const dateGroup = byDate ? ['date'] : [];
+
+    const outgoing = await db.Record.findAll({
+        where: { userId, accountId: { [Op.in]: accountIds }, ...dateWhere },
+        attributes: ['accountId', 'type', ...dateGroup, [fn('SUM', col('amount')), 'total']],
+        group: ['accountId', 'type', ...dateGroup],
+        raw: true
+    });
+    const incoming = await db.Record.findAll({
+        where: { userId, type: 'transfer', toAccountId: { [Op.in]: accountIds }, ...dateWhere },
+        attributes: ['toAccountId', ...dateGroup, [fn('SUM', fn('COALESCE', col('toAmount'), col('amount'))), 'total']],
+        group: ['toAccountId', ...dateGroup],
+        raw: true
+    });
+
+    return [
+        ...outgoing.map(row => ({
+            accountId: row.accountId,
+            date: row.date,
+            total: row.total,
+            sign: row.type === 'income' ? 1n : -1n // expenses and transfers out lower the balance
+        })),
+        ...incoming.map(row => ({ accountId: row.toAccountId, date: row.date, total: row.total, sign: 1n }))
+    ];
+};
+
+// Balances of the given accounts at the end of `asOf` (all records when not given), in minor units by account id
+const balancesAsOf = async (userId, accounts, asOf) => {
+    const balances = new Map(accounts.map(account => [
+        account.id,
+        toMinorUnits(account.openingBalance, currencyDecimals(account.currency))
+    ]));
+    const currencies = new Map(accounts.map(account => [account.id, account.currency]));
+
+    const changes = await balanceChanges(userId, { accountIds: accounts.map(account => account.id), until: asOf });
+    changes.forEach(change => {
+        const minor = toMinorUnits(change.total, currencyDecimals(currencies.get(change.accountId)));
+        balances.set(change.accountId, balances.get(change.accountId) + change.sign * minor);
+    });
+    return balances;
+};
+
+/**
+ * Balance of every account of the user at the end of a date: the opening balance plus income, minus
+ * expenses and transfers out, plus transfers in. Trashed records don't count.
+ *
+ * @param {string} userId
+ * @param {string} [asOf] - YYYY-MM-DD; defaults to all records, including future-dated ones
+ * @returns {Promise<object[]>} Accounts ordered by name, each with `balance`
+ */
+export const getAccountBalances = async (userId, asOf) => {
+    const accounts = await db.Account.findAll({ where: { userId }, order: [['name', 'ASC']] });
+    if (accounts.length === 0) return [];
+
+    const balances = await balancesAsOf(userId, accounts, asOf);
+    return accounts.map(account => ({
+        ...account.toJSON(),
+        balance: minorToNumber(balances.get(account.id), currencyDecimals(account.currency))
+    }));
+};
+
+// Last day of the period (day, week ending Sunday, or calendar month) that contains `date`
+const periodEnd = (date, interval) => {
+    if (interval === 'day') return date;
+    const day = new Date(`${date}T00:00:00Z`);
+    if (interval === 'week') return addDays(date, (7 - day.getUTCDay()) % 7);
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+};
+
+/**
+ * Balance of one account at the end of each day, week or month in a date range.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Account ID
+ * @param {object} query - startDate, endDate (YYYY-MM-DD; default the last 12 months) and interval (default month)
+ * @returns {Promise<{ account: object, interval: string, balances: { date: string, balance: number }[] }>}
+ *   The last point is the end date itself even when it falls mid-period
+ * @throws {ApiError} 404/403 from findOwnedAccount, 400 on invalid dates or interval, or too many points
+ */
+export const getAccountBalanceHistory = async (userId, id, query) => {
+    const account = await findOwnedAccount(userId, id, 'access');
+    const interval = query.interval || 'month';
+    const endDate = query.endDate || todayString();
+
+    if (!BALANCE_INTERVALS.includes(interval)) {
+        throw new ApiError(400, `Invalid interval "${interval}". Expected one of: ${BALANCE_INTERVALS.join(', ')}`);
+    }
+    // The default start is counted back from endDate, so endDate is checked first
+    const startDate = isValidDate(endDate) ? query.startDate || `${addDays(endDate, -364).slice(0, 7)}-01` : query.startDate;
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        throw new ApiError(400, "startDate and endDate must be valid dates in YYYY-MM-DD format");
+    }
+    if (startDate > endDate) {
+        throw new ApiError(400, "startDate must not be after endDate");
+    }
+
+    const points = [];
+    for (let date = periodEnd(startDate, interval); ; date = periodEnd(addDays(date, 1), interval)) {
+        if (date >= endDate) {
+            points.push(endDate);
+            break;
+        }
+        points.push(date);
+        if (points.length > MAX_BALANCE_POINTS) {
+            throw new ApiError(400, `Too many balance points. Use a shorter range or a longer interval (at most ${MAX_BALANCE_POINTS})`);
+        }
+    }
+
+    const decimals = currencyDecimals(account.currency);
+
+    // Balance going into the range, then the changes of each day within it
+    let balance = (await balancesAsOf(userId, [account], addDays(startDate, -1))).get(account.id);
+    const changes = await balanceChanges(userId, { accountIds: [account.id], from: startDate, until: endDate, byDate: true });
+    const changesByDate = new Map();
+    changes.forEach(change => {
+        const day = normalizeDate(change.date);
+        changesByDate.set(day, (changesByDate.get(day) ?? 0n) + change.sign * toMinorUnits(change.total, decimals));
+    });
+    const days = [...changesByDate.keys()].sort();
+
+    let next = 0;
+    const balances = points.map(date => {
+        while (next < days.length && days[next] <= date) {
+            balance += changesByDate.get(days[next]);
+            next += 1;
+        }
+        return { date, balance: minorToNumber(balance, decimals) };
+    });
+
+    return { account, interval, balances };
+};
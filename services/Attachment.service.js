@@ -0,0 +1,94 @@
+import { randomUUID } from 'crypto';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { getStorage } from '../utils/storage.js';
+
+// Leading bytes of each accepted file type. The declared MIME type comes from the client,
+// so the content is checked too before anything is stored or served back.
+const SIGNATURES = {
+    'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+    'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+    'image/heic': (b) => b.toString('ascii', 4, 8) === 'ftyp' && /^(heic|heix|mif1|msf1)$/.test(b.toString('ascii', 8, 12)),
+    'application/pdf': (b) => b.toString('ascii', 0, 5) === '%PDF-'
+};
+
+// Keeps a download file name safe for the Content-Disposition header
+const sanitizeFileName = (name) => {
+    const cleaned = String(name || '').replace(/[\r\n"\\/]/g, '_').trim();
+    return cleaned.slice(0, 255) || 'attachment';
+};
+
+/**
+ * Stores an uploaded file and records it as an attachment of the record.
+ *
+ * @param {object} record - Record owned by the uploader
+ * @param {object} file - multer file (memory storage)
+ * @returns {Promise<object>} The created Attachment
+ * @throws {ApiError} 400 when no file was sent or its content doesn't match its type
+ */
+export const createAttachment = async (record, file) => {
+    if (!file) {
+        throw new ApiError(400, "No file uploaded. Send it as multipart/form-data in the \"file\" field");
+    }
+    const matches = SIGNATURES[file.mimetype];
+    if (!matches || !matches(file.buffer)) {
+        throw new ApiError(400, `File content does not match its type ${file.mimetype}`);
+    }
+
+    const storage = getStorage();
+    const storageKey = `${record.userId}/${randomUUID()}`;
+    await storage.save(storageKey, file.buffer);
+
+    try {
+        const attachment = await db.Attachment.create({
+            fileName: sanitizeFileName(file.originalname),
+            mimeType: file.mimetype,
+            size: file.size,
+            storageKey,
+            recordId: record.id,
+            userId: record.userId
+        });
+        return db.Attachment.findByPk(attachment.id);
+    } catch (err) {
+        // Don't leave an orphaned file behind when the row can't be written
+        await storage.remove(storageKey).catch(() => {});
+        throw err;
+    }
+};
+
+/**
+ * Loads an attachment of the given record, including its storage key.
+ *
+ * @throws {ApiError} 404 when the record has no such attachment
+ */
+export const findRecordAttachment = async (recordId, attachmentId) => {
+    const attachment = await db.Attachment.unscoped().findOne({
+        where: { id: attachmentId, recordId }
+    });
+    if (!attachment) {
+        throw new ApiError(404, "Attachment not found");
+    }
+    return attachment;
+};
+
+/**
+ * Deletes the stored files of attachments whose rows are gone (or about to be).
+ * Best effort: a file that can't be removed is logged, not fatal, since the rows are already deleted.
+ *
+ * @param {object[]} attachments - Attachments loaded with their storageKey (unscoped)
+ */
+export const removeAttachmentFiles = async (attachments) => {
+    const storage = getStorage();
+    await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey).catch(err => {
+        console.error(`Failed to remove attachment file ${attachment.storageKey}:`, err);
+    })));
+};
+
+/**
+ * Loads the attachments matching `where` (with storage keys) so their files can be removed
+ * once the owning rows are deleted.
+ */
+export const findAttachmentsForCleanup = (where, { transaction } = {}) => {
+    return db.Attachment.unscoped().findAll({ where, attributes: ['id', 'storageKey'], transaction });
+};
@@ -0,0 +1,286 @@
+import { OptimisticLockError } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { matchesIfMatch } from '../utils/etag.js';
+import { schema } from '../utils/validation.js';
+
+export const DEFAULT_CATEGORY_COLOR = '#808080';
+
+// Separates the levels of a category path, as in "Food > Coffee"
+export const CATEGORY_PATH_SEPARATOR = ' > ';
+
+// A category, as sent to POST /categories or /sync; partial() gives the fields of an update
+export const CATEGORY_INPUT = schema.object({
+    name: schema.string({ max: 255 }),
+    color: schema.hexColor(),
+    parentId: schema.id().nullable().optional()
+});
+
+/**
+ * Full path of a category from the top level down, such as "Food > Coffee". A parent missing from
+ * `byId` (such as one in the trash) ends the path.
+ *
+ * @param {object} category
+ * @param {Map<number, object>} byId - The user's categories keyed by id
+ * @returns {string}
+ */
+export const categoryPath = (category, byId) => {
+    const names = [];
+    for (let current = category; current; current = byId.get(current.parentId)) {
+        names.unshift(current.name);
+    }
+    return names.join(CATEGORY_PATH_SEPARATOR);
+};
+
+/**
+ * Ids of a category and the categories above it, nearest first. A parent missing from `byId` (such as
+ * one in the trash) ends the list.
+ *
+ * @param {number} categoryId
+ * @param {Map<number, object>} byId - The user's categories keyed by id
+ * @returns {number[]}
+ */
+export const categoryAncestorIds = (categoryId, byId) => {
+    const ids = [categoryId];
+    for (let parentId = byId.get(categoryId)?.parentId; byId.has(parentId) && !ids.includes(parentId); parentId = byId.get(parentId).parentId) {
+        ids.push(parentId);
+    }
+    return ids;
+};
+
+/**
+ * Ids of a category and every category below it, at any depth.
+ *
+ * @param {number} categoryId
+ * @param {object[]} categories - The user's categories (with id and parentId)
+ * @returns {number[]}
+ */
+export const categoryWithDescendantIds = (categoryId, categories) => {
+    const children = new Map();
+    categories.forEach(category => {
+        children.set(category.parentId, [...(children.get(category.parentId) || []), category.id]);
+    });
+
+    const ids = [categoryId];
+    for (let index = 0; index < ids.length; index++) {
+        ids.push(...(children.get(ids[index]) || []));
+    }
+    return ids;
+};
+
+/**
+ * Nests categories under their parents. Categories whose parent isn't in the list (such as one in the
+ * trash) are placed at the top level.
+ *
+ * @param {object[]} categories - Category instances
+ * @returns {object[]} Top-level categories as plain objects, each with its `subcategories`
+ */
+export const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [category.id, { ...category.toJSON(), subcategories: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = nodes.get(node.parentId);
+        (parent ? parent.subcategories : roots).push(node);
+    });
+    return roots;
+};
+
+// Looks up a category by name among those directly under `parentId` (null: the top level)
+export const findSiblingByName = (userId, name, parentId, options = {}) => db.Category.findOne({
+    where: { userId, name, parentId: parentId ?? null },
+    ...options
+});
+
+// Follows a path such as "Food > Coffee" down from the top level
+const findCategoryByPath = async (userId, path, options = {}) => {
+    let category = null;
+    for (const name of path.split(CATEGORY_PATH_SEPARATOR.trim()).map(part => part.trim())) {
+        category = await findSiblingByName(userId, name, category ? category.id : null, options);
+        if (!category) return null;
+    }
+    return category;
+};
+
+/**
+ * Looks up a category within the user's own categories by name, or by its path ("Food > Coffee") when
+ * categories at different levels share the name.
+ *
+ * @param {string} userId
+ * @param {string} name - Name or path
+ * @param {object} [options] - Extra query options such as `transaction`
+ * @returns {Promise<object|null>}
+ * @throws {ApiError} 400 when several categories have the name and it isn't a top-level one
+ */
+export const findCategoryByName = async (userId, name, options = {}) => {
+    const matches = await db.Category.findAll({
+        where: {
+            name,
+            userId // Only search within user's categories
+        },
+        ...options
+    });
+    if (matches.length === 1) return matches[0];
+    if (matches.length === 0 && !name.includes(CATEGORY_PATH_SEPARATOR.trim())) return null;
+
+    const category = await findCategoryByPath(userId, name, options);
+    if (category || matches.length === 0) return category;
+
+    const byId = new Map((await db.Category.findAll({ where: { userId }, ...options })).map(item => [item.id, item]));
+    throw new ApiError(400, `Several categories are named "${name}". Use the full path, such as "${categoryPath(matches[0], byId)}"`);
+};
+
+// Loads every category of the user keyed by full path, and by name when no other category shares it,
+// for resolving many names at once the way findCategoryByName does
+export const getCategoryMap = async (userId, options = {}) => {
+    const categories = await db.Category.findAll({ where: { userId }, ...options });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const nameCounts = new Map();
+    categories.forEach(category => nameCounts.set(category.name, (nameCounts.get(category.name) || 0) + 1));
+
+    const map = new Map();
+    categories.forEach(category => {
+        if (nameCounts.get(category.name) === 1) map.set(category.name, category);
+    });
+    // Paths win over plain names: a top-level category's path is its name
+    categories.forEach(category => map.set(categoryPath(category, byId), category));
+    return map;
+};
+
+/**
+ * Checks that a category can go under `parentId`: the parent must be one of the user's categories, and
+ * not the category itself or one below it, which would make a cycle.
+ *
+ * @param {string} userId
+ * @param {number|null} categoryId - The category being moved, or null for a new one
+ * @param {number} parentId
+ * @param {object} [options] - `transaction` to run in
+ * @throws {ApiError} 400 when the parent isn't found or would make a cycle
+ */
+const assertValidParent = async (userId, categoryId, parentId, { transaction } = {}) => {
+    const parent = await db.Category.findOne({ where: { id: parentId, userId }, transaction });
+    if (!parent) {
+        throw new ApiError(400, 'Parent category not found');
+    }
+    if (categoryId === null) return;
+
+    // Trashed categories count too: restoring one must not close a cycle
+    const categories = await db.Category.findAll({ where: { userId }, attributes: ['id', 'parentId'], paranoid: false, transaction });
+    const byId = new Map(categories.map(category => [category.id, category]));
+    for (let current = parent; current; current = byId.get(current.parentId)) {
+        if (current.id === categoryId) {
+            throw new ApiError(400, "A category can't be moved under itself or one of its subcategories");
+        }
+    }
+};
+
+/**
+ * Loads a category and makes sure it belongs to the user.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Category ID
+ * @param {string} action - Verb used in the permission error ("update", "delete")
+ * @param {object} [options] - Extra findByPk options such as `transaction`
+ * @throws {ApiError} 404 when the category doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedCategory = async (userId, id, action, options = {}) => {
+    const category = await db.Category.findByPk(id, options);
+
+    if (!category) {
+        throw new ApiError(404, 'Category not found');
+    }
+    if (category.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this category`);
+    }
+    return category;
+};
+
+// The 412 answer to a write based on an outdated version of a category, carrying the category as it is now
+const staleCategoryError = async (id, { transaction } = {}) => new ApiError(
+    412,
+    'The category was changed since you loaded it. Review the current version and try again',
+    { current: await db.Category.findByPk(id, { transaction }) }
+);
+
+// Runs a write on a category only when the client's If-Match still matches its version (see writeIfCurrent for records)
+const writeIfCurrent = async (category, ifMatch, { transaction }, write) => {
+    if (!matchesIfMatch(ifMatch, category)) {
+        throw await staleCategoryError(category.id, { transaction });
+    }
+    try {
+        return await write();
+    } catch (err) {
+        if (err instanceof OptimisticLockError) throw await staleCategoryError(category.id, { transaction });
+        throw err;
+    }
+};
+
+/**
+ * Creates a category for the user, at the top level or under `parentId`.
+ *
+ * @param {string} userId
+ * @param {object} input - name, color and parentId
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object>} The created Category
+ * @throws {ApiError} 400 when the parent isn't found, 409 when the parent (or the top level) already has
+ *   a category with this name
+ */
+export const createUserCategory = async (userId, { name, color, parentId = null }, { transaction } = {}) => {
+    if (parentId !== null) {
+        await assertValidParent(userId, null, parentId, { transaction });
+    }
+    if (await findSiblingByName(userId, name, parentId, { transaction })) {
+        throw new ApiError(409, 'Category already exists');
+    }
+    return db.Category.create({ name, color, parentId, userId }, { transaction, actorId: userId });
+};
+
+/**
+ * Changes the name, color and/or parent of one of the user's categories.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Category ID
+ * @param {object} input - name, color and parentId (null: move to the top level), each optional
+ * @param {object} [options] - `transaction` to run in, and `ifMatch` (If-Match header) to only write over
+ *   the version the client has seen
+ * @returns {Promise<object>} The updated Category
+ * @throws {ApiError} 404/403 from findOwnedCategory, 400 when the parent isn't found or would make a cycle,
+ *   409 when the category's new level already has a category with its name, 412 when the category changed
+ *   since the client's version
+ */
+export const updateUserCategory = async (userId, id, { name, color, parentId }, { transaction, ifMatch } = {}) => {
+    const category = await findOwnedCategory(userId, id, 'update', { transaction });
+    const newName = name ?? category.name;
+    const newParentId = parentId !== undefined ? parentId : category.parentId;
+
+    if (newParentId !== null && newParentId !== category.parentId) {
+        await assertValidParent(userId, category.id, newParentId, { transaction });
+    }
+    if (newName !== category.name || newParentId !== category.parentId) {
+        const existing = await findSiblingByName(userId, newName, newParentId, { transaction });
+        if (existing && existing.id !== category.id) {
+            throw new ApiError(409, 'Category already exists');
+        }
+    }
+
+    return writeIfCurrent(category, ifMatch, { transaction }, async () => {
+        category.name = newName;
+        category.color = color ?? category.color;
+        category.parentId = newParentId;
+        return category.save({ transaction, actorId: userId });
+    });
+};
+
+/**
+ * Moves one of the user's categories to the trash. Its records and subcategories keep pointing at it
+ * until it is purged.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Category ID
+ * @param {object} [options] - `transaction` to run in, and `ifMatch` as for updateUserCategory
+ * @throws {ApiError} 404/403 from findOwnedCategory, 412 when the category changed since the client's version
+ */
+export const deleteUserCategory = async (userId, id, { transaction, ifMatch } = {}) => {
+    const category = await findOwnedCategory(userId, id, 'delete', { transaction });
+    await writeIfCurrent(category, ifMatch, { transaction }, () => category.destroy({ transaction, actorId: userId }));
+    return category;
+};
@@ -0,0 +1,291 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { DUPLICATE_WINDOW_DAYS, MAX_DUPLICATE_WINDOW_DAYS, duplicateKey, isLikelyDuplicate } from '../utils/duplicates.js';
+import { addDays, normalizeDate } from '../utils/recurrence.js';
+import { buildRecordFilters, findRecordWithCategory, forEachRecordBatch } from './Record.service.js';
+
+// What createRecord does with a record that looks like one already saved
+export const DUPLICATE_MODES = ['allow', 'warn', 'reject'];
+
+export const DEFAULT_DUPLICATE_GROUP_LIMIT = 50;
+export const MAX_DUPLICATE_GROUP_LIMIT = 200;
+export const MAX_DUPLICATE_GROUP_SIZE = 50;
+
+// Fields a merged record takes from the records merged into it when it has none of its own
+const MERGE_FILL_FIELDS = ['categoryId', 'payeeId', 'note'];
+
+/**
+ * Validates the onDuplicate option.
+ *
+ * @param {string} [value] - Defaults to "warn"
+ * @param {string[]} [modes]
+ * @throws {ApiError} 400 when it isn't one of the modes
+ */
+export const parseDuplicateMode = (value, modes = DUPLICATE_MODES) => {
+    const mode = value ?? 'warn';
+    if (!modes.includes(mode)) {
+        throw new ApiError(400, `Invalid onDuplicate "${value}". Expected one of: ${modes.join(', ')}`);
+    }
+    return mode;
+};
+
+// Most days apart two duplicates may be, from the windowDays query parameter
+const parseWindowDays = (value) => {
+    if (value === undefined || value === '') return DUPLICATE_WINDOW_DAYS;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_DUPLICATE_WINDOW_DAYS) {
+        throw new ApiError(400, `windowDays must be an integer between 0 and ${MAX_DUPLICATE_WINDOW_DAYS}`);
+    }
+    return days;
+};
+
+// Short form of a suspected duplicate, enough to recognize it
+export const duplicateSummary = (record) => ({
+    id: record.id,
+    title: record.title,
+    type: record.type,
+    date: normalizeDate(record.date),
+    amount: record.amount,
+    currency: record.currency
+});
+
+/**
+ * Finds the user's saved records each candidate looks like a duplicate of (see isLikelyDuplicate).
+ * One query covers all candidates, so an import checks every row at once. Records in the trash don't count.
+ *
+ * @param {string} userId
+ * @param {object[]} candidates - Records or record data with type, currency, amount, date and title. A saved
+ *   record (with an id) never matches itself
+ * @param {object} [options] - `windowDays` (default 3) and `transaction`
+ * @returns {Promise<object[][]>} For each candidate, the records it may duplicate, oldest first
+ */
+export const findDuplicatesOf = async (userId, candidates, { windowDays = DUPLICATE_WINDOW_DAYS, transaction } = {}) => {
+    if (candidates.length === 0) return [];
+
+    const dates = candidates.map(candidate => normalizeDate(candidate.date)).sort();
+    const records = await db.Record.findAll({
+        where: {
+            userId,
+            amount: { [Op.in]: [...new Set(candidates.map(candidate => String(candidate.amount)))] },
+            date: { [Op.between]: [addDays(dates[0], -windowDays), addDays(dates[dates.length - 1], windowDays)] }
+        },
+        order: [['date', 'ASC'], ['id', 'ASC']],
+        transaction
+    });
+
+    const byKey = new Map();
+    records.forEach(record => {
+        const key = duplicateKey(record);
+        byKey.set(key, [...(byKey.get(key) || []), record]);
+    });
+    return candidates.map(candidate => (byKey.get(duplicateKey(candidate)) || [])
+        .filter(record => record.id !== candidate.id && isLikelyDuplicate(candidate, record, windowDays)));
+};
+
+// Key of a dismissed pair, smaller id first like the stored rows
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+/**
+ * Lists groups of suspected duplicates among the user's records matching the `GET /records` filters.
+ * Records that look alike are grouped together, also through a record in between (a ~ b and b ~ c put
+ * a, b and c in one group). Pairs dismissed with dismissDuplicateGroup are never linked again.
+ *
+ * @param {string} userId
+ * @param {object} query - Record filters plus `windowDays` (0-30, default 3) and `limit` (1-200, default 50)
+ * @returns {Promise<object>} `windowDays`, `filters`, `total` groups and the `groups` with the newest
+ *   duplicate first, each with its records oldest first
+ * @throws {ApiError} 400 on invalid filters, windowDays or limit
+ */
+export const findDuplicateGroups = async (userId, query) => {
+    const windowDays = parseWindowDays(query.windowDays);
+    const limit = query.limit === undefined ? DEFAULT_DUPLICATE_GROUP_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DUPLICATE_GROUP_LIMIT) {
+        throw new ApiError(400, `limit must be an integer between 1 and ${MAX_DUPLICATE_GROUP_LIMIT}`);
+    }
+    const { where, filters } = await buildRecordFilters(userId, query);
+
+    const dismissed = new Set((await db.DuplicateDismissal.findAll({
+        where: { userId },
+        attributes: ['recordId', 'otherRecordId'],
+        raw: true
+    })).map(row => pairKey(row.recordId, row.otherRecordId)));
+
+    // Union-find over the records linked to another one
+    const parent = new Map();
+    const linked = new Map();
+    const root = (id) => {
+        while (parent.get(id) !== id) id = parent.get(id);
+        return id;
+    };
+    const link = (a, b) => {
+        [a, b].forEach(record => {
+            if (!parent.has(record.id)) {
+                parent.set(record.id, record.id);
+                linked.set(record.id, record);
+            }
+        });
+        parent.set(root(a.id), root(b.id));
+    };
+
+    // Records come in date order, so a record can only duplicate the recent ones with the same key
+    const recent = new Map();
+    await forEachRecordBatch(where, (batch) => {
+        for (const record of batch) {
+            const key = duplicateKey(record);
+            const earliest = addDays(record.date, -windowDays);
+            const window = (recent.get(key) || []).filter(other => normalizeDate(other.date) >= earliest);
+            window.forEach(other => {
+                if (!dismissed.has(pairKey(record.id, other.id)) && isLikelyDuplicate(record, other, windowDays)) {
+                    link(record, other);
+                }
+            });
+            recent.set(key, [...window, record]);
+        }
+
+        // Forget amounts not seen within the window, so memory stays flat over a long history
+        const earliest = addDays(batch[batch.length - 1].date, -windowDays);
+        recent.forEach((records, key) => {
+            if (normalizeDate(records[records.length - 1].date) < earliest) recent.delete(key);
+        });
+    });
+
+    const groups = new Map();
+    linked.forEach((record, id) => {
+        const groupId = root(id);
+        groups.set(groupId, [...(groups.get(groupId) || []), record]);
+    });
+    const sorted = [...groups.values()]
+        .map(records => records.sort((a, b) => (normalizeDate(a.date).localeCompare(normalizeDate(b.date)) || a.id - b.id)))
+        .sort((a, b) => normalizeDate(b[b.length - 1].date).localeCompare(normalizeDate(a[a.length - 1].date))
+            || b[b.length - 1].id - a[a.length - 1].id);
+
+    return {
+        windowDays,
+        filters,
+        total: sorted.length,
+        groups: sorted.slice(0, limit).map(records => ({
+            recordIds: records.map(record => record.id),
+            type: records[0].type,
+            currency: records[0].currency,
+            amount: records[0].amount,
+            records
+        }))
+    };
+};
+
+/**
+ * Loads the records of a duplicate group sent by the client.
+ *
+ * @throws {ApiError} 400 when recordIds isn't a list of 2-50 record ids, 404 when a record doesn't exist
+ *   (or is in the trash), 403 when one belongs to someone else
+ */
+const loadGroupRecords = async (userId, recordIds, action, { transaction } = {}) => {
+    if (!Array.isArray(recordIds) || !recordIds.every(id => Number.isInteger(id))) {
+        throw new ApiError(400, "recordIds must be an array of record ids");
+    }
+    const ids = [...new Set(recordIds)];
+    if (ids.length < 2 || ids.length > MAX_DUPLICATE_GROUP_SIZE) {
+        throw new ApiError(400, `A duplicate group has between 2 and ${MAX_DUPLICATE_GROUP_SIZE} records`);
+    }
+
+    const records = await db.Record.findAll({ where: { id: { [Op.in]: ids } }, order: [['id', 'ASC']], transaction });
+    const missing = ids.find(id => !records.some(record => record.id === id));
+    if (missing !== undefined) {
+        throw new ApiError(404, `Record ${missing} not found`);
+    }
+    if (records.some(record => record.userId !== userId)) {
+        throw new ApiError(403, `You don't have permission to ${action} these records`);
+    }
+    return records;
+};
+
+/**
+ * Marks the records of a group as not being duplicates of each other, so findDuplicateGroups stops
+ * linking them. A record can still be grouped with other records.
+ *
+ * @param {string} userId
+ * @param {number[]} recordIds
+ * @returns {Promise<{ recordIds: number[] }>}
+ * @throws {ApiError} 400/403/404 from loadGroupRecords
+ */
+export const dismissDuplicateGroup = async (userId, recordIds) => {
+    const records = await loadGroupRecords(userId, recordIds, 'dismiss');
+    const ids = records.map(record => record.id);
+
+    await db.sequelize.transaction(async (transaction) => {
+        const existing = new Set((await db.DuplicateDismissal.findAll({
+            where: { recordId: { [Op.in]: ids }, otherRecordId: { [Op.in]: ids } },
+            attributes: ['recordId', 'otherRecordId'],
+            raw: true,
+            transaction
+        })).map(row => pairKey(row.recordId, row.otherRecordId)));
+
+        // ids are sorted, so each pair is stored smaller id first
+        const pairs = ids.flatMap((recordId, index) => ids.slice(index + 1)
+            .filter(otherRecordId => !existing.has(pairKey(recordId, otherRecordId)))
+            .map(otherRecordId => ({ recordId, otherRecordId, userId })));
+        if (pairs.length > 0) {
+            await db.DuplicateDismissal.bulkCreate(pairs, { transaction });
+        }
+    });
+    return { recordIds: ids };
+};
+
+/**
+ * Merges a group of duplicates into one of its records. The kept record takes the category, payee and
+ * note it lacks from the others (oldest first) and gains their tags and attachments; the others go to
+ * the trash, so a merge can be undone by restoring them. Every change gets a history entry.
+ *
+ * @param {string} userId
+ * @param {number[]} recordIds
+ * @param {number} [keepId] - Record to keep, one of recordIds. Defaults to the oldest
+ * @returns {Promise<{ record: object, mergedRecordIds: number[] }>}
+ * @throws {ApiError} 400 when keepId isn't in the group or the records differ in type, currency or
+ *   amount, and 400/403/404 from loadGroupRecords
+ */
+export const mergeDuplicateGroup = async (userId, recordIds, keepId) => {
+    if (keepId !== undefined && !Number.isInteger(keepId)) {
+        throw new ApiError(400, "keepId must be a record id");
+    }
+
+    const merged = await db.sequelize.transaction(async (transaction) => {
+        const records = await loadGroupRecords(userId, recordIds, 'merge', { transaction });
+        const keep = keepId === undefined ? records[0] : records.find(record => record.id === keepId);
+        if (!keep) {
+            throw new ApiError(400, "keepId must be one of recordIds");
+        }
+        if (records.some(record => duplicateKey(record) !== duplicateKey(keep))) {
+            throw new ApiError(400, "Only records with the same type, currency and amount can be merged");
+        }
+        const others = records.filter(record => record !== keep);
+        const otherIds = others.map(record => record.id);
+
+        // A split record's own category isn't used, so it isn't filled in either
+        const isSplit = await db.RecordSplit.count({ where: { recordId: keep.id }, transaction }) > 0;
+        const fill = {};
+        MERGE_FILL_FIELDS.forEach(field => {
+            if (keep[field] !== null || (field === 'categoryId' && isSplit)) return;
+            const source = others.find(record => record[field] !== null);
+            if (source) fill[field] = source[field];
+        });
+        if (Object.keys(fill).length > 0) {
+            await keep.update(fill, { transaction, actorId: userId });
+        }
+
+        const recordTags = await db.RecordTag.findAll({ where: { recordId: { [Op.in]: [keep.id, ...otherIds] } }, raw: true, transaction });
+        const keptTagIds = new Set(recordTags.filter(row => row.recordId === keep.id).map(row => row.tagId));
+        const addedTagIds = [...new Set(recordTags.map(row => row.tagId))].filter(tagId => !keptTagIds.has(tagId));
+        if (addedTagIds.length > 0) {
+            await db.RecordTag.bulkCreate(addedTagIds.map(tagId => ({ recordId: keep.id, tagId })), { transaction });
+        }
+        await db.Attachment.update({ recordId: keep.id }, { where: { recordId: { [Op.in]: otherIds } }, transaction });
+
+        for (const record of others) {
+            await record.destroy({ transaction, actorId: userId });
+        }
+        return { keep, mergedRecordIds: otherIds };
+    });
+
+    return { record: await findRecordWithCategory(merged.keep.id), mergedRecordIds: merged.mergedRecordIds };
+};
@@ -0,0 +1,320 @@
+import { Op, UniqueConstraintError } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { currencyDecimals, isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { convertMoney, divideMoney, formatRate, invertRate, parseRate } from '../utils/money.js';
+import { isValidDate, normalizeDate } from '../utils/recurrence.js';
+
+export const MAX_RATE_IMPORT_ROWS = 10000;
+
+// Conversions used to be hardcoded at 1 USD = 4000 KHR. That rate stays the first shared rate of the pair,
+// dated before any record, so conversions that always worked keep working until newer rates are loaded.
+const LEGACY_SHARED_RATE = { fromCurrency: 'USD', toCurrency: 'KHR', rate: '4000', date: '1970-01-01' };
+
+// Rates a user sees: the shared ones plus their own
+const visibleTo = (userId) => ({ [Op.or]: [{ userId: null }, { userId }] });
+
+const pairKey = (from, to) => `${from}_${to}`;
+
+/**
+ * Loads the exchange rates visible to a user into an in-memory table, so conversions inside loops stay
+ * synchronous. An amount converts at the rate for its own date, falling back to the nearest earlier rate;
+ * dates before the first rate of a pair can't be converted.
+ *
+ * A stored rate also converts the other way (KHR to USD with the USD to KHR rate, dividing instead of
+ * multiplying). On the same date a user's own rate wins over a shared one, and a rate stored for the pair
+ * itself wins over the inverse of the opposite pair. Currencies are never converted through a third one.
+ *
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string[]} [options.currencies] - Only load rates between these currencies
+ * @param {string} [options.until] - Only load rates up to this date (YYYY-MM-DD)
+ * @returns {Promise<object>} Rate table with `rate`, `convert` and `periods`
+ */
+export const loadExchangeRates = async (userId, { currencies, until } = {}) => {
+    const where = { [Op.and]: [visibleTo(userId)] };
+    if (currencies) {
+        where.fromCurrency = { [Op.in]: currencies };
+        where.toCurrency = { [Op.in]: currencies };
+    }
+    if (until) where.date = { [Op.lte]: until };
+
+    const rows = await db.ExchangeRate.findAll({
+        where,
+        attributes: ['fromCurrency', 'toCurrency', 'rate', 'date', 'userId'],
+        raw: true // keep the exact DECIMAL string
+    });
+
+    // Per directed pair, every date a rate applies from, in the order later entries win
+    const entriesByPair = new Map();
+    const addEntry = (from, to, entry) => {
+        const key = pairKey(from, to);
+        if (!entriesByPair.has(key)) entriesByPair.set(key, []);
+        entriesByPair.get(key).push(entry);
+    };
+    rows.forEach(row => {
+        const entry = { date: normalizeDate(row.date), rate: String(row.rate), own: row.userId !== null };
+        addEntry(row.fromCurrency, row.toCurrency, { ...entry, inverse: false });
+        addEntry(row.toCurrency, row.fromCurrency, { ...entry, inverse: true });
+    });
+
+    const priority = (entry) => (entry.own ? 2 : 0) + (entry.inverse ? 0 : 1);
+    for (const [key, entries] of entriesByPair) {
+        entries.sort((a, b) => a.date.localeCompare(b.date) || priority(a) - priority(b));
+        // Keep the winning entry of each date
+        entriesByPair.set(key, entries.filter((entry, index) => entries[index + 1]?.date !== entry.date));
+    }
+
+    // Entry in effect on a date: the last one dated on or before it
+    const find = (from, to, date) => {
+        const entries = entriesByPair.get(pairKey(from, to));
+        if (!entries) return null;
+        const day = normalizeDate(date);
+        let low = 0;
+        let high = entries.length - 1;
+        let found = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (entries[middle].date <= day) {
+                found = entries[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return found;
+    };
+
+    const applyEntry = (entry, amount, decimals) => (entry.inverse
+        ? divideMoney(amount, entry.rate, decimals)
+        : convertMoney(amount, entry.rate, decimals));
+
+    return {
+        /**
+         * Rate to multiply an amount in `from` by to express it in `to` on `date`.
+         * @returns {string|null} Decimal rate, or null when there is none on or before the date
+         */
+        rate(from, to, date) {
+            if (from === to) return '1';
+            const entry = find(from, to, date);
+            if (!entry) return null;
+            return entry.inverse ? invertRate(entry.rate) : formatRate(entry.rate);
+        },
+
+        /**
+         * Converts an amount at the rate in effect on `date`.
+         * @param {number|string} amount
+         * @param {string} from
+         * @param {string} to
+         * @param {string|Date} date
+         * @param {number} [decimals] - Decimal places of the result; defaults to those of `to`
+         * @returns {string|null} The converted amount as a decimal string, or null when there is no rate
+         */
+        convert(amount, from, to, date, decimals = currencyDecimals(to)) {
+            if (from === to) return convertMoney(amount, '1', decimals);
+            const entry = find(from, to, date);
+            return entry ? applyEntry(entry, amount, decimals) : null;
+        },
+
+        /**
+         * Splits time into the periods over which one rate applies between two currencies, so a filter can
+         * compare each record with bounds converted at that record's rate.
+         * @returns {{ start: string|null, end: string|null, convert: function }[]} `end` is exclusive;
+         *   null start/end means unbounded. Empty when the pair has no rates.
+         */
+        periods(from, to) {
+            if (from === to) {
+                return [{ start: null, end: null, convert: (amount, decimals) => convertMoney(amount, '1', decimals) }];
+            }
+            const entries = entriesByPair.get(pairKey(from, to)) || [];
+            return entries.map((entry, index) => ({
+                start: entry.date,
+                end: entries[index + 1]?.date ?? null,
+                convert: (amount, decimals) => applyEntry(entry, amount, decimals)
+            }));
+        }
+    };
+};
+
+/**
+ * Validates an exchange rate from a request body or an import row.
+ *
+ * @param {object} input - `from`, `to`, `rate` and `date` (YYYY-MM-DD)
+ * @returns {{ fromCurrency: string, toCurrency: string, rate: string, date: string }}
+ * @throws {ApiError} 400 naming the first invalid field
+ */
+export const parseExchangeRateInput = (input) => {
+    const fromCurrency = normalizeCurrencyCode(input.from);
+    const toCurrency = normalizeCurrencyCode(input.to);
+
+    if (!isCurrencyCode(fromCurrency)) {
+        throw new ApiError(400, `Unsupported currency "${input.from ?? ''}" in from`, { field: 'from' });
+    }
+    if (!isCurrencyCode(toCurrency)) {
+        throw new ApiError(400, `Unsupported currency "${input.to ?? ''}" in to`, { field: 'to' });
+    }
+    if (fromCurrency === toCurrency) {
+        throw new ApiError(400, "from and to must be different currencies", { field: 'to' });
+    }
+    const rate = parseRate(typeof input.rate === 'string' ? input.rate.trim() : input.rate);
+    if (rate === null) {
+        throw new ApiError(400, "rate must be a positive number", { field: 'rate' });
+    }
+    const date = typeof input.date === 'string' ? input.date.trim() : input.date;
+    if (!isValidDate(date)) {
+        throw new ApiError(400, "date must be a valid date in YYYY-MM-DD format", { field: 'date' });
+    }
+    return { fromCurrency, toCurrency, rate, date };
+};
+
+/**
+ * Stores a rate, replacing the rate of the same owner for the same pair and date.
+ *
+ * @param {string|null} userId - Owner, or null for a shared rate
+ * @param {object} rate - Output of parseExchangeRateInput
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<{ exchangeRate: object, created: boolean }>}
+ */
+export const saveExchangeRate = async (userId, { fromCurrency, toCurrency, rate, date }, { transaction } = {}) => {
+    const where = { userId, fromCurrency, toCurrency, date };
+    let exchangeRate = await db.ExchangeRate.findOne({ where, transaction });
+    if (!exchangeRate) {
+        try {
+            // In a savepoint, so when another request saves the same rate first, the unique index rejects this
+            // one without aborting the surrounding transaction, and that rate is updated instead
+            exchangeRate = await db.sequelize.transaction({ transaction }, (savepoint) => (
+                db.ExchangeRate.create({ ...where, rate }, { transaction: savepoint })
+            ));
+            return { exchangeRate, created: true };
+        } catch (err) {
+            if (!(err instanceof UniqueConstraintError)) throw err;
+            exchangeRate = await db.ExchangeRate.findOne({ where, transaction });
+        }
+    }
+    await exchangeRate.update({ rate }, { transaction });
+    return { exchangeRate, created: false };
+};
+
+/**
+ * Adds the legacy shared USD to KHR rate when there is no shared rate between USD and KHR, in either
+ * direction. Runs on every start, so new databases get it too.
+ */
+export const ensureLegacySharedRate = async () => {
+    const { fromCurrency, toCurrency } = LEGACY_SHARED_RATE;
+    const sharedRates = await db.ExchangeRate.count({
+        where: {
+            userId: null,
+            [Op.or]: [{ fromCurrency, toCurrency }, { fromCurrency: toCurrency, toCurrency: fromCurrency }]
+        }
+    });
+    if (sharedRates === 0) {
+        await saveExchangeRate(null, LEGACY_SHARED_RATE);
+    }
+};
+
+/**
+ * Loads a rate the user may delete: one of their own, or a shared one when `shared` is set (admins only).
+ *
+ * @throws {ApiError} 404 when the rate doesn't exist, 403 when it belongs to someone else or to the other scope
+ */
+export const findOwnedExchangeRate = async (userId, id, { shared = false } = {}) => {
+    const exchangeRate = await db.ExchangeRate.findByPk(id);
+
+    if (!exchangeRate) {
+        throw new ApiError(404, "Exchange rate not found");
+    }
+    if (exchangeRate.userId !== (shared ? null : userId)) {
+        throw new ApiError(403, shared
+            ? "Only shared exchange rates can be deleted here"
+            : "You don't have permission to delete this exchange rate");
+    }
+    return exchangeRate;
+};
+
+/**
+ * Parses the rows of a rate import. The header must name the columns from, to, rate and date, in any order.
+ *
+ * @param {string[][]} rows - Parsed CSV including the header row
+ * @returns {{ rates: object[], errors: { row: number, field: string, message: string }[] }}
+ * @throws {ApiError} 400 when the header is missing a column, the file is empty or too long
+ */
+export const parseExchangeRateRows = (rows) => {
+    const header = (rows[0] || []).map(name => name.trim().toLowerCase());
+    const columns = Object.fromEntries(['from', 'to', 'rate', 'date'].map(name => [name, header.indexOf(name)]));
+    const missing = Object.keys(columns).filter(name => columns[name] === -1);
+    if (missing.length > 0) {
+        throw new ApiError(400, `The header row is missing the column(s): ${missing.join(', ')}`);
+    }
+
+    const dataRows = rows.slice(1);
+    if (dataRows.length === 0) {
+        throw new ApiError(400, "The file contains no exchange rates");
+    }
+    if (dataRows.length > MAX_RATE_IMPORT_ROWS) {
+        throw new ApiError(400, `Too many rows. A single import is limited to ${MAX_RATE_IMPORT_ROWS} rates`);
+    }
+
+    const rates = new Map(); // a later row for the same pair and date replaces an earlier one
+    const errors = [];
+    dataRows.forEach((values, index) => {
+        const row = index + 2; // 1-based, after the header
+        try {
+            const input = Object.fromEntries(Object.entries(columns).map(([name, column]) => [name, values[column]]));
+            const rate = parseExchangeRateInput(input);
+            rates.set(`${pairKey(rate.fromCurrency, rate.toCurrency)}_${rate.date}`, rate);
+        } catch (err) {
+            if (!(err instanceof ApiError)) throw err;
+            errors.push({ row, field: err.details.field, message: err.message });
+        }
+    });
+
+    return { rates: [...rates.values()], errors };
+};
+
+/**
+ * Stores parsed import rows in one transaction.
+ *
+ * @param {string|null} userId - Owner, or null for shared rates
+ * @param {object[]} rates - From parseExchangeRateRows
+ * @returns {Promise<{ created: number, updated: number }>}
+ */
+export const importExchangeRates = (userId, rates) => db.sequelize.transaction(async (transaction) => {
+    let created = 0;
+    for (const rate of rates) {
+        const result = await saveExchangeRate(userId, rate, { transaction });
+        if (result.created) created += 1;
+    }
+    return { created, updated: rates.length - created };
+});
+
+/**
+ * Lists the rates visible to a user, newest first.
+ *
+ * @param {string} userId
+ * @param {object} query - Optional `from`, `to`, `startDate` and `endDate` filters
+ * @throws {ApiError} 400 when a filter value is invalid
+ */
+export const listExchangeRates = async (userId, query) => {
+    const where = { [Op.and]: [visibleTo(userId)] };
+    for (const [param, field] of [['from', 'fromCurrency'], ['to', 'toCurrency']]) {
+        if (!query[param]) continue;
+        const code = normalizeCurrencyCode(query[param]);
+        if (!isCurrencyCode(code)) {
+            throw new ApiError(400, `Unsupported currency "${query[param]}" in ${param}`);
+        }
+        where[field] = code;
+    }
+    for (const [param, op] of [['startDate', Op.gte], ['endDate', Op.lte]]) {
+        if (!query[param]) continue;
+        if (!isValidDate(query[param])) {
+            throw new ApiError(400, `${param} must be a valid date in YYYY-MM-DD format`);
+        }
+        where.date = { ...where.date, [op]: query[param] };
+    }
+
+    const rates = await db.ExchangeRate.findAll({
+        where,
+        order: [['date', 'DESC'], ['fromCurrency', 'ASC'], ['toCurrency', 'ASC'], ['id', 'ASC']]
+    });
+    return rates.map(rate => ({ ...rate.toJSON(), shared: rate.userId === null }));
+};
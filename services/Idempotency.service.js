@@ -0,0 +1,62 @@
+import { Op, UniqueConstraintError } from 'sequelize';
+import db from '../models/index.js';
+
+const DEFAULT_RETENTION_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours a stored response is replayed for (IDEMPOTENCY_KEY_RETENTION_HOURS); afterwards the key can be reused
+export const getIdempotencyRetentionHours = () => {
+    const hours = parseInt(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS);
+    return Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_RETENTION_HOURS;
+};
+
+const retentionCutoff = (now = new Date()) => new Date(now.getTime() - getIdempotencyRetentionHours() * HOUR_MS);
+
+// A request still unanswered after this long died with its process (a crash or a restart), so its key is
+// given to the next retry instead of answering "still being processed" until the key expires
+export const IN_FLIGHT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How often a claim is tried again when the entry that beat it is gone by the time it is read
+const MAX_CLAIM_ATTEMPTS = 3;
+
+const isExpired = (entry, now = new Date()) => entry.createdAt < retentionCutoff(now)
+    || (entry.status === null && entry.createdAt < new Date(now.getTime() - IN_FLIGHT_TIMEOUT_MS));
+
+/**
+ * Claims an idempotency key for a new request, or returns the entry of the request that already used it.
+ * An expired entry, or one whose request has been running for longer than IN_FLIGHT_TIMEOUT_MS, is
+ * replaced, as if the key had never been used.
+ *
+ * @param {string} userId
+ * @param {string} key - Idempotency-Key header
+ * @param {string} requestHash - Fingerprint of the request (see middleware/idempotency.js)
+ * @returns {Promise<{ entry: object, claimed: boolean }>} claimed is true when this request is the first
+ */
+export const claimIdempotencyKey = async (userId, key, requestHash) => {
+    let existing = await db.IdempotencyKey.findOne({ where: { userId, key } });
+
+    for (let attempt = 1; ; attempt++) {
+        if (existing && !isExpired(existing)) {
+            return { entry: existing, claimed: false };
+        }
+        if (existing) await existing.destroy();
+
+        try {
+            return { entry: await db.IdempotencyKey.create({ userId, key, requestHash }), claimed: true };
+        } catch (err) {
+            if (!(err instanceof UniqueConstraintError) || attempt === MAX_CLAIM_ATTEMPTS) throw err;
+        }
+        // Another request with the same key got there first. It may already have freed the key again
+        // (after a 5xx), and then the claim is tried once more
+        existing = await db.IdempotencyKey.findOne({ where: { userId, key } });
+    }
+};
+
+/**
+ * Deletes stored responses older than the retention period.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of keys removed
+ */
+export const purgeExpiredIdempotencyKeys = (now = new Date()) =>
+    db.IdempotencyKey.destroy({ where: { createdAt: { [Op.lt]: retentionCutoff(now) } } });
@@ -0,0 +1,214 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { normalizeDate, todayString } from '../utils/recurrence.js';
+
+export const MAX_PAYEE_NAME_LENGTH = 100;
+export const DEFAULT_SUGGESTION_LIMIT = 10;
+export const MAX_SUGGESTION_LIMIT = 50;
+
+// A payee used this many days ago weighs half as much as one used today
+const RECENCY_HALF_LIFE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a payee name, trimming it and collapsing runs of whitespace. The case is kept as typed.
+ *
+ * @throws {ApiError} 400 when the name is empty or too long
+ */
+export const parsePayeeName = (name) => {
+    const normalized = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+    if (!normalized) {
+        throw new ApiError(400, "Payee name is required");
+    }
+    if (normalized.length > MAX_PAYEE_NAME_LENGTH) {
+        throw new ApiError(400, `Payee name must be at most ${MAX_PAYEE_NAME_LENGTH} characters`);
+    }
+    return normalized;
+};
+
+// Condition matching a payee name case-insensitively, so "coffee" finds "Coffee"
+const nameIs = (name) => db.sequelize.where(db.sequelize.fn('lower', db.sequelize.col('name')), name.toLowerCase());
+
+/**
+ * Loads one of the user's payees.
+ *
+ * @throws {ApiError} 404 when the payee doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedPayee = async (userId, id, action, options = {}) => {
+    const payee = await db.Payee.findByPk(id, options);
+
+    if (!payee) {
+        throw new ApiError(404, "Payee not found");
+    }
+    if (payee.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this payee`);
+    }
+    return payee;
+};
+
+/**
+ * Finds one of the user's payees by name, ignoring case.
+ *
+ * @param {string} userId
+ * @param {string} name - Output of parsePayeeName
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object|null>}
+ */
+export const findPayeeByName = (userId, name, { transaction } = {}) => db.Payee.findOne({
+    where: { userId, [Op.and]: [nameIs(name)] },
+    transaction
+});
+
+/**
+ * Finds the user's payee with the given name, creating it on first use like tags.
+ *
+ * @param {string} userId
+ * @param {string} name - Raw payee name from the request
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object>} Payee instance
+ * @throws {ApiError} 400 when the name is invalid
+ */
+export const resolvePayee = async (userId, name, { transaction } = {}) => {
+    const parsed = parsePayeeName(name);
+    const existing = await findPayeeByName(userId, parsed, { transaction });
+    return existing || db.Payee.create({ name: parsed, userId }, { transaction });
+};
+
+/**
+ * Record count and latest record date of each payee, over records outside the trash.
+ *
+ * @param {string} userId
+ * @param {number[]} payeeIds
+ * @returns {Promise<Map<number, { recordCount: number, lastUsed: string }>>}
+ */
+export const getPayeeUsage = async (userId, payeeIds) => {
+    if (payeeIds.length === 0) return new Map();
+
+    const { sequelize } = db;
+    const rows = await db.Record.findAll({
+        attributes: [
+            'payeeId',
+            [sequelize.fn('COUNT', sequelize.col('id')), 'recordCount'],
+            [sequelize.fn('MAX', sequelize.col('date')), 'lastUsed']
+        ],
+        where: { userId, payeeId: { [Op.in]: payeeIds } },
+        group: ['payeeId'],
+        raw: true
+    });
+    return new Map(rows.map(row => [row.payeeId, {
+        recordCount: parseInt(row.recordCount),
+        lastUsed: normalizeDate(row.lastUsed)
+    }]));
+};
+
+/**
+ * Suggests the user's payees whose name contains `q`, most relevant first. Relevance combines how often
+ * and how recently a payee was used: each payee scores its record count, halved for every 30 days since
+ * its latest record. Payees without records come last, by name.
+ *
+ * @param {string} userId
+ * @param {object} query - Optional `q` (text to look for, any case) and `limit` (1-50, default 10)
+ * @returns {Promise<object[]>} Payees with `recordCount` and `lastUsed`
+ * @throws {ApiError} 400 when limit is invalid
+ */
+export const suggestPayees = async (userId, query) => {
+    const limit = query.limit === undefined ? DEFAULT_SUGGESTION_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTION_LIMIT) {
+        throw new ApiError(400, `limit must be an integer between 1 and ${MAX_SUGGESTION_LIMIT}`);
+    }
+
+    const where = { userId };
+    const text = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+    if (text) {
+        const pattern = `%${text.replace(/[\\%_]/g, character => `\\${character}`)}%`;
+        where[Op.and] = [db.sequelize.where(db.sequelize.fn('lower', db.sequelize.col('name')), { [Op.like]: pattern })];
+    }
+
+    const payees = await db.Payee.findAll({ where, order: [['name', 'ASC']] });
+    const usage = await getPayeeUsage(userId, payees.map(payee => payee.id));
+
+    const today = Date.parse(todayString());
+    const score = ({ recordCount, lastUsed }) => {
+        if (!recordCount) return 0;
+        const age = Math.max(0, (today - Date.parse(lastUsed)) / DAY_MS);
+        return recordCount * 0.5 ** (age / RECENCY_HALF_LIFE_DAYS);
+    };
+
+    return payees
+        .map(payee => ({ ...payee.toJSON(), recordCount: 0, lastUsed: null, ...usage.get(payee.id) }))
+        .map(payee => ({ payee, score: score(payee) }))
+        .sort((a, b) => b.score - a.score) // stable, so equal scores stay in name order
+        .slice(0, limit)
+        .map(({ payee }) => payee);
+};
+
+/**
+ * Points every record of the given payees at a new payee (null to clear it), trashed records included.
+ * Each record gets its own history entry.
+ *
+ * @returns {Promise<number>} Number of records changed
+ */
+const reassignPayeeRecords = async (userId, fromPayeeIds, payeeId, { transaction }) => {
+    const [count] = await db.Record.update({ payeeId }, {
+        where: { userId, payeeId: { [Op.in]: fromPayeeIds } },
+        paranoid: false,
+        individualHooks: true,
+        transaction,
+        actorId: userId
+    });
+    return count;
+};
+
+/**
+ * Deletes one of the user's payees. Its records are kept without a payee, and rules stop assigning it.
+ *
+ * @throws {ApiError} 404/403 from findOwnedPayee
+ */
+export const deleteUserPayee = async (userId, id) => {
+    const payee = await findOwnedPayee(userId, id, 'delete');
+    await db.sequelize.transaction(async (transaction) => {
+        await reassignPayeeRecords(userId, [payee.id], null, { transaction });
+        await db.Rule.update({ payeeId: null }, { where: { payeeId: payee.id }, transaction });
+        await payee.destroy({ transaction });
+    });
+};
+
+/**
+ * Merges duplicate payees into one: their records and rules move to the target payee and the duplicates
+ * are deleted.
+ *
+ * @param {string} userId
+ * @param {number|string} targetId - Payee to keep
+ * @param {number[]} sourceIds - Payees to merge into it
+ * @returns {Promise<{ payee: object, mergedPayees: number, movedRecords: number }>}
+ * @throws {ApiError} 400 when sourceIds is not a non-empty list of other payee ids,
+ *   404/403 when the target or a source is missing or belongs to someone else
+ */
+export const mergePayees = async (userId, targetId, sourceIds) => {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(id => Number.isInteger(Number(id)))) {
+        throw new ApiError(400, "sourceIds must be a non-empty array of payee ids");
+    }
+    const target = await findOwnedPayee(userId, targetId, 'update');
+    const ids = [...new Set(sourceIds.map(Number))];
+    if (ids.includes(target.id)) {
+        throw new ApiError(400, "A payee can't be merged into itself");
+    }
+
+    const sources = await db.Payee.findAll({ where: { id: { [Op.in]: ids } } });
+    const missing = ids.find(id => !sources.some(source => source.id === id));
+    if (missing !== undefined) {
+        throw new ApiError(404, `Payee ${missing} not found`);
+    }
+    if (sources.some(source => source.userId !== userId)) {
+        throw new ApiError(403, "You don't have permission to merge these payees");
+    }
+
+    const movedRecords = await db.sequelize.transaction(async (transaction) => {
+        const moved = await reassignPayeeRecords(userId, ids, target.id, { transaction });
+        await db.Rule.update({ payeeId: target.id }, { where: { payeeId: { [Op.in]: ids } }, transaction });
+        await db.Payee.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+        return moved;
+    });
+    return { payee: target, mergedPayees: ids.length, movedRecords };
+};
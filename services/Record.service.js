@@ -0,0 +1,916 @@
+import { Op, OptimisticLockError } from 'sequelize';
+import db from '../models/index.js';
+import { RECORD_TYPES } from '../models/Record.js';
+import ApiError from '../utils/ApiError.js';
+import { categoryWithDescendantIds, findCategoryByName } from './Category.service.js';
+import { MAX_TAG_LENGTH, parseTagList, resolveTags, setRecordTags, taggedRecordIds } from './Tag.service.js';
+import { buildSearch, tokenizeSearch } from '../utils/search.js';
+import { decodeCursor, encodeCursor } from '../utils/cursor.js';
+import { isValidDate, normalizeDate } from '../utils/recurrence.js';
+import { matchesIfMatch } from '../utils/etag.js';
+import { schema } from '../utils/validation.js';
+import { MONEY_SCALE, fromMinorUnits, moneyToNumber, parseMoney, toMinorUnits } from '../utils/money.js';
+import { currencyDecimals, isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { loadExchangeRates } from './ExchangeRate.service.js';
+import { resolveRecordAccounts } from './Account.service.js';
+import { MAX_PAYEE_NAME_LENGTH, resolvePayee } from './Payee.service.js';
+import { loadRuleSet } from './Rule.service.js';
+import { findOwnedView } from './SavedView.service.js';
+import { DATE_RANGES, resolveDateRange } from '../utils/dateRange.js';
+
+export const categoryInclude = {
+    model: db.Category,
+    attributes: ['id', 'name', 'color']
+};
+
+export const payeeInclude = {
+    model: db.Payee,
+    attributes: ['id', 'name']
+};
+
+export const splitInclude = {
+    model: db.RecordSplit,
+    attributes: ['id', 'amount', 'note', 'categoryId'],
+    // Own include object: Sequelize annotates includes in place, so they can't be shared within one query
+    include: [{ model: db.Category, attributes: ['id', 'name', 'color'] }]
+};
+
+export const tagInclude = {
+    model: db.Tag,
+    attributes: ['id', 'name', 'color'],
+    through: { attributes: [] }
+};
+
+// Subquery selecting the ids of split records, optionally only those with a line in one of the given categories
+const splitRecordIds = (categoryIds) => {
+    const { sequelize } = db;
+    const quote = (name) => sequelize.getQueryInterface().quoteIdentifier(name);
+    const condition = categoryIds === undefined
+        ? ''
+        : ` WHERE ${quote('categoryId')} IN (${categoryIds.map(id => sequelize.escape(id)).join(', ')})`;
+    return sequelize.literal(`(SELECT ${quote('recordId')} FROM ${quote(db.RecordSplit.getTableName())}${condition})`);
+};
+
+// Exact decimal value of an amount filter bound, or null when not given
+const parseAmountBound = (name, value) => {
+    if (!value) return null;
+    const exact = parseMoney(value, MONEY_SCALE);
+    if (exact === null) {
+        throw new ApiError(400, `${name} must be a number`);
+    }
+    return exact;
+};
+
+// The record list filters, as query parameters or as saved in a view
+export const RECORD_FILTERS = schema.object({
+    q: schema.string({ max: 200 }).optional(),
+    categoryId: schema.id().optional(),
+    includeSubcategories: schema.boolean().optional(),
+    accountId: schema.id().optional(),
+    payeeId: schema.id().optional(),
+    tags: schema.string().optional(),
+    allTags: schema.string().optional(),
+    anyTags: schema.string().optional(),
+    type: schema.commaList(schema.oneOf(RECORD_TYPES)).optional(),
+    minAmount: schema.money().optional(),
+    maxAmount: schema.money().optional(),
+    amountCurrency: schema.currency().optional(),
+    startDate: schema.date().optional(),
+    endDate: schema.date().optional(),
+    dateRange: schema.oneOf(DATE_RANGES).optional()
+});
+
+// Query parameters of the record list filters, for the routes that pass them to buildRecordFilters
+export const RECORD_FILTER_QUERY = RECORD_FILTERS.extend({
+    view: schema.id().optional()
+});
+
+const splitLine = schema.object({
+    amount: schema.money({ positive: true }),
+    category: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    note: schema.string({ min: 0, max: 255 }).nullable().optional()
+});
+
+// A new record, as sent to POST /records or /sync. Fields left out are filled in by the user's rules
+// (category, payee, tags) or the account (currency); partial() gives the fields of an update.
+export const RECORD_INPUT = schema.object({
+    title: schema.string({ max: 255 }),
+    type: schema.oneOf(RECORD_TYPES).optional(),
+    date: schema.date(),
+    currency: schema.currency().optional(),
+    amount: schema.money({ positive: true }),
+    note: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    category: schema.string({ min: 0, max: 255 }).nullable().optional(),
+    payee: schema.string({ min: 0, max: MAX_PAYEE_NAME_LENGTH }).nullable().optional(),
+    tags: schema.array(schema.string({ max: MAX_TAG_LENGTH })).nullable().optional(),
+    splits: schema.array(splitLine).nullable().optional(),
+    accountId: schema.id().nullable().optional(),
+    toAccountId: schema.id().nullable().optional(),
+    toAmount: schema.money({ positive: true }).nullable().optional()
+}).refine((record, { partial }) => (!partial && record.currency === undefined && !record.accountId
+    ? { field: 'currency', message: 'is required unless accountId is given' }
+    : null));
+
+/**
+ * Builds the where clause for the record list filters (search, category, account, payee, tags, type, amount range,
+ * date range).
+ * Shared by every endpoint that accepts the `GET /records` filters so they always agree.
+ *
+ * `view` applies the filters of a saved view; a filter also given in the query replaces the view's. A
+ * relative `dateRange` is only used when neither startDate nor endDate is given.
+ *
+ * @param {string} userId - Owner of the records
+ * @param {object} query - Request query parameters
+ * @returns {Promise<{ where: object, filters: object, rank: object|null, view: object|null }>} Sequelize where
+ *   clause, the normalized filters echoed in responses, a relevance expression to order by when searching, and
+ *   the saved view applied
+ * @throws {ApiError} 400 when a filter value is invalid, 404 or 403 when the view isn't one of the user's
+ */
+export const buildRecordFilters = async (userId, query) => {
+    const view = query.view ? await findOwnedView(userId, query.view, 'use') : null;
+    if (view) {
+        query = { ...view.filters, ...query };
+    }
+
+    // Filter parameters
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    const categoryId = query.categoryId;
+    const includeSubcategories = query.includeSubcategories === true;
+    const allTags = parseTagList([query.tags, query.allTags].filter(Boolean).join(','));
+    const anyTags = parseTagList(query.anyTags || '');
+    const type = query.type;
+    const minAmount = query.minAmount;
+    const maxAmount = query.maxAmount;
+    const dateRange = !query.startDate && !query.endDate ? query.dateRange : undefined;
+    const { startDate, endDate } = dateRange ? resolveDateRange(dateRange) : query;
+    const amountCurrency = query.amountCurrency;
+    const accountId = query.accountId;
+    const payeeId = query.payeeId;
+
+    let whereConditions = {
+        userId: userId // Only get records belonging to authenticated user
+    };
+
+    // Apply full-text search on title and note
+    let rank = null;
+    if (q) {
+        const words = tokenizeSearch(q);
+        if (words.length === 0) {
+            throw new ApiError(400, "Search query must contain letters or digits");
+        }
+        const search = buildSearch(db.sequelize, words);
+        whereConditions[Op.and] = [search.where];
+        rank = search.rank;
+    }
+    
+    // Apply category filter by ID (optimized for performance), optionally with every category below it.
+    // A split record matches through its split lines instead of its own category.
+    if (categoryId) {
+        const categoryIds = includeSubcategories
+            ? categoryWithDescendantIds(parseInt(categoryId), await db.Category.findAll({ where: { userId }, attributes: ['id', 'parentId'] }))
+            : [parseInt(categoryId)];
+        whereConditions[Op.and] = [...(whereConditions[Op.and] || []), {
+            [Op.or]: [
+                { categoryId: { [Op.in]: categoryIds }, id: { [Op.notIn]: splitRecordIds() } },
+                { id: { [Op.in]: splitRecordIds(categoryIds) } }
+            ]
+        }];
+    }
+
+    // Apply tag filters: tags/allTags require every listed tag, anyTags at least one of them
+    const tagConditions = allTags.map(name => ({ id: { [Op.in]: taggedRecordIds(userId, [name]) } }));
+    if (anyTags.length > 0) {
+        tagConditions.push({ id: { [Op.in]: taggedRecordIds(userId, anyTags) } });
+    }
+    if (tagConditions.length > 0) {
+        whereConditions[Op.and] = [...(whereConditions[Op.and] || []), ...tagConditions];
+    }
+
+    // Apply account filter: records paid from the account and transfers into it
+    if (accountId) {
+        if (!Number.isInteger(Number(accountId))) {
+            throw new ApiError(400, "accountId must be an integer");
+        }
+        whereConditions[Op.and] = [...(whereConditions[Op.and] || []), {
+            [Op.or]: [{ accountId: Number(accountId) }, { toAccountId: Number(accountId) }]
+        }];
+    }
+
+    // Apply payee filter
+    if (payeeId) {
+        if (!Number.isInteger(Number(payeeId))) {
+            throw new ApiError(400, "payeeId must be an integer");
+        }
+        whereConditions.payeeId = Number(payeeId);
+    }
+
+    // Apply record type filter (single type or comma-separated list)
+    if (type) {
+        const types = type.split(',').map(t => t.trim());
+        const invalidType = types.find(t => !RECORD_TYPES.includes(t));
+        if (invalidType) {
+            throw new ApiError(400, `Invalid record type "${invalidType}". Expected one of: ${RECORD_TYPES.join(', ')}`);
+        }
+        whereConditions.type = types.length === 1 ? types[0] : { [Op.in]: types };
+    }
+    
+    // Apply amount range filter with currency conversion: a record matches when the bounds, converted into
+    // the record's currency at the rate on the record's date, contain its amount. There is one condition per
+    // currency and period with a single rate. Records that can't be converted on their date are left out.
+    let minAmountExact = null;
+    let maxAmountExact = null;
+    if (minAmount || maxAmount) {
+        const fromCurrency = amountCurrency ? parseCurrencyInput(amountCurrency) : 'USD';
+        minAmountExact = parseAmountBound('minAmount', minAmount);
+        maxAmountExact = parseAmountBound('maxAmount', maxAmount);
+
+        const currencies = (await db.Record.findAll({
+            where: { userId }, attributes: ['currency'], group: ['currency'], raw: true
+        })).map(row => row.currency);
+        const rates = await loadExchangeRates(userId, { currencies: [...new Set([fromCurrency, ...currencies])] });
+
+        const amountConditions = currencies.flatMap(currency => rates.periods(fromCurrency, currency).map(period => {
+            const range = {};
+            if (minAmountExact !== null) range[Op.gte] = period.convert(minAmountExact, MONEY_SCALE);
+            if (maxAmountExact !== null) range[Op.lte] = period.convert(maxAmountExact, MONEY_SCALE);
+            const dates = {};
+            if (period.start) dates[Op.gte] = period.start;
+            if (period.end) dates[Op.lt] = period.end;
+            return { [Op.and]: [{ currency }, { amount: range }, ...(period.start || period.end ? [{ date: dates }] : [])] };
+        }));
+        whereConditions[Op.and] = [...(whereConditions[Op.and] || []), { [Op.or]: amountConditions }];
+    }
+    
+    // Note: Currency filtering is now handled in the amount range filter above
+    // No separate currency filter needed
+    
+    // Apply date range filter
+    if (startDate || endDate) {
+        whereConditions.date = {};
+        if (startDate) {
+            whereConditions.date[Op.gte] = new Date(startDate);
+        }
+        if (endDate) {
+            // Add time to end date to include the entire day
+            const endDateTime = new Date(endDate);
+            endDateTime.setHours(23, 59, 59, 999);
+            whereConditions.date[Op.lte] = endDateTime;
+        }
+    }
+
+    return {
+        where: whereConditions,
+        rank,
+        view,
+        filters: {
+            view: view ? view.id : null,
+            q: q || null,
+            categoryId: categoryId ? parseInt(categoryId) : null,
+            includeSubcategories,
+            accountId: accountId ? Number(accountId) : null,
+            payeeId: payeeId ? Number(payeeId) : null,
+            allTags: allTags.length > 0 ? allTags : null,
+            anyTags: anyTags.length > 0 ? anyTags : null,
+            type: type || null,
+            minAmount: minAmountExact !== null ? moneyToNumber(minAmountExact) : null,
+            maxAmount: maxAmountExact !== null ? moneyToNumber(maxAmountExact) : null,
+            startDate: startDate || null,
+            endDate: endDate || null,
+            dateRange: dateRange || null,
+            amountCurrency: amountCurrency ? normalizeCurrencyCode(amountCurrency) : null
+        }
+    };
+};
+
+/**
+ * Walks through every record matching `where` in (date, id) order, one batch at a time, using
+ * keyset pagination so memory use stays flat however long the history is.
+ *
+ * @param {object} where - Sequelize where clause, usually from buildRecordFilters
+ * @param {function(Array): (Promise<boolean|void>|boolean|void)} handler - Called with each batch; return false to stop early
+ * @param {number} [batchSize=500]
+ */
+export const forEachRecordBatch = async (where, handler, batchSize = 500) => {
+    let last = null;
+
+    while (true) {
+        const after = last && {
+            [Op.or]: [
+                { date: { [Op.gt]: last.date } },
+                { date: last.date, id: { [Op.gt]: last.id } }
+            ]
+        };
+        const batch = await db.Record.findAll({
+            where: after ? { [Op.and]: [where, after] } : where,
+            include: [categoryInclude, payeeInclude],
+            order: [['date', 'ASC'], ['id', 'ASC']],
+            limit: batchSize
+        });
+        if (batch.length === 0) return;
+
+        const keepGoing = await handler(batch);
+        if (keepGoing === false || batch.length < batchSize) return;
+        last = batch[batch.length - 1];
+    }
+};
+
+// Sort fields that can be used for cursor pagination, with the check a cursor value must pass
+const CURSOR_FIELDS = {
+    id: (value) => Number.isInteger(value),
+    date: isValidDate,
+    amount: (value) => typeof value === 'number' && Number.isFinite(value),
+    title: (value) => typeof value === 'string'
+};
+
+const cursorValue = (record, field) => (field === 'date' ? normalizeDate(record.date) : record[field]);
+
+/**
+ * Loads one page of records using keyset (cursor) pagination on (sortBy, id).
+ * Unlike limit/offset, pages stay stable while records are added or removed, and no count is needed.
+ *
+ * @param {object} where - Where clause from buildRecordFilters
+ * @param {object} options
+ * @param {string} options.sortBy - One of the CURSOR_FIELDS
+ * @param {'ASC'|'DESC'} options.sort
+ * @param {number} options.pageSize
+ * @param {string} [options.cursor] - nextCursor/prevCursor from a previous page; omit for the first page
+ * @returns {Promise<{ records: object[], nextCursor: string|null, prevCursor: string|null }>}
+ * @throws {ApiError} 400 when the cursor is invalid or was issued for a different sort
+ */
+export const findRecordPageByCursor = async (where, { sortBy, sort, pageSize, cursor }) => {
+    if (!CURSOR_FIELDS[sortBy]) {
+        throw new ApiError(400, `Cursor pagination is not supported when sorting by ${sortBy}`);
+    }
+
+    let position = null;
+    if (cursor) {
+        position = decodeCursor(cursor);
+        if (position.sortBy !== sortBy || position.sort !== sort) {
+            throw new ApiError(400, "Cursor does not match the current sortBy/sort parameters");
+        }
+        if (!['next', 'prev'].includes(position.direction) || !Number.isInteger(position.id)
+            || !CURSOR_FIELDS[sortBy](position.value)) {
+            throw new ApiError(400, "Invalid cursor");
+        }
+    }
+
+    // Walking backwards means reading in the opposite order, then flipping the page back
+    const backwards = position?.direction === 'prev';
+    const ascending = (sort === 'ASC') !== backwards;
+    const beyond = ascending ? Op.gt : Op.lt;
+
+    let after = null;
+    if (position) {
+        after = sortBy === 'id'
+            ? { id: { [beyond]: position.id } }
+            : {
+                [Op.or]: [
+                    { [sortBy]: { [beyond]: position.value } },
+                    { [sortBy]: position.value, id: { [beyond]: position.id } }
+                ]
+            };
+    }
+
+    const direction = ascending ? 'ASC' : 'DESC';
+    const rows = await db.Record.findAll({
+        where: after ? { [Op.and]: [where, after] } : where,
+        include: [categoryInclude, payeeInclude, splitInclude, tagInclude],
+        order: sortBy === 'id' ? [['id', direction]] : [[sortBy, direction], ['id', direction]],
+        // One extra row tells us whether another page exists in this direction
+        limit: pageSize + 1
+    });
+
+    const hasMore = rows.length > pageSize;
+    const records = rows.slice(0, pageSize);
+    if (backwards) records.reverse();
+
+    const cursorFor = (record, dir) => encodeCursor({
+        sortBy, sort, direction: dir, value: cursorValue(record, sortBy), id: record.id
+    });
+    const first = records[0];
+    const last = records[records.length - 1];
+
+    // Coming from a cursor means there is a page on the side we came from
+    const hasNext = backwards ? Boolean(position) : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(position);
+
+    return {
+        records,
+        nextCursor: hasNext && last ? cursorFor(last, 'next') : null,
+        prevCursor: hasPrev && first ? cursorFor(first, 'prev') : null
+    };
+};
+
+export const findRecordWithCategory = (id, options = {}) => {
+    return db.Record.findByPk(id, { include: [categoryInclude, payeeInclude, splitInclude, tagInclude], ...options });
+};
+
+/**
+ * Loads a record and makes sure it belongs to the user.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Record ID
+ * @param {string} action - Verb used in the permission error ("update", "delete", "access")
+ * @param {object} [options] - Extra findByPk options such as `transaction`
+ * @throws {ApiError} 404 when the record doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedRecord = async (userId, id, action, options = {}) => {
+    // First check if the record exists at all
+    const record = await db.Record.findByPk(id, options);
+
+    if (!record) {
+        throw new ApiError(404, "Record not found");
+    }
+
+    // Then check if the user has permission to access this record
+    if (record.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this record`);
+    }
+    return record;
+};
+
+/**
+ * The 412 answer to a write based on an outdated version of a record, carrying the record as it is now.
+ *
+ * @returns {Promise<ApiError>}
+ */
+const staleRecordError = async (id, { transaction } = {}) => new ApiError(
+    412,
+    "The record was changed since you loaded it. Review the current version and try again",
+    { current: await findRecordWithCategory(id, { transaction }) }
+);
+
+/**
+ * Runs a write on a record only when the client's If-Match still matches the record's version, and turns
+ * a concurrent change caught by optimistic locking into the same 412.
+ *
+ * @param {object} record
+ * @param {string} [ifMatch] - If-Match header; without it the write always goes ahead
+ * @param {object} options - `transaction` the write runs in, if any
+ * @param {function(): Promise} write
+ * @throws {ApiError} 412 with the current record in `current`
+ */
+const writeIfCurrent = async (record, ifMatch, { transaction }, write) => {
+    if (!matchesIfMatch(ifMatch, record)) {
+        throw await staleRecordError(record.id, { transaction });
+    }
+    try {
+        return await write();
+    } catch (err) {
+        if (err instanceof OptimisticLockError) throw await staleRecordError(record.id, { transaction });
+        throw err;
+    }
+};
+
+// Runs `work` in the caller's transaction, or in a new one so multi-step writes stay atomic
+const withTransaction = (transaction, work) =>
+    (transaction ? work(transaction) : db.sequelize.transaction(work));
+
+const assertValidType = (type) => {
+    if (type !== undefined && !RECORD_TYPES.includes(type)) {
+        throw new ApiError(400, `Invalid record type "${type}". Expected one of: ${RECORD_TYPES.join(', ')}`);
+    }
+};
+
+/**
+ * Normalizes a currency from the request to its upper-case ISO 4217 code.
+ *
+ * @throws {ApiError} 400 when it isn't a known currency
+ */
+export const parseCurrencyInput = (currency) => {
+    const code = normalizeCurrencyCode(currency);
+    if (!isCurrencyCode(code)) {
+        throw new ApiError(400, `Unsupported currency "${currency}". Use an ISO 4217 code such as USD, EUR or THB`);
+    }
+    return code;
+};
+
+// Rounds an amount from the request to the currency's decimal places; throws when it isn't a number
+const parseAmountInput = (amount, currency) => {
+    const exact = parseMoney(amount, currencyDecimals(currency));
+    if (exact === null) {
+        throw new ApiError(400, "Amount must be a number");
+    }
+    return exact;
+};
+
+// Stored amounts compared exactly, at the column scale
+const sameAmount = (a, b) => toMinorUnits(a, MONEY_SCALE) === toMinorUnits(b, MONEY_SCALE);
+
+/**
+ * Validates split lines against the record amount and resolves their category names.
+ *
+ * @param {string} userId
+ * @param {object[]} splits - Lines of { amount, category (name), note }
+ * @param {number|string} total - Record amount the lines must add up to
+ * @param {string} currency - Record currency; line amounts are rounded to its decimal places
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object[]>} Rows ready for RecordSplit.create (without recordId)
+ * @throws {ApiError} 400 when a line is invalid, a category is unknown or the lines don't add up
+ */
+const resolveSplits = async (userId, splits, total, currency, { transaction } = {}) => {
+    const decimals = currencyDecimals(currency);
+    if (!Array.isArray(splits)) {
+        throw new ApiError(400, "splits must be an array of { amount, category, note } lines");
+    }
+    if (splits.length < 2) {
+        throw new ApiError(400, "A split needs at least two lines");
+    }
+
+    const rows = [];
+    for (const [index, line] of splits.entries()) {
+        const amount = parseMoney(line?.amount, decimals);
+        if (amount === null || toMinorUnits(amount, decimals) <= 0n) {
+            throw new ApiError(400, `Split line ${index + 1}: amount must be a positive number`);
+        }
+
+        let categoryId = null;
+        if (line.category) {
+            const foundCategory = await findCategoryByName(userId, line.category, { transaction });
+            if (!foundCategory) {
+                throw new ApiError(400, `Split line ${index + 1}: category "${line.category}" not found`);
+            }
+            categoryId = foundCategory.id;
+        }
+        rows.push({ amount, categoryId, note: line.note ?? null });
+    }
+
+    const sum = rows.reduce((acc, row) => acc + toMinorUnits(row.amount, decimals), 0n);
+    if (sum !== toMinorUnits(total, decimals)) {
+        throw new ApiError(400, `Split lines add up to ${fromMinorUnits(sum, decimals)} but the record amount is ${parseMoney(total, decimals)}`);
+    }
+    return rows;
+};
+
+// Replaces the split lines of a record
+const replaceSplits = async (record, rows, { transaction } = {}) => {
+    await db.RecordSplit.destroy({ where: { recordId: record.id }, transaction });
+    if (rows.length > 0) {
+        await db.RecordSplit.bulkCreate(rows.map(row => ({ ...row, recordId: record.id })), { transaction });
+    }
+};
+
+/**
+ * Creates a record for the user, resolving the category by name within the user's categories.
+ * The user's rules fill in the category, payee and tags the input leaves out (see loadRuleSet).
+ *
+ * @param {string} userId
+ * @param {object} input - title, type, date, currency, amount, note, category (name), payee (name), tags (names),
+ *   splits (lines of { amount, category, note } adding up to amount), accountId, and for transfers
+ *   toAccountId and toAmount (see resolveRecordAccounts). currency defaults to the account's
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object>} The created Record
+ * @throws {ApiError} 400 on missing fields, invalid type, unknown category, invalid payee, invalid tags,
+ *   invalid splits or invalid accounts
+ */
+export const createUserRecord = async (userId, input, { transaction } = {}) => {
+    const { title, date, currency, amount, category, payee, type, note, tags, splits, accountId, toAccountId, toAmount } = input;
+
+    if (!title || !date || !(currency || accountId) || !amount) {
+        throw new ApiError(400, "Missing required fields: title, date, currency, amount");
+    }
+    assertValidType(type);
+    const accounts = await resolveRecordAccounts(userId, {
+        type: type || 'expense',
+        date,
+        currency: currency ? parseCurrencyInput(currency) : undefined,
+        amount,
+        accountId,
+        toAccountId,
+        toAmount
+    }, { transaction });
+    const code = accounts.currency;
+    const exactAmount = parseAmountInput(amount, code);
+    const assigned = (await loadRuleSet(userId, { transaction })).evaluate({ title, note, amount: exactAmount, currency: code });
+
+    let categoryId = null;
+    if (category) {
+        const foundCategory = await findCategoryByName(userId, category, { transaction });
+        if (!foundCategory) {
+            throw new ApiError(400, `Category "${category}" not found. Please create it first or use existing categories like "Food", "Gas", "Services"`);
+        }
+        categoryId = foundCategory.id;
+    } else if (splits === undefined || splits === null) {
+        categoryId = assigned.categoryId;
+    }
+    const recordTags = tags ?? (assigned.tags.length > 0 ? assigned.tags : null);
+
+    return withTransaction(transaction, async (t) => {
+        const payeeId = payee ? (await resolvePayee(userId, payee, { transaction: t })).id : assigned.payeeId;
+        const record = await db.Record.create({
+            title,
+            type: type || 'expense',
+            date,
+            currency: code,
+            amount: exactAmount,
+            note,
+            categoryId: categoryId,
+            accountId: accounts.accountId,
+            toAccountId: accounts.toAccountId,
+            toAmount: accounts.toAmount,
+            payeeId,
+            userId: userId
+        }, { transaction: t, actorId: userId });
+
+        if (recordTags !== null) {
+            await setRecordTags(record, userId, recordTags, { transaction: t });
+        }
+        if (splits !== undefined && splits !== null) {
+            await replaceSplits(record, await resolveSplits(userId, splits, exactAmount, code, { transaction: t }), { transaction: t });
+        }
+        return record;
+    });
+};
+
+/**
+ * Updates the given fields of one of the user's records. Undefined fields are left unchanged;
+ * a null or empty category (or payee) removes it.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Record ID
+ * @param {object} input - Any of title, type, date, currency, amount, note, category (name), payee (name),
+ *   tags (names; replaces all tags, null or [] removes them), splits (replaces all lines, null or [] removes them),
+ *   accountId, toAccountId, toAmount (null removes them)
+ * @param {object} [options] - `transaction` to run in, and `ifMatch` (If-Match header) to only write over
+ *   the version the client has seen
+ * @returns {Promise<object>} The updated Record
+ * @throws {ApiError} 404/403 from findOwnedRecord, 400 on invalid type, unknown category, invalid payee,
+ *   invalid tags, splits that no longer add up to the amount or invalid accounts, 412 when the record
+ *   changed since the client's version
+ */
+export const updateUserRecord = async (userId, id, input, { transaction, ifMatch } = {}) => {
+    const { title, date, currency, amount, note, category, payee, type, tags, splits, accountId, toAccountId, toAmount } = input;
+
+    const record = await findOwnedRecord(userId, id, 'update', { transaction });
+    assertValidType(type);
+
+    // Handle category update if provided
+    let categoryId = record.categoryId; // Keep existing category by default
+
+    if (category !== undefined) {
+        if (category === null || category === '') {
+            // User wants to remove category
+            categoryId = null;
+        } else {
+            // User wants to update to a specific category
+            const foundCategory = await findCategoryByName(userId, category, { transaction });
+            if (!foundCategory) {
+                throw new ApiError(400, `Category "${category}" not found. Please create it first or use existing categories.`);
+            }
+            categoryId = foundCategory.id;
+        }
+    }
+
+    // Prepare update data
+    const updateData = {};
+    if (title !== undefined) updateData.title = title;
+    if (type !== undefined) updateData.type = type;
+    if (date !== undefined) updateData.date = date;
+    if (currency !== undefined) updateData.currency = parseCurrencyInput(currency);
+    if (amount !== undefined) {
+        updateData.amount = parseAmountInput(amount, updateData.currency || record.currency);
+    } else if (updateData.currency) {
+        // Keep the amount within the new currency's decimal places
+        const rounded = parseAmountInput(record.amount, updateData.currency);
+        if (!sameAmount(rounded, record.amount)) updateData.amount = rounded;
+    }
+    if (note !== undefined) updateData.note = note;
+    if (category !== undefined) updateData.categoryId = categoryId;
+
+    // Re-check the accounts against the record as it will be. A transfer's toAmount is converted again
+    // when the amount, date, currency or accounts change without a new toAmount.
+    const moved = [date, currency, amount, accountId, toAccountId].some(value => value !== undefined);
+    if (moved || type !== undefined || toAmount !== undefined) {
+        const accounts = await resolveRecordAccounts(userId, {
+            type: updateData.type ?? record.type,
+            date: updateData.date ?? record.date,
+            currency: updateData.currency ?? record.currency,
+            amount: updateData.amount ?? record.amount,
+            accountId: accountId !== undefined ? accountId : record.accountId,
+            toAccountId: toAccountId !== undefined ? toAccountId : record.toAccountId,
+            toAmount: toAmount !== undefined ? toAmount : (moved ? null : record.toAmount)
+        }, { transaction });
+        updateData.accountId = accounts.accountId;
+        updateData.toAccountId = accounts.toAccountId;
+        updateData.toAmount = accounts.toAmount;
+    }
+
+    return writeIfCurrent(record, ifMatch, { transaction }, () => withTransaction(transaction, async (t) => {
+        if (payee !== undefined) {
+            updateData.payeeId = payee === null || payee === '' ? null : (await resolvePayee(userId, payee, { transaction: t })).id;
+        }
+        record.set(updateData);
+        // Tags and splits live in other tables; touching the record still gives it a new version
+        if (tags !== undefined || splits !== undefined) record.changed('updatedAt', true);
+        await record.save({ transaction: t, actorId: userId });
+        if (tags !== undefined) {
+            await setRecordTags(record, userId, tags ?? [], { transaction: t });
+        }
+
+        if (splits !== undefined) {
+            const rows = splits === null || (Array.isArray(splits) && splits.length === 0)
+                ? []
+                : await resolveSplits(userId, splits, record.amount, record.currency, { transaction: t });
+            await replaceSplits(record, rows, { transaction: t });
+        } else if (updateData.amount !== undefined) {
+            // Existing split lines must still add up to the new amount
+            const lines = await db.RecordSplit.findAll({ where: { recordId: record.id }, transaction: t });
+            const sum = lines.reduce((acc, line) => acc + toMinorUnits(line.amount, MONEY_SCALE), 0n);
+            if (lines.length > 0 && sum !== toMinorUnits(record.amount, MONEY_SCALE)) {
+                throw new ApiError(400, "The record amount no longer matches its split lines. Send new splits together with the amount");
+            }
+        }
+        return record;
+    }));
+};
+
+/**
+ * Moves one of the user's records to the trash. Its splits, tags and attachments stay with it
+ * until it is restored or purged.
+ *
+ * @param {string} userId
+ * @param {number|string} id - Record ID
+ * @param {object} [options] - `transaction` to run in, and `ifMatch` as for updateUserRecord
+ * @throws {ApiError} 404/403 from findOwnedRecord, 412 when the record changed since the client's version
+ */
+export const deleteUserRecord = async (userId, id, { transaction, ifMatch } = {}) => {
+    const record = await findOwnedRecord(userId, id, 'delete', { transaction });
+    await writeIfCurrent(record, ifMatch, { transaction }, () => record.destroy({ transaction, actorId: userId }));
+    return record;
+};
+
+// Changes listed in full by applyRulesToUserRecords; the counts cover every record
+export const MAX_RULE_CHANGES_LISTED = 100;
+
+/**
+ * Runs the user's rules over existing records matching the `GET /records` filters. By default rules only
+ * fill in a missing category or payee; with `overwrite` they replace it. Tags are only ever added, and
+ * split records keep their (unused) category. Records are updated one at a time, each with a history entry.
+ *
+ * @param {string} userId
+ * @param {object} query - Record filters, as for buildRecordFilters
+ * @param {object} [options]
+ * @param {number[]} [options.ruleIds] - Only run these rules, enabled or not (default: every enabled rule)
+ * @param {boolean} [options.overwrite=false]
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @returns {Promise<object>} `matched` and `changed` record counts and the first changes
+ * @throws {ApiError} 400 on invalid filters, 404 when a rule in ruleIds doesn't exist
+ */
+export const applyRulesToUserRecords = async (userId, query, { ruleIds, overwrite = false, dryRun = false } = {}) => {
+    const { where } = await buildRecordFilters(userId, query);
+    const ruleSet = await loadRuleSet(userId, { ids: ruleIds });
+    const missing = ruleIds?.find(id => !ruleSet.rules.some(rule => rule.id === id));
+    if (missing !== undefined) {
+        throw new ApiError(404, `Rule ${missing} not found`);
+    }
+
+    let matched = 0;
+    let changed = 0;
+    const changes = [];
+    await forEachRecordBatch(where, async (records) => {
+        const ids = records.map(record => record.id);
+        const splitRows = await db.RecordSplit.findAll({ where: { recordId: { [Op.in]: ids } }, attributes: ['recordId'], raw: true });
+        const splitIds = new Set(splitRows.map(row => row.recordId));
+        const recordTags = await db.RecordTag.findAll({ where: { recordId: { [Op.in]: ids } }, raw: true });
+        const tags = await db.Tag.findAll({ where: { id: { [Op.in]: recordTags.map(row => row.tagId) } }, attributes: ['id', 'name'] });
+        const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+        const tagsByRecord = new Map();
+        recordTags.forEach(row => {
+            tagsByRecord.set(row.recordId, [...(tagsByRecord.get(row.recordId) || []), tagNames.get(row.tagId)]);
+        });
+
+        for (const record of records) {
+            const assigned = ruleSet.evaluate(record);
+            if (assigned.ruleIds.length === 0) continue;
+            matched += 1;
+
+            const update = {};
+            const replaces = (field) => assigned[field] !== null && record[field] !== assigned[field]
+                && (overwrite || record[field] === null);
+            if (!splitIds.has(record.id) && replaces('categoryId')) update.categoryId = assigned.categoryId;
+            if (replaces('payeeId')) update.payeeId = assigned.payeeId;
+            const current = tagsByRecord.get(record.id) || [];
+            const addedTags = assigned.tags.filter(tag => !current.includes(tag));
+            if (Object.keys(update).length === 0 && addedTags.length === 0) continue;
+
+            changed += 1;
+            if (changes.length < MAX_RULE_CHANGES_LISTED) {
+                changes.push({
+                    id: record.id,
+                    title: record.title,
+                    ruleIds: assigned.ruleIds,
+                    changes: Object.fromEntries(Object.entries(update).map(([field, to]) => [field, { from: record[field], to }])),
+                    addedTags
+                });
+            }
+            if (dryRun) continue;
+
+            await db.sequelize.transaction(async (transaction) => {
+                if (Object.keys(update).length > 0) {
+                    await record.update(update, { transaction, actorId: userId });
+                }
+                if (addedTags.length > 0) {
+                    await record.addTags(await resolveTags(userId, addedTags, { transaction }), { transaction });
+                }
+            });
+        }
+    });
+
+    return { dryRun, matched, changed, changes };
+};
+
+// Columns a revert puts back; ownership and recurring bookkeeping are never rewritten
+const REVERTIBLE_FIELDS = ['title', 'type', 'date', 'currency', 'amount', 'note', 'categoryId', 'accountId', 'toAccountId', 'toAmount', 'payeeId'];
+
+const historyInclude = {
+    model: db.User,
+    as: 'actor',
+    attributes: ['id', 'username']
+};
+
+/**
+ * Loads the change history of one of the user's records, oldest first. Works for trashed and purged records too.
+ * Records created before history was kept have no entries until their next change.
+ *
+ * @throws {ApiError} 404 when the record doesn't exist and has no history, 403 when it belongs to someone else
+ */
+export const getUserRecordHistory = async (userId, id) => {
+    const entries = await db.AuditLog.findAll({
+        where: { entityType: 'Record', entityId: id },
+        include: [historyInclude],
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    try {
+        await findOwnedRecord(userId, id, 'access', { paranoid: false });
+    } catch (err) {
+        // A purged record is gone, but its history still tells whose it was
+        if (!(err instanceof ApiError) || err.status !== 404 || entries.length === 0) throw err;
+        if (entries[0].userId !== userId) {
+            throw new ApiError(403, "You don't have permission to access this record");
+        }
+    }
+    return entries;
+};
+
+/**
+ * Puts one of the user's records back in the state recorded by one of its history entries.
+ * The revert itself becomes a new history entry (action "revert").
+ *
+ * @param {string} userId
+ * @param {number|string} id - Record ID
+ * @param {number|string} entryId - AuditLog entry whose resulting state to restore
+ * @returns {Promise<object>} The updated Record
+ * @throws {ApiError} 404/403 from findOwnedRecord, 404 for an unknown entry,
+ *   400 when the entry has no state to return to, 409 when the record is split and the amount would change
+ */
+export const revertUserRecord = async (userId, id, entryId) => {
+    const record = await findOwnedRecord(userId, id, 'update');
+    const entry = await db.AuditLog.findOne({
+        where: { id: entryId, entityType: 'Record', entityId: record.id }
+    });
+    if (!entry) {
+        throw new ApiError(404, "History entry not found");
+    }
+    if (!entry.after) {
+        throw new ApiError(400, "This history entry deleted the record; restore it from the trash instead");
+    }
+
+    // Entries from before a field existed don't mention it
+    const target = Object.fromEntries(REVERTIBLE_FIELDS.map(field => [field, entry.after[field] ?? null]));
+
+    // A category purged since then can't be reattached
+    if (target.categoryId !== null) {
+        const category = await db.Category.findByPk(target.categoryId, { paranoid: false });
+        if (!category) target.categoryId = null;
+    }
+    // Neither can a deleted account; without its paying account a transfer loses both sides
+    if (target.accountId !== null && !await db.Account.findByPk(target.accountId)) {
+        target.accountId = null;
+    }
+    if (target.toAccountId !== null && (target.accountId === null || !await db.Account.findByPk(target.toAccountId))) {
+        target.toAccountId = null;
+        target.toAmount = null;
+    }
+
+    // A payee deleted or merged away since then is dropped
+    if (target.payeeId !== null && !await db.Payee.findByPk(target.payeeId)) {
+        target.payeeId = null;
+    }
+
+    return db.sequelize.transaction(async (transaction) => {
+        if (!sameAmount(target.amount, record.amount)) {
+            const splitCount = await db.RecordSplit.count({ where: { recordId: record.id }, transaction });
+            if (splitCount > 0) {
+                throw new ApiError(409, "Reverting would change the amount of a split record. Update or remove its splits first");
+            }
+        }
+        await record.update(target, {
+            transaction,
+            actorId: userId,
+            auditAction: 'revert',
+            revertedToId: entry.id
+        });
+        return record;
+    });
+};
@@ -0,0 +1,260 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { RULE_MATCH_FIELDS, RULE_MATCH_TYPES } from '../models/Rule.js';
+import ApiError from '../utils/ApiError.js';
+import { currencyDecimals, isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { MONEY_SCALE, parseMoney, toMinorUnits } from '../utils/money.js';
+import { findRegexRisk, MAX_REGEX_TEXT_LENGTH } from '../utils/regex.js';
+import { findCategoryByName } from './Category.service.js';
+import { resolvePayee } from './Payee.service.js';
+import { parseTagName } from './Tag.service.js';
+
+export const MAX_RULE_NAME_LENGTH = 100;
+export const MAX_RULE_PATTERN_LENGTH = 200;
+export const MAX_RULE_TAGS = 20;
+
+// Fields of a new rule the request leaves out
+const RULE_DEFAULTS = {
+    matchField: 'title',
+    matchType: 'contains',
+    pattern: null,
+    currency: null,
+    minAmount: null,
+    maxAmount: null,
+    categoryId: null,
+    payeeId: null,
+    tags: []
+};
+
+/**
+ * Loads one of the user's rules.
+ *
+ * @throws {ApiError} 404 when the rule doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedRule = async (userId, id, action, options = {}) => {
+    const rule = await db.Rule.findByPk(id, options);
+
+    if (!rule) {
+        throw new ApiError(404, "Rule not found");
+    }
+    if (rule.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this rule`);
+    }
+    return rule;
+};
+
+// Optional amount bound of a rule, rounded to the rule's currency
+const parseAmountBound = (name, value, currency) => {
+    if (value === null || value === '') return null;
+    const exact = parseMoney(value, currency ? currencyDecimals(currency) : MONEY_SCALE);
+    if (exact === null || toMinorUnits(exact, MONEY_SCALE) < 0n) {
+        throw new ApiError(400, `${name} must be a non-negative number`);
+    }
+    return exact;
+};
+
+/**
+ * Validates the fields of a rule from the request and resolves its category and payee names. Only the
+ * given fields are returned, so it serves both create and update; the checks that span several fields
+ * run on the rule as it will be once saved.
+ *
+ * @param {string} userId
+ * @param {object} input - Any of name, priority, enabled, matchField, matchType, pattern, currency,
+ *   minAmount, maxAmount, category (name), payee (name) and tags (names); null clears an optional field
+ * @param {object} [existing] - The rule being updated
+ * @returns {Promise<object>} Normalized fields ready for Rule.create/update
+ * @throws {ApiError} 400 naming the invalid field, or when the rule has no condition or no action
+ */
+export const parseRuleInput = async (userId, input, existing = null) => {
+    const data = {};
+
+    if (input.name !== undefined || !existing) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) {
+            throw new ApiError(400, "Rule name is required");
+        }
+        if (name.length > MAX_RULE_NAME_LENGTH) {
+            throw new ApiError(400, `Rule name must be at most ${MAX_RULE_NAME_LENGTH} characters`);
+        }
+        data.name = name;
+    }
+    if (input.priority !== undefined) {
+        if (!Number.isInteger(input.priority)) {
+            throw new ApiError(400, "priority must be an integer");
+        }
+        data.priority = input.priority;
+    }
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') {
+            throw new ApiError(400, "enabled must be true or false");
+        }
+        data.enabled = input.enabled;
+    }
+    if (input.matchField !== undefined) {
+        if (!RULE_MATCH_FIELDS.includes(input.matchField)) {
+            throw new ApiError(400, `Invalid matchField "${input.matchField}". Expected one of: ${RULE_MATCH_FIELDS.join(', ')}`);
+        }
+        data.matchField = input.matchField;
+    }
+    if (input.matchType !== undefined) {
+        if (!RULE_MATCH_TYPES.includes(input.matchType)) {
+            throw new ApiError(400, `Invalid matchType "${input.matchType}". Expected one of: ${RULE_MATCH_TYPES.join(', ')}`);
+        }
+        data.matchType = input.matchType;
+    }
+    if (input.pattern !== undefined) {
+        if (input.pattern !== null && typeof input.pattern !== 'string') {
+            throw new ApiError(400, "pattern must be a string");
+        }
+        const pattern = input.pattern === null ? '' : input.pattern.trim();
+        if (pattern.length > MAX_RULE_PATTERN_LENGTH) {
+            throw new ApiError(400, `pattern must be at most ${MAX_RULE_PATTERN_LENGTH} characters`);
+        }
+        data.pattern = pattern || null;
+    }
+    if (input.currency !== undefined) {
+        const code = input.currency === null || input.currency === '' ? null : normalizeCurrencyCode(input.currency);
+        if (code !== null && !isCurrencyCode(code)) {
+            throw new ApiError(400, `Unsupported currency "${input.currency}". Use an ISO 4217 code such as USD, EUR or THB`);
+        }
+        data.currency = code;
+    }
+    if (input.tags !== undefined) {
+        const tags = input.tags ?? [];
+        if (!Array.isArray(tags)) {
+            throw new ApiError(400, "tags must be an array of tag names");
+        }
+        data.tags = [...new Set(tags.map(parseTagName))];
+        if (data.tags.length > MAX_RULE_TAGS) {
+            throw new ApiError(400, `A rule can add at most ${MAX_RULE_TAGS} tags`);
+        }
+    }
+    if (input.category !== undefined) {
+        data.categoryId = null;
+        if (input.category !== null && input.category !== '') {
+            const category = await findCategoryByName(userId, input.category);
+            if (!category) {
+                throw new ApiError(400, `Category "${input.category}" not found. Please create it first`);
+            }
+            data.categoryId = category.id;
+        }
+    }
+
+    // The rule as it will be saved
+    const rule = {
+        ...(existing ? existing.get({ plain: true }) : RULE_DEFAULTS),
+        ...data
+    };
+    const currency = rule.currency;
+
+    // Amount bounds are re-rounded when the currency changes
+    for (const name of ['minAmount', 'maxAmount']) {
+        const value = input[name] !== undefined ? input[name] : (data.currency !== undefined ? existing?.[name] : undefined);
+        if (value === undefined) continue;
+        data[name] = value === null ? null : parseAmountBound(name, value, currency);
+        rule[name] = data[name];
+    }
+
+    if (rule.pattern && rule.matchType === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (err) {
+            throw new ApiError(400, `pattern is not a valid regular expression: ${err.message}`);
+        }
+        const risk = findRegexRisk(rule.pattern);
+        if (risk) {
+            throw new ApiError(400, `pattern could take too long to match: ${risk}`);
+        }
+    }
+    const hasAmount = rule.minAmount !== null || rule.maxAmount !== null;
+    if (hasAmount && !currency) {
+        throw new ApiError(400, "minAmount and maxAmount need a currency to be compared in");
+    }
+    if (rule.minAmount !== null && rule.maxAmount !== null
+        && toMinorUnits(rule.minAmount, MONEY_SCALE) > toMinorUnits(rule.maxAmount, MONEY_SCALE)) {
+        throw new ApiError(400, "minAmount must not be greater than maxAmount");
+    }
+    if (!rule.pattern && !currency && !hasAmount) {
+        throw new ApiError(400, "A rule needs at least one condition: pattern, currency, minAmount or maxAmount");
+    }
+
+    // Created last, once everything else is valid, as unknown payees are created like on records
+    if (input.payee !== undefined) {
+        data.payeeId = input.payee === null || input.payee === '' ? null : (await resolvePayee(userId, input.payee)).id;
+        rule.payeeId = data.payeeId;
+    }
+    if (!rule.categoryId && !rule.payeeId && rule.tags.length === 0) {
+        throw new ApiError(400, "A rule needs at least one action: category, tags or payee");
+    }
+    return data;
+};
+
+// Builds the condition check of a rule: every condition it has must hold
+const compileRule = (rule) => {
+    const { pattern, matchType, matchField, currency } = rule;
+    let matchesText = () => true;
+    if (pattern) {
+        const fields = matchField === 'title_or_note' ? ['title', 'note'] : [matchField];
+        let test;
+        if (matchType === 'regex') {
+            // Regexes saved before they were checked for risky patterns never match
+            const regex = findRegexRisk(pattern) ? null : new RegExp(pattern, 'i');
+            test = (text) => regex !== null && regex.test(text.slice(0, MAX_REGEX_TEXT_LENGTH));
+        } else {
+            const needle = pattern.toLowerCase();
+            test = (text) => text.toLowerCase().includes(needle);
+        }
+        matchesText = (record) => fields.some(field => test(record[field] ?? ''));
+    }
+    const min = rule.minAmount !== null ? toMinorUnits(rule.minAmount, MONEY_SCALE) : null;
+    const max = rule.maxAmount !== null ? toMinorUnits(rule.maxAmount, MONEY_SCALE) : null;
+
+    return (record) => {
+        if (currency && record.currency !== currency) return false;
+        if (min !== null || max !== null) {
+            const amount = record.amount === undefined || record.amount === null ? null : toMinorUnits(record.amount, MONEY_SCALE);
+            if (amount === null || (min !== null && amount < min) || (max !== null && amount > max)) return false;
+        }
+        return matchesText(record);
+    };
+};
+
+/**
+ * Loads the user's enabled rules into an in-memory rule set, so records can be checked in a loop.
+ *
+ * Rules run by priority (lower first, then oldest first). The category and the payee come from the first
+ * matching rule that assigns one; tags are collected from every matching rule. A category in the trash
+ * is not assigned.
+ *
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {number[]} [options.ids] - Only these rules, enabled or not
+ * @param {object} [options.transaction]
+ * @returns {Promise<{ rules: object[], evaluate: function }>} `evaluate({ title, note, amount, currency })`
+ *   returns `{ categoryId, payeeId, tags, ruleIds }` (ruleIds: the matching rules in order)
+ */
+export const loadRuleSet = async (userId, { ids, transaction } = {}) => {
+    const where = ids ? { userId, id: { [Op.in]: ids } } : { userId, enabled: true };
+    const rules = await db.Rule.findAll({
+        where,
+        include: [{ model: db.Category, attributes: ['id', 'name'] }],
+        order: [['priority', 'ASC'], ['id', 'ASC']],
+        transaction
+    });
+    const compiled = rules.map(rule => ({ rule, matches: compileRule(rule) }));
+
+    return {
+        rules,
+        evaluate(record) {
+            const result = { categoryId: null, payeeId: null, tags: [], ruleIds: [] };
+            for (const { rule, matches } of compiled) {
+                if (!matches(record)) continue;
+                result.ruleIds.push(rule.id);
+                if (result.categoryId === null && rule.Category) result.categoryId = rule.Category.id;
+                if (result.payeeId === null && rule.payeeId !== null) result.payeeId = rule.payeeId;
+                result.tags.push(...rule.tags.filter(tag => !result.tags.includes(tag)));
+            }
+            return result;
+        }
+    };
+};
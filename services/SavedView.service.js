@@ -0,0 +1,30 @@
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+
+export const MAX_VIEW_NAME_LENGTH = 100;
+
+/**
+ * Loads one of the user's saved views.
+ *
+ * @throws {ApiError} 404 when the view doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedView = async (userId, id, action, options = {}) => {
+    const view = await db.SavedView.findByPk(id, options);
+
+    if (!view) {
+        throw new ApiError(404, "Saved view not found");
+    }
+    if (view.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this saved view`);
+    }
+    return view;
+};
+
+/**
+ * Finds one of the user's saved views by name.
+ *
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+export const findViewByName = (userId, name) => db.SavedView.findOne({ where: { userId, name } });
@@ -0,0 +1,193 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import { logSyncChanges } from '../models/syncChanges.js';
+import ApiError from '../utils/ApiError.js';
+import { decodeCursor, encodeCursor } from '../utils/cursor.js';
+import { categoryInclude, payeeInclude, splitInclude, tagInclude } from './Record.service.js';
+
+export const DEFAULT_SYNC_PAGE_SIZE = 500;
+export const MAX_SYNC_PAGE_SIZE = 1000;
+
+// Sync tokens are opaque to clients, like cursors. `seq` is the position in the user's change feed
+// (SyncChange.seq) the client has reached; `after` is only set while a full sync is still sending records,
+// and is the last record id sent.
+
+const encodeSyncToken = (seq, after) => encodeCursor(after === undefined ? { seq } : { seq, after });
+
+const decodeSyncToken = (token) => {
+    let payload;
+    try {
+        payload = decodeCursor(token);
+    } catch {
+        throw new ApiError(400, "Invalid sync token");
+    }
+    const { seq, after } = payload;
+    const isPosition = (value) => Number.isSafeInteger(value) && value >= 0;
+    if (!isPosition(seq) || (after !== undefined && !isPosition(after))) {
+        throw new ApiError(400, "Invalid sync token");
+    }
+    return { seq, after };
+};
+
+/**
+ * Logs the records matching `where` as changed for GET /sync without changing them. Records show the name
+ * and color of their category, payee and tags, so they change for a client whenever one of those does.
+ *
+ * @param {object} where - Record where clause; trashed records are included
+ * @param {object} [options] - `transaction` to run in
+ */
+export const markRecordsChanged = async (where, { transaction } = {}) => {
+    const records = await db.Record.findAll({ where, attributes: ['id', 'userId'], paranoid: false, transaction });
+    await logSyncChanges('record', records, { transaction });
+};
+
+/**
+ * Logs the records showing any of the categories, on themselves or on one of their split lines, as changed.
+ *
+ * @param {number|number[]} categoryIds
+ * @param {object} [options] - `transaction` to run in
+ */
+export const markCategoryRecordsChanged = async (categoryIds, { transaction } = {}) => {
+    const splits = await db.RecordSplit.findAll({ where: { categoryId: categoryIds }, attributes: ['recordId'], transaction });
+    await markRecordsChanged({
+        [Op.or]: [{ categoryId: categoryIds }, { id: { [Op.in]: splits.map(split => split.recordId) } }]
+    }, { transaction });
+};
+
+/**
+ * Logs the records carrying a tag as changed.
+ *
+ * @param {number} tagId
+ * @param {object} [options] - `transaction` to run in
+ */
+export const markTagRecordsChanged = async (tagId, { transaction } = {}) => {
+    const links = await db.RecordTag.findAll({ where: { tagId }, attributes: ['recordId'], transaction });
+    await markRecordsChanged({ id: { [Op.in]: links.map(link => link.recordId) } }, { transaction });
+};
+
+// Active records with the given ids, shown as GET /records/{id} shows them
+const loadRecords = (ids) => db.Record.findAll({
+    where: { id: { [Op.in]: ids } },
+    include: [categoryInclude, payeeInclude, splitInclude, tagInclude],
+    order: [['id', 'ASC']]
+});
+
+/**
+ * Numbers the user's changes committed since the last call, after every position handed out before, and
+ * returns the last position. A change is only numbered once its transaction has committed, so one that
+ * commits late, such as a long import's, still comes after every token handed out while it ran.
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} The last position in the user's change feed
+ */
+const sequenceChanges = (userId) => db.sequelize.transaction(async (transaction) => {
+    // One call at a time per user, so positions are never handed out twice
+    await db.User.findByPk(userId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    const sequence = await db.SyncSequence.findByPk(userId, { transaction })
+        ?? db.SyncSequence.build({ userId, lastSeq: 0 });
+    const lastSeq = Number(sequence.lastSeq);
+
+    // Only committed changes are visible here; those still in flight are numbered by a later call
+    const { fn, col } = db.sequelize;
+    const [{ first, last }] = await db.SyncChange.findAll({
+        where: { userId, seq: null },
+        attributes: [[fn('MIN', col('id')), 'first'], [fn('MAX', col('id')), 'last']],
+        raw: true,
+        transaction
+    });
+    if (first === null) return lastSeq;
+
+    // Numbered in id order, in one statement: position = id shifted to follow lastSeq
+    const offset = lastSeq - Number(first) + 1;
+    const id = db.sequelize.getQueryInterface().quoteIdentifier('id');
+    await db.SyncChange.update({ seq: db.sequelize.literal(`${id} + ${offset}`) }, {
+        where: { userId, seq: null, id: { [Op.between]: [first, last] } },
+        transaction
+    });
+    sequence.lastSeq = Number(last) + offset;
+    await sequence.save({ transaction });
+    return sequence.lastSeq;
+});
+
+// One page of a full sync: every category on the first page, then the user's records in id order
+const getFullSyncPage = async (userId, { seq, after = 0 }, limit) => {
+    const categories = after === 0
+        ? await db.Category.findAll({ where: { userId }, order: [['id', 'ASC']] })
+        : [];
+    const page = await db.Record.findAll({
+        where: { userId, id: { [Op.gt]: after } },
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit
+    });
+    const records = await loadRecords(page.map(record => record.id));
+    const hasMore = page.length === limit;
+
+    return {
+        records,
+        categories,
+        deleted: { records: [], categories: [] },
+        token: encodeSyncToken(seq, hasMore ? page[page.length - 1].id : undefined),
+        hasMore
+    };
+};
+
+// One page of changes numbered after `seq`; entities that are gone or in the trash are listed as deleted
+const getDeltaPage = async (userId, seq, limit) => {
+    const changes = await db.SyncChange.findAll({
+        where: { userId, seq: { [Op.gt]: seq } },
+        order: [['seq', 'ASC']],
+        limit
+    });
+    const changedIds = (entityType) => changes
+        .filter(change => change.entityType === entityType)
+        .map(change => change.entityId);
+
+    const recordIds = changedIds('record');
+    const categoryIds = changedIds('category');
+    const records = recordIds.length > 0 ? await loadRecords(recordIds) : [];
+    const categories = categoryIds.length > 0
+        ? await db.Category.findAll({ where: { id: { [Op.in]: categoryIds } }, order: [['id', 'ASC']] })
+        : [];
+    const missing = (ids, found) => {
+        const present = new Set(found.map(item => item.id));
+        return ids.filter(id => !present.has(id));
+    };
+
+    return {
+        records,
+        categories,
+        deleted: { records: missing(recordIds, records), categories: missing(categoryIds, categories) },
+        token: encodeSyncToken(changes.length > 0 ? Number(changes[changes.length - 1].seq) : seq),
+        hasMore: changes.length === limit
+    };
+};
+
+/**
+ * The user's records and categories changed since a sync token, for offline clients. Without a token this
+ * is a full sync of everything the user has. Either way the answer may come in pages: while `hasMore` is
+ * true, the client asks again with the token it got.
+ *
+ * Changes are numbered as they are read (see sequenceChanges), so a token never skips a change that
+ * committed after it was handed out. A full sync's token starts from the last change numbered when it began,
+ * so changes made while its pages are fetched come again afterwards; applying a record or category twice is
+ * harmless.
+ *
+ * @param {string} userId
+ * @param {string} [token] - Token from the previous answer
+ * @param {number} [limit] - Most records (full sync) or changes (since a token) per page
+ * @returns {Promise<{ records: object[], categories: object[], deleted: { records: number[], categories: number[] },
+ *   token: string, hasMore: boolean }>}
+ * @throws {ApiError} 400 when the token is invalid
+ */
+export const getSyncChanges = async (userId, token, limit = DEFAULT_SYNC_PAGE_SIZE) => {
+    const position = token === undefined ? null : decodeSyncToken(token);
+    const lastSeq = await sequenceChanges(userId);
+    if (!position) {
+        return getFullSyncPage(userId, { seq: lastSeq }, limit);
+    }
+    const { seq, after } = position;
+    return after === undefined
+        ? getDeltaPage(userId, seq, limit)
+        : getFullSyncPage(userId, { seq, after }, limit);
+};
@@ -0,0 +1,113 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+
+export const MAX_TAG_LENGTH = 50;
+
+// Tag names are compared case-insensitively, so "Reimbursable" and "reimbursable" are the same tag
+export const normalizeTagName = (name) => (typeof name === 'string' ? name.trim().toLowerCase() : '');
+
+/**
+ * Validates and normalizes a tag name.
+ *
+ * @throws {ApiError} 400 when the name is empty, too long or contains a comma (commas separate tags in filters)
+ */
+export const parseTagName = (name) => {
+    const normalized = normalizeTagName(name);
+    if (!normalized) {
+        throw new ApiError(400, "Tag name is required");
+    }
+    if (normalized.length > MAX_TAG_LENGTH) {
+        throw new ApiError(400, `Tag name must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (normalized.includes(',')) {
+        throw new ApiError(400, "Tag name cannot contain commas");
+    }
+    return normalized;
+};
+
+// Parses a comma-separated list (or array) of tag names from a query parameter
+export const parseTagList = (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(items.map(normalizeTagName).filter(Boolean))];
+};
+
+/**
+ * Loads one of the user's tags.
+ *
+ * @throws {ApiError} 404 when the tag doesn't exist, 403 when it belongs to someone else
+ */
+export const findOwnedTag = async (userId, id, action, options = {}) => {
+    const tag = await db.Tag.findByPk(id, options);
+
+    if (!tag) {
+        throw new ApiError(404, "Tag not found");
+    }
+    if (tag.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to ${action} this tag`);
+    }
+    return tag;
+};
+
+/**
+ * Finds the user's tags with the given names, creating the ones that don't exist yet.
+ * Unlike categories, tags are created on first use.
+ *
+ * @param {string} userId
+ * @param {string[]} names - Raw tag names from the request
+ * @param {object} [options] - `transaction` to run in
+ * @returns {Promise<object[]>} Tag instances, one per distinct name
+ * @throws {ApiError} 400 when `names` is not an array or contains an invalid name
+ */
+export const resolveTags = async (userId, names, { transaction } = {}) => {
+    if (!Array.isArray(names)) {
+        throw new ApiError(400, "tags must be an array of tag names");
+    }
+    const wanted = [...new Set(names.map(parseTagName))];
+    if (wanted.length === 0) return [];
+
+    const existing = await db.Tag.findAll({
+        where: { userId, name: { [Op.in]: wanted } },
+        transaction
+    });
+    const found = new Set(existing.map(tag => tag.name));
+    const created = await Promise.all(wanted
+        .filter(name => !found.has(name))
+        .map(name => db.Tag.create({ name, userId }, { transaction })));
+
+    return [...existing, ...created];
+};
+
+/**
+ * Replaces the tags of a record with the given names.
+ *
+ * @param {object} record - Record instance owned by `userId`
+ * @param {string} userId
+ * @param {string[]} names
+ * @param {object} [options] - `transaction` to run in
+ */
+export const setRecordTags = async (record, userId, names, { transaction } = {}) => {
+    const tags = await resolveTags(userId, names, { transaction });
+    await record.setTags(tags, { transaction });
+    return tags;
+};
+
+/**
+ * Subquery selecting the ids of records carrying at least one of the given tags,
+ * for use as `id: { [Op.in]: ... }`. Requiring several tags means one condition per tag.
+ *
+ * @param {string} userId
+ * @param {string[]} names - Normalized tag names (from parseTagList), must not be empty
+ * @returns {object} Sequelize literal
+ */
+export const taggedRecordIds = (userId, names) => {
+    const { sequelize } = db;
+    const quote = (name) => sequelize.getQueryInterface().quoteIdentifier(name);
+    const recordTags = quote(db.RecordTag.getTableName());
+    const tags = quote(db.Tag.getTableName());
+
+    return sequelize.literal(`(SELECT rt.${quote('recordId')} FROM ${recordTags} rt`
+        + ` INNER JOIN ${tags} t ON t.${quote('id')} = rt.${quote('tagId')}`
+        + ` WHERE t.${quote('userId')} = ${sequelize.escape(userId)}`
+        + ` AND t.${quote('name')} IN (${names.map(name => sequelize.escape(name)).join(', ')}))`);
+};
@@ -0,0 +1,156 @@
+import { Op } from 'sequelize';
+import db from '../models/index.js';
+import ApiError from '../utils/ApiError.js';
+import { findAttachmentsForCleanup, removeAttachmentFiles } from './Attachment.service.js';
+import { findSiblingByName } from './Category.service.js';
+import { markCategoryRecordsChanged } from './Sync.service.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted record or category stays restorable (TRASH_RETENTION_DAYS)
+export const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When an item deleted at `deletedAt` will be purged
+export const purgeDateFor = (deletedAt) => new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Loads a trashed record or category of the user.
+ *
+ * @param {object} model - db.Record or db.Category
+ * @param {string} label - "Record" or "Category", for error messages
+ * @throws {ApiError} 404 when the item isn't in the trash, 403 when it belongs to someone else
+ */
+export const findTrashedItem = async (model, label, userId, id, options = {}) => {
+    const item = await model.findByPk(id, { paranoid: false, ...options });
+
+    if (!item || item.deletedAt === null) {
+        throw new ApiError(404, `${label} not found in trash`);
+    }
+    if (item.userId !== userId) {
+        throw new ApiError(403, `You don't have permission to restore this ${label.toLowerCase()}`);
+    }
+    return item;
+};
+
+/**
+ * Permanently deletes trashed records matching `where`, together with their attachment files.
+ *
+ * @returns {Promise<number>} Number of records removed
+ */
+export const purgeRecords = async (where) => {
+    let purged = 0;
+    while (true) {
+        const batch = await db.Record.findAll({
+            where: { ...where, deletedAt: { ...where.deletedAt, [Op.ne]: null } },
+            attributes: ['id'],
+            paranoid: false,
+            limit: PURGE_BATCH_SIZE
+        });
+        if (batch.length === 0) return purged;
+
+        const ids = batch.map(record => record.id);
+        const attachments = await findAttachmentsForCleanup({ recordId: ids });
+        await db.sequelize.transaction(async (transaction) => {
+            await db.Attachment.destroy({ where: { recordId: ids }, transaction });
+            await db.Record.destroy({ where: { id: ids }, force: true, transaction });
+        });
+        await removeAttachmentFiles(attachments);
+        purged += ids.length;
+    }
+};
+
+// First free name for a category moving under `parentId`: its own, or "Coffee (2)", "Coffee (3)", ...
+const freeSiblingName = async (userId, name, parentId, options) => {
+    let candidate = name;
+    for (let n = 2; await findSiblingByName(userId, candidate, parentId, options); n++) {
+        candidate = `${name} (${n})`;
+    }
+    return candidate;
+};
+
+/**
+ * Permanently deletes trashed categories matching `where`. Their records (active or trashed)
+ * lose the category, as a hard delete always did, and their subcategories move up to the purged
+ * category's own parent (the top level for a top-level category). A subcategory whose name is
+ * taken at its new level gets a number added, such as "Coffee (2)", so names stay unique there.
+ *
+ * @returns {Promise<number>} Number of categories removed
+ */
+export const purgeCategories = async (where) => {
+    const categories = await db.Category.findAll({
+        where: { ...where, deletedAt: { ...where.deletedAt, [Op.ne]: null } },
+        attributes: ['id', 'parentId', 'userId'],
+        paranoid: false
+    });
+    if (categories.length === 0) return 0;
+
+    const ids = categories.map(category => category.id);
+    const ownerIds = [...new Set(categories.map(category => category.userId))];
+    const purgedParents = new Map(categories.map(category => [category.id, category.parentId]));
+    // Closest category above `parentId` that is not purged along with it
+    const survivingParentId = (parentId) => {
+        while (purgedParents.has(parentId)) parentId = purgedParents.get(parentId);
+        return parentId;
+    };
+
+    await db.sequelize.transaction(async (transaction) => {
+        // Records losing the category only from a split line aren't updated themselves
+        await markCategoryRecordsChanged(ids, { transaction });
+        // One record at a time, so each one's history shows it losing the category. The owner deleted the
+        // category, so the change is theirs
+        for (const userId of ownerIds) {
+            await db.Record.update({ categoryId: null }, {
+                where: { userId, categoryId: ids },
+                paranoid: false,
+                individualHooks: true,
+                transaction,
+                actorId: userId
+            });
+        }
+        await db.RecordSplit.update({ categoryId: null }, { where: { categoryId: ids }, transaction });
+        await db.RecurringSchedule.update({ categoryId: null }, { where: { categoryId: ids }, transaction });
+
+        const subcategories = await db.Category.findAll({
+            where: { parentId: ids, id: { [Op.notIn]: ids } },
+            order: [['id', 'ASC']],
+            paranoid: false,
+            transaction
+        });
+        const renamedIds = [];
+        for (const subcategory of subcategories) {
+            const parentId = survivingParentId(subcategory.parentId);
+            // Trashed ones are checked for a clash when they are restored
+            const name = subcategory.deletedAt
+                ? subcategory.name
+                : await freeSiblingName(subcategory.userId, subcategory.name, parentId, { transaction });
+            if (name !== subcategory.name) renamedIds.push(subcategory.id);
+            await subcategory.update({ parentId, name }, { transaction });
+        }
+        // Records show their category's name
+        if (renamedIds.length > 0) await markCategoryRecordsChanged(renamedIds, { transaction });
+
+        await db.Category.destroy({ where: { id: ids }, force: true, transaction });
+    });
+    return ids.length;
+};
+
+/**
+ * Purges everything that has been in the trash longer than the retention period.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ records: number, categories: number }>}
+ */
+export const purgeExpiredTrash = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+    const where = { deletedAt: { [Op.lt]: cutoff } };
+
+    // Records first, so purged categories don't have to detach records that are about to go anyway
+    const records = await purgeRecords(where);
+    const categories = await purgeCategories(where);
+    return { records, categories };
+};
@@ -0,0 +1,10 @@
+// Error carrying the HTTP status (and optional extra response fields) a controller should answer with.
+// Services throw it so controllers can turn domain failures into the usual `{ error }` responses.
+export default class ApiError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
@@ -0,0 +1,59 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes ("") and line breaks inside quotes.
+
+// Parses CSV text into an array of rows, each an array of raw string values.
+// Blank lines are dropped and a leading byte-order mark is ignored.
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Malformed CSV: unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+// Serializes one row of values into a CSV line (with trailing CRLF), quoting only when needed
+export const toCsvLine = (values, { delimiter = ',' } = {}) => {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter) + '\r\n';
+};
@@ -0,0 +1,23 @@
+import ApiError from './ApiError.js';
+
+// Opaque pagination cursors: base64url-encoded JSON. Clients must treat them as opaque strings;
+// the payload shape is an implementation detail and may change.
+
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * Decodes a cursor produced by encodeCursor.
+ *
+ * @param {string} cursor
+ * @returns {object} The decoded payload
+ * @throws {ApiError} 400 when the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (payload && typeof payload === 'object' && !Array.isArray(payload)) return payload;
+    } catch {
+        // fall through to the error below
+    }
+    throw new ApiError(400, "Invalid cursor");
+};
@@ -0,0 +1,54 @@
+import { addDays, todayString } from './recurrence.js';
+
+// Relative date windows a record filter (or saved view) can use instead of fixed dates. "last_N_days"
+// ends today; the calendar periods cover the whole month, quarter or year, including days still to come.
+export const DATE_RANGES = [
+    'today',
+    'last_7_days',
+    'last_30_days',
+    'last_90_days',
+    'last_365_days',
+    'this_month',
+    'last_month',
+    'this_quarter',
+    'last_quarter',
+    'this_year',
+    'last_year'
+];
+
+const LAST_DAYS_PATTERN = /^last_(\d+)_days$/;
+
+// Months in each kind of calendar period, and how many periods back it is
+const CALENDAR_PERIODS = {
+    this_month: [1, 0],
+    last_month: [1, 1],
+    this_quarter: [3, 0],
+    last_quarter: [3, 1],
+    this_year: [12, 0],
+    last_year: [12, 1]
+};
+
+const formatUTCDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day)).toISOString().slice(0, 10);
+
+/**
+ * Turns a relative date window into the dates it covers on a given day.
+ *
+ * @param {string} range - One of DATE_RANGES
+ * @param {string} [today] - YYYY-MM-DD, defaults to the current date
+ * @returns {{ startDate: string, endDate: string }} Inclusive YYYY-MM-DD bounds
+ */
+export const resolveDateRange = (range, today = todayString()) => {
+    if (range === 'today') return { startDate: today, endDate: today };
+
+    const lastDays = LAST_DAYS_PATTERN.exec(range);
+    if (lastDays) return { startDate: addDays(today, 1 - Number(lastDays[1])), endDate: today };
+
+    const [months, back] = CALENDAR_PERIODS[range];
+    const [year, month] = today.split('-').map(Number);
+    // Date.UTC rolls months outside 0-11 over into the previous or next year
+    const firstMonth = Math.floor((month - 1) / months) * months - back * months;
+    return {
+        startDate: formatUTCDate(year, firstMonth, 1),
+        endDate: formatUTCDate(year, firstMonth + months, 0)
+    };
+};
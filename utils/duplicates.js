@@ -0,0 +1,68 @@
+import { MONEY_SCALE, toMinorUnits } from './money.js';
+import { normalizeDate } from './recurrence.js';
+
+// Two records are suspected duplicates when they have the same type, currency and amount, lie at most
+// DUPLICATE_WINDOW_DAYS apart and have similar titles ("AMAZON MKTPLACE 123" and "Amazon Mktplace").
+
+export const DUPLICATE_WINDOW_DAYS = 3;
+export const MAX_DUPLICATE_WINDOW_DAYS = 30;
+
+// Share of character pairs two titles must have in common
+export const TITLE_SIMILARITY_THRESHOLD = 0.6;
+
+// Shorter titles only count as contained in a longer one when they have at least this many characters
+const MIN_CONTAINED_LENGTH = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Letters and digits of a title in lower case, so spacing, punctuation and case don't matter
+const normalizeTitle = (title) => (String(title ?? '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []).join('');
+
+const bigrams = (text) => {
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+};
+
+/**
+ * How alike two titles are, from 0 to 1: the Dice coefficient of their character pairs, or 1 when one
+ * title is contained in the other (bank exports often append a reference to the merchant name).
+ */
+export const titleSimilarity = (a, b) => {
+    const first = normalizeTitle(a);
+    const second = normalizeTitle(b);
+    if (!first || !second) return 0;
+    if (first === second) return 1;
+
+    const [shorter, longer] = first.length <= second.length ? [first, second] : [second, first];
+    if (shorter.length >= MIN_CONTAINED_LENGTH && longer.includes(shorter)) return 1;
+    if (shorter.length < 2) return 0;
+
+    const pairs = bigrams(first);
+    let common = 0;
+    bigrams(second).forEach((count, pair) => {
+        common += Math.min(count, pairs.get(pair) || 0);
+    });
+    return (2 * common) / (first.length - 1 + second.length - 1);
+};
+
+// Key of the records a record can be a duplicate of: same type, currency and exact amount
+export const duplicateKey = (record) =>
+    `${record.type || 'expense'}|${record.currency}|${toMinorUnits(record.amount, MONEY_SCALE)}`;
+
+/**
+ * Whether two records look like the same transaction entered twice.
+ *
+ * @param {object} a - Record or record data with type, currency, amount, date and title
+ * @param {object} b
+ * @param {number} [windowDays] - Most days the dates may be apart
+ * @returns {boolean}
+ */
+export const isLikelyDuplicate = (a, b, windowDays = DUPLICATE_WINDOW_DAYS) => {
+    if (duplicateKey(a) !== duplicateKey(b)) return false;
+    const days = Math.abs(Date.parse(normalizeDate(a.date)) - Date.parse(normalizeDate(b.date))) / DAY_MS;
+    return days <= windowDays && titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD;
+};
@@ -0,0 +1,19 @@
+// ETags for optimistic concurrency. A record or category's ETag is its version, which every change bumps
+// (see models/versioning.js), so a client can send it back in If-Match to write only over what it has seen.
+
+// Strong ETag of a versioned instance, e.g. "3"
+export const etagFor = (instance) => `"${instance.version}"`;
+
+/**
+ * Whether an If-Match header allows writing over the instance: it is absent, "*", or lists the instance's
+ * current ETag. Weak ETags (W/"3") never match, as If-Match requires a strong comparison.
+ *
+ * @param {string} [header] - Value of the If-Match header
+ * @param {object} instance - Versioned model instance
+ * @returns {boolean}
+ */
+export const matchesIfMatch = (header, instance) => {
+    if (header === undefined) return true;
+    const tags = header.split(',').map(tag => tag.trim());
+    return tags.includes('*') || tags.includes(etagFor(instance));
+};
@@ -0,0 +1,162 @@
+// Exact money arithmetic. Amounts are handled as BigInt minor units (cents) so sums, conversions and
+// averages never pick up binary floating point noise; they only become strings or numbers at the edges.
+
+// Decimal places amounts are rounded to
+export const MONEY_DECIMALS = 2;
+
+// Column definition for stored amounts: DECIMAL(MONEY_PRECISION, MONEY_SCALE). The scale leaves room
+// for currencies with more than two decimal places.
+export const MONEY_PRECISION = 20;
+export const MONEY_SCALE = 4;
+
+// Column definition for exchange rates, which need more decimal places than amounts (1 KHR is about 0.000215 EUR)
+export const RATE_PRECISION = 24;
+export const RATE_SCALE = 12;
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Parses a number or decimal string exactly into { units, scale } (value = units / 10^scale), or null
+const parseDecimal = (value) => {
+    let text;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return null;
+        // toString() switches to exponent notation for very small numbers
+        text = /e/i.test(String(value)) ? value.toFixed(20) : String(value);
+    } else if (typeof value === 'string') {
+        text = value.trim();
+    } else {
+        return null;
+    }
+
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    const fraction = match[3] || '';
+    const units = BigInt(`${match[2] || '0'}${fraction}`);
+    return { units: match[1] === '-' ? -units : units, scale: fraction.length };
+};
+
+// Integer division rounding half away from zero (denominator must be positive)
+const divideRounded = (numerator, denominator) => {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    const absRemainder = remainder < 0n ? -remainder : remainder;
+    if (absRemainder * 2n >= denominator) {
+        return quotient + (numerator < 0n ? -1n : 1n);
+    }
+    return quotient;
+};
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+/**
+ * Converts an amount to minor units, rounding half away from zero past `decimals`.
+ *
+ * @param {number|string} value - e.g. 12.5 or "1234.565"
+ * @param {number} [decimals=MONEY_DECIMALS]
+ * @returns {bigint|null} Minor units, or null when the value is not a decimal number
+ */
+export const toMinorUnits = (value, decimals = MONEY_DECIMALS) => {
+    const parsed = parseDecimal(value);
+    if (!parsed) return null;
+    return parsed.scale <= decimals
+        ? parsed.units * pow10(decimals - parsed.scale)
+        : divideRounded(parsed.units, pow10(parsed.scale - decimals));
+};
+
+/**
+ * Formats minor units as a plain decimal string, e.g. 1234n -> "12.34".
+ *
+ * @param {bigint} minor
+ * @param {number} [decimals=MONEY_DECIMALS]
+ * @returns {string}
+ */
+export const fromMinorUnits = (minor, decimals = MONEY_DECIMALS) => {
+    const digits = (minor < 0n ? -minor : minor).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals);
+    return `${minor < 0n ? '-' : ''}${whole}${decimals > 0 ? `.${fraction}` : ''}`;
+};
+
+// Minor units as a JSON number. Exact for any amount with at most 15 significant digits.
+export const minorToNumber = (minor, decimals = MONEY_DECIMALS) => Number(fromMinorUnits(minor, decimals));
+
+/**
+ * Normalizes user or driver input to a rounded decimal string.
+ *
+ * @param {number|string} value
+ * @param {number} [decimals=MONEY_DECIMALS]
+ * @returns {string|null} e.g. "12.50", or null when the value is not a decimal number
+ */
+export const parseMoney = (value, decimals = MONEY_DECIMALS) => {
+    const minor = toMinorUnits(value, decimals);
+    return minor === null ? null : fromMinorUnits(minor, decimals);
+};
+
+// Stored amount (DECIMAL string from the driver) as an exact JSON number; null stays null
+export const moneyToNumber = (value, scale = MONEY_SCALE) => {
+    if (value === null || value === undefined) return value;
+    const minor = toMinorUnits(value, scale);
+    return minor === null ? value : minorToNumber(minor, scale);
+};
+
+/**
+ * Normalizes an exchange rate to a decimal string at RATE_SCALE.
+ *
+ * @param {number|string} value
+ * @returns {string|null} e.g. "4100.000000000000", or null when the value is not a positive decimal number
+ */
+export const parseRate = (value) => {
+    const minor = toMinorUnits(value, RATE_SCALE);
+    return minor === null || minor <= 0n ? null : fromMinorUnits(minor, RATE_SCALE);
+};
+
+/**
+ * Multiplies an amount by an exchange rate, rounding the result once.
+ *
+ * @param {number|string} amount
+ * @param {number|string} rate - Decimal rate, e.g. "0.00025"
+ * @param {number} [decimals=MONEY_DECIMALS] - Decimal places of the result
+ * @returns {string} The converted amount as a decimal string
+ */
+export const convertMoney = (amount, rate, decimals = MONEY_DECIMALS) => {
+    const parsedAmount = parseDecimal(amount);
+    const parsedRate = parseDecimal(rate);
+    if (!parsedAmount || !parsedRate) {
+        throw new Error(`Cannot convert "${amount}" at rate "${rate}"`);
+    }
+    const product = parsedAmount.units * parsedRate.units * pow10(decimals);
+    return fromMinorUnits(divideRounded(product, pow10(parsedAmount.scale + parsedRate.scale)), decimals);
+};
+
+/**
+ * Divides an amount by an exchange rate, rounding the result once. Used to convert with the inverse of
+ * a stored rate without rounding the inverted rate first.
+ *
+ * @param {number|string} amount
+ * @param {number|string} rate - Positive decimal rate
+ * @param {number} [decimals=MONEY_DECIMALS] - Decimal places of the result
+ * @returns {string} The converted amount as a decimal string
+ */
+export const divideMoney = (amount, rate, decimals = MONEY_DECIMALS) => {
+    const parsedAmount = parseDecimal(amount);
+    const parsedRate = parseDecimal(rate);
+    if (!parsedAmount || !parsedRate || parsedRate.units <= 0n) {
+        throw new Error(`Cannot divide "${amount}" by rate "${rate}"`);
+    }
+    // amount / rate = (amountUnits * 10^rateScale) / (rateUnits * 10^amountScale)
+    const numerator = parsedAmount.units * pow10(parsedRate.scale + decimals);
+    return fromMinorUnits(divideRounded(numerator, parsedRate.units * pow10(parsedAmount.scale)), decimals);
+};
+
+// Rate as a short decimal string without trailing zeros, e.g. "4000" or "0.00025"
+export const formatRate = (rate) => parseRate(rate).replace(/\.?0+$/, '');
+
+// 1 / rate at RATE_SCALE, for showing the rate of an inverted pair
+export const invertRate = (rate) => formatRate(divideMoney('1', rate, RATE_SCALE));
+
+// Divides minor units by a positive whole number (e.g. days for a daily average), rounding half away from zero
+export const divideMinorUnits = (minor, divisor) => divideRounded(minor, BigInt(divisor));
+
+// Share of `part` in `whole` as a percentage rounded to 2 decimal places; 0 when the whole is not positive
+export const percentOf = (part, whole) => (whole > 0n ? minorToNumber(divideRounded(part * 10000n, whole)) : 0);
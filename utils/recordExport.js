@@ -0,0 +1,130 @@
+import { toCsvLine } from './csv.js';
+import { fromMinorUnits, toMinorUnits } from './money.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'ofx'];
+
+const CSV_COLUMNS = ['id', 'date', 'title', 'type', 'amount', 'currency', 'category', 'categoryColor', 'payee', 'note'];
+
+const formatDate = (date) => (date instanceof Date ? date.toISOString().split('T')[0] : String(date).slice(0, 10));
+
+// Flattens a record (with its Category and Payee includes) into the shape every export format shares
+export const toExportRow = (record) => ({
+    id: record.id,
+    date: formatDate(record.date),
+    title: record.title,
+    type: record.type,
+    amount: record.amount,
+    currency: record.currency,
+    category: record.Category?.name || null,
+    categoryColor: record.Category?.color || null,
+    payee: record.Payee?.name || null,
+    note: record.note || null
+});
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const ofxDate = (date) => formatDate(date).replace(/-/g, '');
+
+const OFX_TRANSACTION_TYPES = { expense: 'DEBIT', income: 'CREDIT', transfer: 'XFER' };
+
+/**
+ * Creates a streaming writer for one export format. Each writer produces text chunks through
+ * `header()`, `row(record)` for every exported record and `footer()`, so callers never have to
+ * hold the whole export in memory.
+ *
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} [options]
+ * @param {string} [options.currency] - OFX statement currency (CURDEF)
+ * @param {function(string, string): string} [options.rate] - Exchange rate from a record currency into the statement
+ *   currency on a date, for OFX
+ * @param {function(string, string, string): string} [options.convert] - Converts an amount in a record currency into the
+ *   statement currency at the rate on a date, for OFX
+ * @param {{ start: string, end: string }} [options.dateRange] - First and last exported date, for OFX
+ */
+export const createExportWriter = (format, options = {}) => {
+    if (format === 'csv') {
+        return {
+            contentType: 'text/csv; charset=utf-8',
+            extension: 'csv',
+            header: () => toCsvLine(CSV_COLUMNS),
+            row: (record) => {
+                const row = toExportRow(record);
+                return toCsvLine(CSV_COLUMNS.map(column => row[column]));
+            },
+            footer: () => ''
+        };
+    }
+
+    if (format === 'jsonl') {
+        return {
+            contentType: 'application/x-ndjson; charset=utf-8',
+            extension: 'jsonl',
+            header: () => '',
+            row: (record) => JSON.stringify(toExportRow(record)) + '\n',
+            footer: () => ''
+        };
+    }
+
+    if (format === 'ofx') {
+        const currency = options.currency || 'USD';
+        const today = ofxDate(new Date());
+        const { start = today, end = today } = options.dateRange || {};
+        let balance = 0n; // minor units of the statement currency
+
+        return {
+            contentType: 'application/x-ofx; charset=utf-8',
+            extension: 'ofx',
+            header: () => [
+                '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+                '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+                '<OFX>',
+                '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+                `<DTSERVER>${today}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+                '<BANKMSGSRSV1><STMTTRNRS><TRNUID>0</TRNUID>',
+                '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+                `<STMTRS><CURDEF>${currency}</CURDEF>`,
+                '<BANKACCTFROM><BANKID>EXPENSETRACKER</BANKID><ACCTID>RECORDS</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>',
+                `<BANKTRANLIST><DTSTART>${ofxDate(start)}</DTSTART><DTEND>${ofxDate(end)}</DTEND>`,
+                ''
+            ].join('\n'),
+            row: (record) => {
+                const row = toExportRow(record);
+                // Money going out is negative, as on a bank statement
+                const amount = toMinorUnits(row.amount);
+                const signedAmount = fromMinorUnits(row.type === 'income' ? amount : -amount);
+                if (row.type !== 'transfer') balance += toMinorUnits(options.convert(signedAmount, row.currency, row.date));
+
+                const lines = [
+                    '<STMTTRN>',
+                    `<TRNTYPE>${OFX_TRANSACTION_TYPES[row.type]}</TRNTYPE>`,
+                    `<DTPOSTED>${ofxDate(row.date)}</DTPOSTED>`,
+                    `<TRNAMT>${signedAmount}</TRNAMT>`,
+                    `<FITID>${row.id}</FITID>`,
+                    `<NAME>${escapeXml(row.title)}</NAME>`
+                ];
+                if (row.note || row.category) {
+                    lines.push(`<MEMO>${escapeXml([row.category, row.note].filter(Boolean).join(' - '))}</MEMO>`);
+                }
+                if (row.currency !== currency) {
+                    // The amount stays in the record's own currency, with the rate to the statement currency on its date
+                    lines.push(`<CURRENCY><CURRATE>${options.rate(row.currency, row.date)}</CURRATE><CURSYM>${row.currency}</CURSYM></CURRENCY>`);
+                }
+                lines.push('</STMTTRN>', '');
+                return lines.join('\n');
+            },
+            footer: () => [
+                '</BANKTRANLIST>',
+                `<LEDGERBAL><BALAMT>${fromMinorUnits(balance)}</BALAMT><DTASOF>${today}</DTASOF></LEDGERBAL>`,
+                '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+                '</OFX>',
+                ''
+            ].join('\n')
+        };
+    }
+
+    throw new Error(`Unsupported export format "${format}"`);
+};
@@ -0,0 +1,189 @@
+import { RECORD_TYPES } from '../models/Record.js';
+import { currencyDecimals, isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { parseMoney, toMinorUnits } from './money.js';
+
+export const IMPORT_FIELDS = ['title', 'type', 'date', 'currency', 'amount', 'note', 'category', 'payee'];
+export const MAX_IMPORT_ROWS = 5000;
+
+// What happens to rows that look like records already saved: import them anyway (allow), import them and
+// list them (warn), leave them out (skip) or reject them as invalid rows (reject)
+export const IMPORT_DUPLICATE_MODES = ['allow', 'warn', 'skip', 'reject'];
+
+// Without an explicit mapping, each field is read from the column with the same header name
+const DEFAULT_MAPPING = Object.fromEntries(IMPORT_FIELDS.map(field => [field, field]));
+
+const DATE_TOKENS = /YYYY|YY|MM|M|DD|D/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    return value === true || value === 'true' || value === '1';
+};
+
+// Parses a date written in the given format (tokens YYYY, YY, MM, M, DD, D) into YYYY-MM-DD
+export const parseDate = (value, format) => {
+    const order = [];
+    let pattern = '';
+    let lastIndex = 0;
+    format.replace(DATE_TOKENS, (token, offset) => {
+        pattern += escapeRegex(format.slice(lastIndex, offset));
+        pattern += token.length === 4 ? '(\\d{4})' : token.length === 2 ? '(\\d{2})' : '(\\d{1,2})';
+        order.push(token);
+        lastIndex = offset + token.length;
+        return token;
+    });
+    pattern += escapeRegex(format.slice(lastIndex));
+
+    const match = new RegExp(`^${pattern}$`).exec(value.trim());
+    if (!match) return null;
+
+    const parts = {};
+    order.forEach((token, index) => { parts[token[0]] = { token, value: parseInt(match[index + 1], 10) }; });
+    if (!parts.Y || !parts.M || !parts.D) return null;
+
+    const year = parts.Y.token === 'YY' ? 2000 + parts.Y.value : parts.Y.value;
+    const month = parts.M.value;
+    const day = parts.D.value;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+};
+
+// Parses an amount such as "1,234.50" or "1.234,50" according to the configured separators into an exact
+// decimal string rounded to `decimals` places
+export const parseAmount = (value, { decimalSeparator, thousandsSeparator }, decimals) => {
+    let text = value.trim().replace(/\s/g, '');
+    if (thousandsSeparator) text = text.split(thousandsSeparator).join('');
+    if (decimalSeparator !== '.') text = text.replace(decimalSeparator, '.');
+    if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+    return parseMoney(text, decimals);
+};
+
+// Reads the import options sent as multipart fields (or query parameters); throws on invalid input
+export const parseImportOptions = (body = {}, query = {}) => {
+    let mapping = DEFAULT_MAPPING;
+    if (body.mapping) {
+        try {
+            mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+        } catch (err) {
+            throw new Error('mapping must be a JSON object of record field to CSV column');
+        }
+        const unknownField = Object.keys(mapping).find(field => !IMPORT_FIELDS.includes(field));
+        if (unknownField) {
+            throw new Error(`Unknown mapping field "${unknownField}". Expected any of: ${IMPORT_FIELDS.join(', ')}`);
+        }
+    }
+
+    const options = {
+        mapping,
+        hasHeader: parseBoolean(body.hasHeader, true),
+        delimiter: body.delimiter || ',',
+        dateFormat: body.dateFormat || 'YYYY-MM-DD',
+        decimalSeparator: body.decimalSeparator || '.',
+        thousandsSeparator: body.thousandsSeparator ?? '',
+        defaultCurrency: normalizeCurrencyCode(body.defaultCurrency) || null,
+        defaultType: body.defaultType || 'expense',
+        createMissingCategories: parseBoolean(body.createMissingCategories, false),
+        onDuplicate: body.onDuplicate || query.onDuplicate || 'warn',
+        dryRun: parseBoolean(body.dryRun ?? query.dryRun, false)
+    };
+
+    if (options.delimiter.length !== 1) {
+        throw new Error('delimiter must be a single character');
+    }
+    if (!['.', ','].includes(options.decimalSeparator)) {
+        throw new Error('decimalSeparator must be "." or ","');
+    }
+    if (options.thousandsSeparator === options.decimalSeparator) {
+        throw new Error('thousandsSeparator and decimalSeparator must differ');
+    }
+    if (!/(YYYY|YY)/.test(options.dateFormat) || !/M/.test(options.dateFormat) || !/D/.test(options.dateFormat)) {
+        throw new Error('dateFormat must contain year (YYYY or YY), month (MM or M) and day (DD or D) tokens');
+    }
+    if (options.defaultCurrency && !isCurrencyCode(options.defaultCurrency)) {
+        throw new Error(`Unsupported defaultCurrency "${options.defaultCurrency}"`);
+    }
+    if (!RECORD_TYPES.includes(options.defaultType)) {
+        throw new Error(`Invalid defaultType "${options.defaultType}". Expected one of: ${RECORD_TYPES.join(', ')}`);
+    }
+    if (!IMPORT_DUPLICATE_MODES.includes(options.onDuplicate)) {
+        throw new Error(`Invalid onDuplicate "${options.onDuplicate}". Expected one of: ${IMPORT_DUPLICATE_MODES.join(', ')}`);
+    }
+    return options;
+};
+
+// Resolves the mapping to column positions. Mapping values are header names, or 0-based
+// column indexes (required when the file has no header row).
+export const resolveColumns = (header, mapping) => {
+    const columns = {};
+    for (const [field, column] of Object.entries(mapping)) {
+        if (column === null || column === undefined || column === '') continue;
+        if (Number.isInteger(column)) {
+            columns[field] = column;
+        } else if (header) {
+            const index = header.findIndex(name => name.trim().toLowerCase() === String(column).trim().toLowerCase());
+            if (index !== -1) columns[field] = index;
+            else if (mapping !== DEFAULT_MAPPING) throw new Error(`Column "${column}" mapped to ${field} was not found in the header row`);
+        } else {
+            throw new Error(`Column "${column}" for ${field} must be a 0-based index when the file has no header row`);
+        }
+    }
+
+    const missing = ['title', 'date', 'amount'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`No column mapped for required field(s): ${missing.join(', ')}`);
+    }
+    return columns;
+};
+
+// Turns one CSV row into record data. Returns { data, errors } where errors are field-level messages.
+export const normalizeRow = (values, columns, options) => {
+    const errors = [];
+    const read = (field) => (columns[field] === undefined ? '' : (values[columns[field]] ?? '').trim());
+
+    const title = read('title');
+    if (!title) errors.push({ field: 'title', message: 'Title is required' });
+
+    const rawDate = read('date');
+    const date = rawDate ? parseDate(rawDate, options.dateFormat) : null;
+    if (!date) errors.push({ field: 'date', message: `Invalid date "${rawDate}", expected format ${options.dateFormat}` });
+
+    const currency = read('currency').toUpperCase() || options.defaultCurrency;
+    if (!currency) {
+        errors.push({ field: 'currency', message: 'Currency is required (map a currency column or set defaultCurrency)' });
+    } else if (!isCurrencyCode(currency)) {
+        errors.push({ field: 'currency', message: `Unsupported currency "${currency}"` });
+    }
+
+    // Rounded to the currency's decimal places (2 when the currency is missing or invalid)
+    const rawAmount = read('amount');
+    const decimals = currencyDecimals(currency);
+    const amount = rawAmount ? parseAmount(rawAmount, options, decimals) : null;
+    if (amount === null) {
+        errors.push({ field: 'amount', message: `Invalid amount "${rawAmount}"` });
+    } else if (toMinorUnits(amount, decimals) <= 0n) {
+        errors.push({ field: 'amount', message: 'Amount must be greater than zero; use the type column for income' });
+    }
+
+    const type = read('type').toLowerCase() || options.defaultType;
+    if (!RECORD_TYPES.includes(type)) {
+        errors.push({ field: 'type', message: `Invalid record type "${type}". Expected one of: ${RECORD_TYPES.join(', ')}` });
+    }
+
+    return {
+        data: {
+            title,
+            type,
+            date,
+            currency,
+            amount,
+            note: read('note') || null,
+            category: read('category') || null,
+            payee: read('payee') || null
+        },
+        errors
+    };
+};
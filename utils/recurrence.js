@@ -0,0 +1,99 @@
+// Recurrence helpers. Dates are handled as 'YYYY-MM-DD' strings and computed in UTC,
+// so daylight-saving changes can never shift an occurrence to another day.
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest possible length of one period in days, used to estimate an occurrence index from below
+const MAX_PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 31, yearly: 366 };
+
+const toUTCDate = (value) => {
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    const [year, month, day] = text.slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+export const normalizeDate = (value) => (value ? formatDate(toUTCDate(value)) : null);
+
+export const addDays = (value, days) => formatDate(new Date(toUTCDate(value).getTime() + days * DAY_MS));
+
+export const todayString = () => {
+    const now = new Date();
+    return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+};
+
+export const isValidDate = (value) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && normalizeDate(value) === value;
+
+// The nth (0-based) occurrence of a rule. Every occurrence is computed from the start date
+// rather than from the previous one, so a series starting on the 31st stays on month-end.
+export const occurrenceAt = (rule, n) => {
+    const start = toUTCDate(rule.startDate);
+    const step = n * (rule.interval || 1);
+
+    switch (rule.frequency) {
+        case 'daily':
+            return formatDate(new Date(start.getTime() + step * DAY_MS));
+        case 'weekly':
+            return formatDate(new Date(start.getTime() + step * 7 * DAY_MS));
+        case 'monthly': {
+            const monthIndex = start.getUTCMonth() + step;
+            const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+            const month = monthIndex % 12;
+            const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+            return formatDate(new Date(Date.UTC(year, month, day)));
+        }
+        case 'yearly': {
+            const year = start.getUTCFullYear() + step;
+            const month = start.getUTCMonth();
+            const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+            return formatDate(new Date(Date.UTC(year, month, day)));
+        }
+        default:
+            throw new Error(`Unknown frequency "${rule.frequency}"`);
+    }
+};
+
+// Index of the first occurrence falling strictly after the given date
+const firstIndexAfter = (rule, date) => {
+    const after = normalizeDate(date);
+    if (!after || after < normalizeDate(rule.startDate)) return 0;
+
+    const elapsedDays = (toUTCDate(after) - toUTCDate(rule.startDate)) / DAY_MS;
+    let n = Math.floor(elapsedDays / (MAX_PERIOD_DAYS[rule.frequency] * (rule.interval || 1)));
+    while (occurrenceAt(rule, n) <= after) n++;
+    return n;
+};
+
+export const isOccurrence = (rule, date) =>
+    occurrenceAt(rule, firstIndexAfter(rule, addDays(date, -1))) === normalizeDate(date);
+
+// Lists the occurrences a schedule still has to handle, honouring its end date and
+// its remaining occurrence count. Skipped dates are listed (and counted) too.
+export const upcomingOccurrences = (schedule, { limit = Infinity, until = null } = {}) => {
+    const skippedDates = schedule.skippedDates || [];
+    const endDate = normalizeDate(schedule.endDate);
+    const occurrences = [];
+
+    let n = firstIndexAfter(schedule, schedule.processedThrough);
+    let count = schedule.occurrenceCount || 0;
+
+    while (occurrences.length < limit) {
+        if (schedule.maxOccurrences && count >= schedule.maxOccurrences) break;
+        const date = occurrenceAt(schedule, n);
+        if (endDate && date > endDate) break;
+        if (until && date > until) break;
+        occurrences.push({ date, skipped: skippedDates.includes(date) });
+        n++;
+        count++;
+    }
+
+    return occurrences;
+};
+
+export const nextOccurrence = (schedule) => upcomingOccurrences(schedule, { limit: 1 })[0]?.date || null;
@@ -0,0 +1,118 @@
+// JavaScript regexes backtrack, so some patterns take exponential (or high polynomial) time on a text that
+// almost matches: "(a+)+$" against a long run of a's stalls the whole server. User patterns are checked
+// with findRegexRisk before they are saved, and only run on the first MAX_REGEX_TEXT_LENGTH characters.
+
+export const MAX_REGEX_LENGTH = 100;
+export const MAX_REGEX_TEXT_LENGTH = 255;
+
+// Quantifiers that match a variable number of times (?, *, +, {1,3}, ...) a pattern may have. Each one
+// multiplies the ways the engine can try to split a text.
+export const MAX_REGEX_QUANTIFIERS = 2;
+
+// A quantifier at `index` ("?", "*", "+", "{n}", "{n,}" or "{n,m}"), with the characters it spans
+const readQuantifier = (pattern, index) => {
+    const char = pattern[index];
+    if (char === '?') return { min: 0, max: 1, length: 1 };
+    if (char === '*') return { min: 0, max: Infinity, length: 1 };
+    if (char === '+') return { min: 1, max: Infinity, length: 1 };
+    const braces = char === '{' && pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return null;
+    const min = Number(braces[1]);
+    const max = braces[2] === undefined ? min : (braces[3] === '' ? Infinity : Number(braces[3]));
+    return { min, max, length: braces[0].length };
+};
+
+// Index of the "]" closing the character class that opens at `index`
+const classEnd = (pattern, index) => {
+    let i = index + 1;
+    if (pattern[i] === '^') i++;
+    if (pattern[i] === ']') i++;
+    for (; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+    }
+    return i;
+};
+
+/**
+ * Why a regex may take too long to run, when it can: it is too long, has too many quantifiers, repeats a
+ * group that has a quantifier or alternatives of its own, such as "(a+)+" or "(a|ab)*", or uses a
+ * backreference. Plain patterns like "^uber", "coffee|starbucks" or "amazon.*prime" pass.
+ *
+ * @param {string} pattern - A valid regex source
+ * @returns {string|null} The problem, or null when the pattern is safe to run
+ */
+export const findRegexRisk = (pattern) => {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        return `a regular expression can be at most ${MAX_REGEX_LENGTH} characters`;
+    }
+
+    const groups = [];
+    let quantifiers = 0;
+    // What a quantifier right here would repeat: null (nothing, or a fixed atom), or a closed group
+    let lastGroup = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            if (/[1-9]/.test(pattern[i + 1]) || pattern.startsWith('k<', i + 1)) {
+                return 'backreferences are not supported';
+            }
+            i++;
+            lastGroup = null;
+            continue;
+        }
+        if (char === '[') {
+            i = classEnd(pattern, i);
+            lastGroup = null;
+            continue;
+        }
+        if (char === '(') {
+            // Skip the "?:", "?=", "?!", "?<=", "?<!" or "?<name>" of special groups
+            if (pattern.startsWith('?<', i + 1) && !/[=!]/.test(pattern[i + 3])) {
+                i = pattern.indexOf('>', i);
+            } else if (pattern[i + 1] === '?') {
+                i += pattern[i + 2] === '<' ? 3 : 2;
+            }
+            groups.push({ hasQuantifier: false, hasAlternatives: false });
+            lastGroup = null;
+            continue;
+        }
+        if (char === ')') {
+            lastGroup = groups.pop() ?? null;
+            // What is inside a group is inside the groups around it too
+            const parent = groups[groups.length - 1];
+            if (parent && lastGroup) {
+                parent.hasQuantifier ||= lastGroup.hasQuantifier;
+                parent.hasAlternatives ||= lastGroup.hasAlternatives;
+            }
+            continue;
+        }
+        if (char === '|') {
+            if (groups.length > 0) groups[groups.length - 1].hasAlternatives = true;
+            lastGroup = null;
+            continue;
+        }
+
+        const quantifier = readQuantifier(pattern, i);
+        if (!quantifier) {
+            lastGroup = null;
+            continue;
+        }
+        i += quantifier.length - 1;
+        if (pattern[i + 1] === '?') i++; // lazy
+
+        if (lastGroup && quantifier.max > 1 && (lastGroup.hasQuantifier || lastGroup.hasAlternatives)) {
+            return 'a group with quantifiers or alternatives (|) inside can\'t be repeated';
+        }
+        if (quantifier.min !== quantifier.max) {
+            quantifiers++;
+            if (quantifiers > MAX_REGEX_QUANTIFIERS) {
+                return `a regular expression can have at most ${MAX_REGEX_QUANTIFIERS} quantifiers such as *, + or ?`;
+            }
+            if (groups.length > 0) groups[groups.length - 1].hasQuantifier = true;
+        }
+        lastGroup = null;
+    }
+    return null;
+};
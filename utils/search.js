@@ -0,0 +1,73 @@
+import { Op } from 'sequelize';
+
+// Full-text search over record titles and notes.
+// Postgres matches a tsvector of title + note (the 'simple' configuration lowercases without
+// stemming, so it works for any language); MySQL/MariaDB use a FULLTEXT index on (title, note).
+// Other dialects fall back to a case-insensitive LIKE without ranking.
+
+export const SEARCH_INDEX_NAME = 'records_search_idx';
+
+// Must stay identical to the indexed expression, or Postgres won't use the index
+const searchDocument = (qualifier = '') =>
+    `to_tsvector('simple', coalesce(${qualifier}"title", '') || ' ' || coalesce(${qualifier}"note", ''))`;
+
+const isMySQL = (dialect) => dialect === 'mysql' || dialect === 'mariadb';
+
+// Index definition for the Record model, matching what buildSearch queries on this dialect
+export const searchIndexFor = (sequelize) => {
+    const dialect = sequelize.getDialect();
+    if (dialect === 'postgres') {
+        return { name: SEARCH_INDEX_NAME, using: 'gin', fields: [sequelize.literal(`(${searchDocument()})`)] };
+    }
+    if (isMySQL(dialect)) {
+        return { name: SEARCH_INDEX_NAME, type: 'FULLTEXT', fields: ['title', 'note'] };
+    }
+    return null;
+};
+
+// Splits a user query into words (letters, marks and digits only), so no search syntax leaks through
+export const tokenizeSearch = (term) => String(term).toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+/**
+ * Builds the where condition and relevance expression for a search on the Record model.
+ * Every word must match, and each word also matches as a prefix ("pharm" finds "pharmacy").
+ *
+ * @param {object} sequelize - Sequelize instance (decides the dialect)
+ * @param {string[]} words - Output of tokenizeSearch, must not be empty
+ * @param {string} [alias='Record'] - Alias of the records table in the query
+ * @returns {{ where: object, rank: object }} Condition for `where` and a literal to order by (higher is better)
+ */
+export const buildSearch = (sequelize, words, alias = 'Record') => {
+    const dialect = sequelize.getDialect();
+    const qualifier = `${sequelize.getQueryInterface().quoteIdentifier(alias)}.`;
+
+    if (dialect === 'postgres') {
+        const document = searchDocument(qualifier);
+        const query = `to_tsquery('simple', ${sequelize.escape(words.map(word => `${word}:*`).join(' & '))})`;
+        return {
+            where: sequelize.literal(`${document} @@ ${query}`),
+            rank: sequelize.literal(`ts_rank(${document}, ${query})`)
+        };
+    }
+
+    if (isMySQL(dialect)) {
+        const quote = (name) => qualifier + sequelize.getQueryInterface().quoteIdentifier(name);
+        const match = `MATCH (${quote('title')}, ${quote('note')}) AGAINST (${sequelize.escape(words.map(word => `+${word}*`).join(' '))} IN BOOLEAN MODE)`;
+        return {
+            where: sequelize.literal(match),
+            rank: sequelize.literal(match)
+        };
+    }
+
+    return {
+        where: {
+            [Op.and]: words.map(word => ({
+                [Op.or]: [
+                    sequelize.where(sequelize.fn('lower', sequelize.col(`${alias}.title`)), { [Op.like]: `%${word}%` }),
+                    sequelize.where(sequelize.fn('lower', sequelize.col(`${alias}.note`)), { [Op.like]: `%${word}%` })
+                ]
+            }))
+        },
+        rank: sequelize.literal('0')
+    };
+};
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+// File storage for record attachments. Adapters share one small interface:
+//   save(key, buffer), createReadStream(key), remove(key)
+// Keys are generated by the server ("<userId>/<uuid>"), never taken from the client.
+// Set ATTACHMENT_STORAGE to pick an adapter; only "local" ships, under ATTACHMENT_DIR (default ./uploads).
+
+export const createLocalStorage = (rootDir) => {
+    const root = path.resolve(rootDir);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    };
+
+    return {
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+        },
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+        async remove(key) {
+            // Removing a file that is already gone is not an error
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+const adapters = {
+    local: () => createLocalStorage(process.env.ATTACHMENT_DIR || 'uploads')
+};
+
+let storage = null;
+
+export const getStorage = () => {
+    if (!storage) {
+        const name = process.env.ATTACHMENT_STORAGE || 'local';
+        if (!adapters[name]) {
+            throw new Error(`Unknown ATTACHMENT_STORAGE "${name}". Available: ${Object.keys(adapters).join(', ')}`);
+        }
+        storage = adapters[name]();
+    }
+    return storage;
+};
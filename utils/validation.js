@@ -0,0 +1,297 @@
+import { isCurrencyCode, normalizeCurrencyCode } from '../config/currencies.js';
+import { MONEY_SCALE, parseMoney, toMinorUnits } from './money.js';
+import { isValidDate } from './recurrence.js';
+
+// Declarative request schemas. Each route declares what its params, query and body look like
+// (see middleware/validate.js), e.g.
+//
+//     schema.object({
+//         name: schema.string({ max: 100 }),
+//         color: schema.hexColor().nullable().default(null)
+//     })
+//
+// A schema checks one value and returns it normalized (trimmed strings, upper-case currency codes,
+// numbers from numeric strings). Problems are collected as { field, message } rather than thrown, so a
+// request learns about all its invalid fields at once.
+//
+// Object fields are required unless marked optional() or given a default(); unknown fields are dropped.
+// Query and path values always arrive as strings, so integer(), boolean() and money() accept their string forms.
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+// Marker returned by a check that reported an error
+const INVALID = Symbol('invalid');
+
+const fail = (errors, field, message) => {
+    errors.push({ field, message });
+    return INVALID;
+};
+
+const fieldPath = (parent, key) => (parent ? `${parent}.${key}` : key);
+
+// Copy of a default value, so a default array or object is never shared between requests
+const copyDefault = (value) => (value !== null && typeof value === 'object' ? structuredClone(value) : value);
+
+class Schema {
+    constructor(check) {
+        // Checks a present, non-null value; returns it normalized or INVALID
+        if (check) this.check = check;
+        this.isOptional = false;
+        this.isNullable = false;
+        this.hasDefault = false;
+        this.defaultValue = undefined;
+    }
+
+    clone(changes) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes);
+    }
+
+    // The field may be left out
+    optional() {
+        return this.clone({ isOptional: true });
+    }
+
+    // The field may be null (which usually clears it)
+    nullable() {
+        return this.clone({ isNullable: true });
+    }
+
+    // Value a left-out field takes, except in partial (PATCH) objects where left-out fields stay unchanged
+    default(value) {
+        return this.clone({ isOptional: true, hasDefault: true, defaultValue: value });
+    }
+
+    // Checks a value that is present; null is only accepted when nullable
+    parse(value, field, errors) {
+        if (value === null) {
+            return this.isNullable ? null : fail(errors, field, 'must not be null');
+        }
+        return this.check(value, field, errors);
+    }
+}
+
+class ObjectSchema extends Schema {
+    constructor(shape, { isPartial = false, refinements = [] } = {}) {
+        super();
+        this.shape = shape;
+        this.isPartial = isPartial;
+        this.refinements = refinements;
+    }
+
+    // Same fields, all of them optional and without defaults: the body of a PATCH
+    partial() {
+        return this.clone({ isPartial: true });
+    }
+
+    // Adds fields (or replaces ones with the same name)
+    extend(shape) {
+        return this.clone({ shape: { ...this.shape, ...shape } });
+    }
+
+    /**
+     * Adds a check across fields, run once every field is valid.
+     *
+     * @param {function(object, { partial: boolean }): ({ field: string, message: string }|null)} check
+     */
+    refine(check) {
+        return this.clone({ refinements: [...this.refinements, check] });
+    }
+
+    check(value, field, errors) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return fail(errors, field, 'must be an object');
+        }
+
+        const result = {};
+        const errorCount = errors.length;
+        for (const [key, schema] of Object.entries(this.shape)) {
+            const path = fieldPath(field, key);
+            if (value[key] === undefined) {
+                if (this.isPartial) continue;
+                if (schema.hasDefault) {
+                    result[key] = copyDefault(schema.defaultValue);
+                } else if (!schema.isOptional) {
+                    fail(errors, path, 'is required');
+                }
+                continue;
+            }
+            const parsed = schema.parse(value[key], path, errors);
+            if (parsed !== INVALID) result[key] = parsed;
+        }
+        if (errors.length > errorCount) return INVALID;
+
+        for (const refinement of this.refinements) {
+            const problem = refinement(result, { partial: this.isPartial });
+            if (problem) return fail(errors, fieldPath(field, problem.field), problem.message);
+        }
+        return result;
+    }
+}
+
+/**
+ * A string, trimmed unless `trim` is false.
+ *
+ * @param {object} [options]
+ * @param {number} [options.min=1] - Fewest characters; 0 allows an empty string
+ * @param {number} [options.max]
+ * @param {RegExp} [options.pattern]
+ * @param {string} [options.message] - Error when the pattern doesn't match
+ * @param {boolean} [options.trim=true]
+ */
+const string = ({ min = 1, max, pattern, message, trim = true } = {}) => new Schema((value, field, errors) => {
+    if (typeof value !== 'string') return fail(errors, field, 'must be a string');
+    const text = trim ? value.trim() : value;
+    if (text.length < min) {
+        return fail(errors, field, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+    }
+    if (max !== undefined && text.length > max) return fail(errors, field, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) return fail(errors, field, message || `must match ${pattern}`);
+    return text;
+});
+
+// One of a fixed list of strings
+const oneOf = (values) => new Schema((value, field, errors) => (
+    values.includes(value) ? value : fail(errors, field, `must be one of: ${values.join(', ')}`)
+));
+
+const rangeMessage = (min, max) => {
+    if (min !== undefined && max !== undefined) return `must be an integer between ${min} and ${max}`;
+    if (min !== undefined) return `must be an integer of at least ${min}`;
+    if (max !== undefined) return `must be an integer of at most ${max}`;
+    return 'must be an integer';
+};
+
+/**
+ * An integer, or a string of one.
+ *
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ */
+const integer = ({ min, max } = {}) => new Schema((value, field, errors) => {
+    const number = typeof value === 'string' && INTEGER_PATTERN.test(value.trim()) ? Number(value) : value;
+    if (!Number.isSafeInteger(number) || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        return fail(errors, field, rangeMessage(min, max));
+    }
+    return number;
+});
+
+// Positive integer id of a stored item
+const id = () => integer({ min: 1 });
+
+// true or false, or the strings "true" and "false"
+const boolean = () => new Schema((value, field, errors) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return fail(errors, field, 'must be true or false');
+});
+
+/**
+ * An amount of money: a number or decimal string. It is returned as given; services round it to
+ * the decimal places of its currency.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.positive] - Require more than zero
+ * @param {number} [options.scale=MONEY_SCALE] - Decimal places the value is read to (RATE_SCALE for exchange rates)
+ */
+const money = ({ positive = false, scale = MONEY_SCALE } = {}) => new Schema((value, field, errors) => {
+    const exact = typeof value === 'number' || typeof value === 'string' ? parseMoney(value, scale) : null;
+    if (exact === null) return fail(errors, field, positive ? 'must be a positive number' : 'must be a number');
+    if (positive && toMinorUnits(exact, scale) <= 0n) return fail(errors, field, 'must be a positive number');
+    return typeof value === 'string' ? value.trim() : value;
+});
+
+// A calendar date as YYYY-MM-DD
+const date = () => new Schema((value, field, errors) => (
+    isValidDate(value) ? value : fail(errors, field, 'must be a date in YYYY-MM-DD format')
+));
+
+/**
+ * An ISO 4217 currency code in any case, returned in upper case.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.also] - Other (upper-case) values accepted, such as ALL
+ */
+const currency = ({ also = [] } = {}) => new Schema((value, field, errors) => {
+    const code = normalizeCurrencyCode(value);
+    if (typeof code === 'string' && (isCurrencyCode(code) || also.includes(code))) return code;
+    return fail(errors, field, `must be an ISO 4217 currency code such as USD, EUR or THB${also.map(extra => ` or ${extra}`).join('')}`);
+});
+
+const email = () => string({ max: 255, pattern: EMAIL_PATTERN, message: 'must be an email address' });
+
+const hexColor = () => string({ pattern: HEX_COLOR_PATTERN, message: 'must be a hex color such as #ff8800' });
+
+/**
+ * An array whose items all match `item`.
+ *
+ * @param {Schema} item
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ */
+const array = (item, { min, max } = {}) => new Schema((value, field, errors) => {
+    if (!Array.isArray(value)) return fail(errors, field, 'must be an array');
+    if (min !== undefined && value.length < min) return fail(errors, field, `must have at least ${min} item${min === 1 ? '' : 's'}`);
+    if (max !== undefined && value.length > max) return fail(errors, field, `must have at most ${max} items`);
+
+    const errorCount = errors.length;
+    const items = value.map((entry, index) => item.parse(entry, `${field}[${index}]`, errors));
+    return errors.length > errorCount ? INVALID : items;
+});
+
+/**
+ * A comma-separated list in a query parameter ("expense,income"), each entry matching `item`.
+ * It is returned as the same kind of string, trimmed and without empty entries.
+ *
+ * @param {Schema} item
+ */
+const commaList = (item) => new Schema((value, field, errors) => {
+    if (typeof value !== 'string') return fail(errors, field, 'must be a comma-separated list');
+    const errorCount = errors.length;
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean)
+        .map(entry => item.parse(entry, field, errors));
+    return errors.length > errorCount ? INVALID : entries.join(',');
+});
+
+/**
+ * An object with the given fields.
+ *
+ * @param {Object<string, Schema>} shape
+ */
+const object = (shape) => new ObjectSchema(shape);
+
+export const schema = {
+    string,
+    oneOf,
+    integer,
+    id,
+    boolean,
+    money,
+    date,
+    currency,
+    email,
+    hexColor,
+    array,
+    commaList,
+    object
+};
+
+/**
+ * Checks a value against a schema.
+ *
+ * @param {Schema} valueSchema
+ * @param {*} value
+ * @param {string} [field] - Name reported for errors about the value as a whole
+ * @returns {{ value: *, errors: { field: string, message: string }[] }} The normalized value when there
+ *   are no errors
+ */
+export const validateValue = (valueSchema, value, field = '') => {
+    const errors = [];
+    const parsed = value === undefined
+        ? (valueSchema.isOptional ? undefined : fail(errors, field, 'is required'))
+        : valueSchema.parse(value, field, errors);
+    return { value: parsed === INVALID ? undefined : parsed, errors };
+};